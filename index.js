@@ -7,8 +7,21 @@ require('dotenv').config();
 // Import tactical modules
 const { parseVCF } = require('./src/vcf-parser');
 const { generateCSV } = require('./src/csv-generator');
-const { parseContactFile, getSupportedFormats } = require('./src/csv-excel-parser');
+const { generateVCF, resolveVCardVersion } = require('./src/vcf-generator');
+const { generateXLSX } = require('./src/xlsx-generator');
+const { parseContactFile, getSupportedFormats, looksLikeCSV, isExcelFile, isPDFFile, isChatArchive } = require('./src/csv-excel-parser');
 const store = require('./src/session-store');
+const { storage } = require('./src/storage');
+const { resolveRegion, describeRegion, getSupportedRegions, DEFAULT_REGION } = require('./src/phone-normalizer');
+const { findDuplicates, applyResolution, parseResolutionReply, generateConflictQuestion } = require('./src/duplicate-resolver');
+const { getExportProfile, resolveProfile, getExportableContacts, listExportProfiles } = require('./src/export-profiles');
+const { parsePreviewCommand, parseDeleteCommand, parseEditCommand, generatePreviewPage, deleteContact, editContact, diffContacts } = require('./src/contact-editor');
+const { normalizeListName, parseListCommand, isDefaultListName, generateListOverview } = require('./src/contact-lists');
+const { buildReportEntries, findLowConfidence, generateUnparsedMessage, generateReportCSV } = require('./src/parse-report');
+const { isSharedContactMessage, generateSharedContactsSummary } = require('./src/shared-contacts');
+const { resolveDebounceWindow, runExclusive, settleAcknowledgement, generateAcknowledgement } = require('./src/ingestion-queue');
+const { MAX_PIN_ATTEMPTS, resolveLinkSecret, signDownloadToken, verifyDownloadToken, generatePin, hashPin, verifyPin, parseLinksCommand, generateLinkSettings, generateLinkNotes } = require('./src/download-links');
+const { getFileFormat, convertDownloadFile, generateDownloadPage } = require('./src/download-page');
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
@@ -70,6 +83,7 @@ app.use(rateLimit);
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
 const FILE_EXPIRY = 2 * 60 * 60 * 1000; // 2 hours
+const DOWNLOAD_LINK_SECRET = resolveLinkSecret(process.env); // signs /get/ and /download/ links
 
 // SCALE CONFIGURATION
 const MAX_CONTACTS_PER_BATCH = 500; // Increased for bulk processing
@@ -78,6 +92,10 @@ const PROCESSING_TIMEOUT = 45000; // 45 seconds (increased for large text proces
 const CHUNK_SIZE = 50; // Process contacts in chunks
 const WHATSAPP_MEDIA_LIMIT = 10; // WhatsApp/Twilio limit per message
 const BATCH_TIMEOUT = 20 * 60; // 20 minutes batch timeout
+const DUPLICATE_QUESTION_TTL = 10 * 60; // 10 minutes to answer duplicate questions
+const STORAGE_LABELS = { redis: 'Redis (Optimised)', filesystem: 'Filesystem (survives restarts)', memory: 'In-Memory' };
+const BATCH_ACK_DEBOUNCE_MS = resolveDebounceWindow(process.env.BATCH_ACK_DEBOUNCE_MS, 2000); // messages within this window get one reply
+const SHARED_CONTACT_DEBOUNCE_MS = resolveDebounceWindow(process.env.SHARED_CONTACT_DEBOUNCE_MS, 4000); // longer for contact picker bursts
 
 // OPEN ACCESS - No phone number restrictions (removed for public access)
 // Previously restricted to specific numbers, now open to all users
@@ -87,143 +105,6 @@ const AUTHORIZED_NUMBERS = []; // Empty array - no restrictions
 const STATUS_TEMPLATE_SID = process.env.STATUS_TEMPLATE_SID; // New: Status with Export button
 const DOWNLOAD_TEMPLATE_SID = process.env.DOWNLOAD_TEMPLATE_SID; // Existing: Download CSV button
 
-// Storage (will be replaced with Redis in production)
-let fileStorage = {};
-
-// Import Redis if in production
-let redisClient;
-if (IS_PRODUCTION && process.env.REDIS_URL) {
-    const redis = require('redis');
-    redisClient = redis.createClient({
-        url: process.env.REDIS_URL,
-        socket: {
-            connectTimeout: 60000,
-            lazyConnect: true,
-        },
-        // Optimised for large payloads
-        maxRetriesPerRequest: 3,
-        retryDelayOnFailover: 100,
-    });
-    
-    redisClient.on('error', (err) => console.log('Redis Client Error', err));
-    redisClient.connect().then(() => {
-        console.log('🔴 Redis: CONNECTED to production storage (optimised for scale)');
-    });
-}
-
-// Enhanced storage operations for large datasets
-const storage = {
-    async set(key, value, expirySeconds = 7200) {
-        // Compress large contact arrays
-        const serialized = JSON.stringify(value);
-        
-        if (redisClient) {
-            try {
-                // Handle large payloads by chunking if needed
-                if (serialized.length > 1024 * 1024) { // 1MB threshold
-                    console.log(`📦 Large payload detected (${(serialized.length / 1024 / 1024).toFixed(2)}MB), using chunked storage`);
-                    
-                    const chunks = [];
-                    const chunkSize = 512 * 1024; // 512KB chunks
-                    
-                    for (let i = 0; i < serialized.length; i += chunkSize) {
-                        chunks.push(serialized.slice(i, i + chunkSize));
-                    }
-                    
-                    // Store chunks
-                    await redisClient.set(`${key}:meta`, JSON.stringify({
-                        isChunked: true,
-                        chunkCount: chunks.length,
-                        totalSize: serialized.length
-                    }), { EX: expirySeconds });
-                    
-                    for (let i = 0; i < chunks.length; i++) {
-                        await redisClient.set(`${key}:chunk:${i}`, chunks[i], { EX: expirySeconds });
-                    }
-                } else {
-                    await redisClient.set(key, serialized, { EX: expirySeconds });
-                }
-            } catch (redisError) {
-                console.error('Redis set failed:', redisError);
-                fileStorage[key] = {
-                    data: value,
-                    expires: Date.now() + (expirySeconds * 1000)
-                };
-            }
-        } else {
-            fileStorage[key] = {
-                data: value,
-                expires: Date.now() + (expirySeconds * 1000)
-            };
-        }
-    },
-    
-    async get(key) {
-        if (redisClient) {
-            try {
-                // Check if data is chunked
-                const meta = await redisClient.get(`${key}:meta`);
-                
-                if (meta) {
-                    const metadata = JSON.parse(meta);
-                    if (metadata.isChunked) {
-                        console.log(`📦 Reconstructing chunked data (${metadata.chunkCount} chunks)`);
-                        
-                        let reconstructed = '';
-                        for (let i = 0; i < metadata.chunkCount; i++) {
-                            const chunk = await redisClient.get(`${key}:chunk:${i}`);
-                            if (chunk) {
-                                reconstructed += chunk;
-                            }
-                        }
-                        return JSON.parse(reconstructed);
-                    }
-                }
-                
-                const data = await redisClient.get(key);
-                return data ? JSON.parse(data) : null;
-            } catch (redisError) {
-                console.error('Redis get failed:', redisError);
-            }
-        }
-        
-        const item = fileStorage[key];
-        if (!item) return null;
-        if (Date.now() > item.expires) {
-            delete fileStorage[key];
-            return null;
-        }
-        return item.data;
-    },
-    
-    async del(key) {
-        if (redisClient) {
-            try {
-                // Clean up chunked data if exists
-                const meta = await redisClient.get(`${key}:meta`);
-                if (meta) {
-                    const metadata = JSON.parse(meta);
-                    if (metadata.isChunked) {
-                        console.log(`🗑️ Cleaning up ${metadata.chunkCount} chunks`);
-                        
-                        for (let i = 0; i < metadata.chunkCount; i++) {
-                            await redisClient.del(`${key}:chunk:${i}`);
-                        }
-                        await redisClient.del(`${key}:meta`);
-                    }
-                }
-                
-                await redisClient.del(key);
-            } catch (redisError) {
-                console.error('Redis delete failed:', redisError);
-                delete fileStorage[key];
-            }
-        } else {
-            delete fileStorage[key];
-        }
-    }
-};
-
 // Public access - all numbers are now authorized
 function isAuthorizedNumber(phoneNumber) {
     // Always return true for public access (no restrictions)
@@ -342,7 +223,7 @@ function validateMediaUrl(url) {
 }
 
 // High-performance contact parsing with streaming
-async function parseContactMediaScalable(mediaUrl, req) {
+async function parseContactMediaScalable(mediaUrl, req, options = {}) {
     try {
         const accountSid = process.env.TWILIO_ACCOUNT_SID;
         const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -387,7 +268,7 @@ async function parseContactMediaScalable(mediaUrl, req) {
             console.log(`📄 Detected filename: ${filename}`);
         }
         
-        // Simplified file type detection - VCF and text only
+        // File type detection - VCF, Excel, PDF, CSV and text
         let detectedType = contentType;
         
         // Override content type based on filename extension
@@ -398,10 +279,23 @@ async function parseContactMediaScalable(mediaUrl, req) {
             } else if (filename.endsWith('.vcf')) {
                 detectedType = 'text/vcard';
                 console.log('🔍 Filename override: Detected as text/vcard');
-            } else if (filename.endsWith('.csv') || filename.endsWith('.xlsx') || 
-                       filename.endsWith('.xls') || filename.endsWith('.docx') || 
-                       filename.endsWith('.doc') || filename.endsWith('.pdf')) {
-                throw new Error('Unsupported file format. Please send VCF files or paste contact text.');
+            } else if (filename.endsWith('.csv')) {
+                detectedType = 'text/csv';
+                console.log('🔍 Filename override: Detected as text/csv');
+            } else if (filename.endsWith('.xlsx')) {
+                detectedType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+                console.log('🔍 Filename override: Detected as Excel workbook (.xlsx)');
+            } else if (filename.endsWith('.xls')) {
+                detectedType = 'application/vnd.ms-excel';
+                console.log('🔍 Filename override: Detected as Excel workbook (.xls)');
+            } else if (filename.endsWith('.pdf')) {
+                detectedType = 'application/pdf';
+                console.log('🔍 Filename override: Detected as PDF document');
+            } else if (filename.endsWith('.zip')) {
+                detectedType = 'application/zip';
+                console.log('🔍 Filename override: Detected as zip archive (chat export)');
+            } else if (filename.endsWith('.docx') || filename.endsWith('.doc')) {
+                throw new Error('Unsupported file format. Please send VCF, CSV, Excel or PDF files or paste contact text.');
             }
         }
         
@@ -413,13 +307,21 @@ async function parseContactMediaScalable(mediaUrl, req) {
             if (textContent.includes('BEGIN:VCARD')) {
                 detectedType = 'text/vcard';
                 console.log('🔍 Content analysis: Detected VCF content');
+            } else if (isExcelFile(buffer)) {
+                detectedType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+                console.log('🔍 Content analysis: Detected Excel workbook');
             } else if (textContent.includes('PK') && textContent.includes('[Content_Types]')) {
-                throw new Error('Excel/Word files not supported. Please send VCF files or paste contact text.');
+                throw new Error('Word files not supported. Please send VCF, CSV, Excel or PDF files or paste contact text.');
+            } else if (isChatArchive(buffer)) {
+                detectedType = 'application/zip';
+                console.log('🔍 Content analysis: Detected zip archive (chat export)');
             } else if (textContent.includes('%PDF')) {
-                throw new Error('PDF files not supported. Please send VCF files or paste contact text.');
-            } else if (textContent.includes(',') && (textContent.includes('name') || textContent.includes('phone') || textContent.includes('email'))) {
-                throw new Error('CSV files not supported. Please send VCF files or paste contact text.');
-            } else {
+                detectedType = 'application/pdf';
+                console.log('🔍 Content analysis: Detected PDF document');
+            } else if (!filename.endsWith('.txt') && looksLikeCSV(textContent)) {
+                detectedType = 'text/csv';
+                console.log('🔍 Content analysis: Detected CSV content');
+            } else if (!/csv|excel|spreadsheet|pdf|zip/.test(detectedType)) {
                 // Default to text if we can't determine
                 detectedType = 'text/plain';
                 console.log('🔍 Content analysis: Defaulting to text/plain');
@@ -430,7 +332,8 @@ async function parseContactMediaScalable(mediaUrl, req) {
         
         // Use enhanced universal parser with chunking for large files
         const startTime = Date.now();
-        const contacts = await parseContactFileScalable(response.data, detectedType, filename);
+        const report = { filename };
+        const contacts = await parseContactFileScalable(response.data, detectedType, filename, { report, region: options.region });
         const processingTime = Date.now() - startTime;
         
         console.log(`⚡ Parsed ${contacts.length} contacts in ${processingTime}ms`);
@@ -438,10 +341,10 @@ async function parseContactMediaScalable(mediaUrl, req) {
         // Limit to 250 contacts per batch (WhatsApp limit)
         if (contacts.length > MAX_CONTACTS_PER_BATCH) {
             console.log(`📏 Truncating to ${MAX_CONTACTS_PER_BATCH} contacts (WhatsApp limit)`);
-            return contacts.slice(0, MAX_CONTACTS_PER_BATCH);
+            return { contacts: contacts.slice(0, MAX_CONTACTS_PER_BATCH), report };
         }
         
-        return contacts;
+        return { contacts, report };
     } catch (error) {
         console.error('❌ Media download/parse error:', error);
         throw error;
@@ -449,12 +352,12 @@ async function parseContactMediaScalable(mediaUrl, req) {
 }
 
 // Enhanced parsing with detailed validation logging
-async function parseContactFileScalable(fileContent, mediaType, filename) {
+async function parseContactFileScalable(fileContent, mediaType, filename, options = {}) {
     try {
         console.log(`🔄 Starting scalable parse for type: ${mediaType}`);
         
         // Use enhanced universal parser with chunking
-        const contacts = await parseContactFile(fileContent, mediaType, filename);
+        const contacts = await parseContactFile(fileContent, mediaType, filename, options);
         console.log(`📥 Raw parsing result: ${contacts.length} contacts extracted`);
         
         // Enhanced validation with detailed logging
@@ -484,6 +387,14 @@ async function parseContactFileScalable(fileContent, mediaType, filename) {
                     notes: (contact.notes || contact.note || '').trim()
                 };
                 
+                // Extra vCard details - every number and email with its label, title, address, birthday, website
+                // plus how the contact was found (method, confidence)
+                ['phones', 'emails', 'title', 'address', 'birthday', 'url', 'method', 'confidence'].forEach(field => {
+                    if (contact[field] && (contact[field].length > 0 || typeof contact[field] === 'number')) {
+                        cleanContact[field] = contact[field];
+                    }
+                });
+                
                 // Final check - must have at least name or phone
                 if (cleanContact.name || cleanContact.mobile) {
                     validContacts.push(cleanContact);
@@ -503,6 +414,11 @@ async function parseContactFileScalable(fileContent, mediaType, filename) {
             }
         });
         
+        // Rejected rows go into the user's "report" download
+        if (options.report) {
+            options.report.rejected = rejectedContacts;
+        }
+        
         if (rejectedContacts.length > 0) {
             console.log(`⚠️ Rejected ${rejectedContacts.length} contacts:`);
             rejectedContacts.slice(0, 5).forEach(rejected => {
@@ -517,9 +433,16 @@ async function parseContactFileScalable(fileContent, mediaType, filename) {
         
     } catch (error) {
         console.error(`❌ Scalable parsing failed for ${mediaType}:`, error);
+        
+        // Binary documents cannot be read as text - surface the reason instead
+        if (isExcelFile(fileContent, mediaType, filename) || isPDFFile(fileContent, mediaType, filename) ||
+            isChatArchive(fileContent, mediaType, filename)) {
+            throw error;
+        }
+        
         // Final fallback to text parsing
         try {
-            const fallbackContacts = await parseContactFile(fileContent.toString(), 'text/plain', filename);
+            const fallbackContacts = await parseContactFile(fileContent.toString(), 'text/plain', filename, { region: options.region });
             console.log(`🔄 Fallback parsing yielded: ${fallbackContacts.length} contacts`);
             return fallbackContacts;
         } catch (fallbackError) {
@@ -529,6 +452,503 @@ async function parseContactFileScalable(fileContent, mediaType, filename) {
     }
 }
 
+// User's default country for local phone numbers (set with the "country" command)
+async function getUserRegion(cleanPhone) {
+    const prefs = await store.getPreferences(cleanPhone);
+    return resolveRegion(prefs.region) || DEFAULT_REGION;
+}
+
+// Reply for the "country" command - show or change the user's default region
+async function handleCountryCommand(cleanPhone, argument) {
+    const supported = getSupportedRegions().map(r => r.code).join(', ');
+
+    if (!argument) {
+        const region = await getUserRegion(cleanPhone);
+        return `🌍 **Default country:** ${describeRegion(region)}
+
+Local numbers (e.g. 0241234567) are formatted for this country. Numbers starting with + keep their own country code.
+
+To change it, type "country" followed by a code, e.g. "country GH"
+
+**Supported:** ${supported}`;
+    }
+
+    const region = resolveRegion(argument);
+    if (!region) {
+        return `❌ **"${argument}" is not a supported country code.**
+
+**Supported:** ${supported}
+
+Example: "country GH"`;
+    }
+
+    await store.updatePreferences(cleanPhone, { region });
+    console.log(`🌍 Default region for ${cleanPhone} set to ${region}`);
+
+    return `✅ **Default country set to ${describeRegion(region)}**
+
+Local numbers in your next files and messages will be formatted for this country.`;
+}
+
+// Adds new contacts to the user's batch - repeats are dropped, possible duplicates are queued as questions
+// source describes where they came from in undo replies (e.g. "your message")
+function stageContacts(cleanPhone, newContacts, source) {
+    return runExclusive(store, cleanPhone, () => stageContactsNow(cleanPhone, newContacts, source));
+}
+
+async function stageContactsNow(cleanPhone, newContacts, source) {
+    const existingContacts = await store.getContacts(cleanPhone);
+    const { unique, exactDuplicates, conflicts } = findDuplicates(existingContacts, newContacts);
+    
+    let contacts = existingContacts.concat(unique);
+    if (contacts.length > MAX_CONTACTS_PER_BATCH) {
+        console.log(`📏 Batch limit reached, truncating to ${MAX_CONTACTS_PER_BATCH} contacts`);
+        contacts = contacts.slice(0, MAX_CONTACTS_PER_BATCH);
+    }
+    
+    const added = contacts.length - existingContacts.length;
+    await store.saveContacts(cleanPhone, contacts, `adding ${added} contact(s) from ${source}`);
+    
+    let duplicateNotice = '';
+    if (exactDuplicates > 0) {
+        duplicateNotice = `🔁 Skipped ${exactDuplicates} contact(s) already in your list.`;
+    }
+    
+    if (conflicts.length > 0) {
+        // Questions from earlier messages stay first in the queue
+        const state = await store.getDupState(cleanPhone) || { conflicts: [], resolved: 0 };
+        state.conflicts.push(...conflicts);
+        await store.setDupState(cleanPhone, state, DUPLICATE_QUESTION_TTL);
+        
+        const question = generateConflictQuestion(state.conflicts[0], state.resolved + 1, state.resolved + state.conflicts.length);
+        duplicateNotice = [duplicateNotice, question].filter(Boolean).join('\n\n');
+    }
+    
+    console.log(`🔁 Staged ${unique.length} new contacts for ${cleanPhone} (${exactDuplicates} repeats skipped, ${conflicts.length} possible duplicates)`);
+    
+    return {
+        contacts,
+        added,
+        skipped: exactDuplicates,
+        duplicateNotice
+    };
+}
+
+// Counts an upload or text message as in flight until its reply is sent, however the handler finishes
+async function markInFlight(cleanPhone, res) {
+    await store.addInFlight(cleanPhone, 1);
+    res.once('close', () => {
+        store.addInFlight(cleanPhone, -1).catch(error => console.error('❌ In-flight count not released:', error.message));
+    });
+}
+
+// Coalesces replies for messages arriving close together. Returns true when this was the only message
+// in the window and the caller should reply as usual; otherwise the last message of the burst sends
+// one status update and summary here, and the others send nothing
+async function coalesceAcknowledgement(from, cleanPhone, counts, notices, windowMs, twiml) {
+    const totals = await settleAcknowledgement(store, cleanPhone, { messages: 1, ...counts }, notices, windowMs);
+    
+    if (!totals) {
+        console.log(`📥 Reply for ${cleanPhone} left to a later message`);
+        return false;
+    }
+    
+    // Shared contacts always get their summary, even one at a time
+    if (totals.messages === 1 && totals.cards === 0) {
+        return true;
+    }
+    
+    console.log(`📥 ${totals.messages} message(s) from ${cleanPhone} acknowledged together: ${totals.contacts} contacts, ${totals.added} added`);
+    
+    // Re-read the batch - other messages have added to it meanwhile
+    const contacts = await store.getContacts(cleanPhone);
+    try {
+        await sendStatusTemplateWithExportButton(from, { contacts, count: contacts.length, filesProcessed: totals.files + totals.cards });
+    } catch (statusError) {
+        console.error('❌ Status template failed for combined reply:', statusError.message);
+    }
+    
+    twiml.message(totals.files + totals.texts === 0 ? generateSharedContactsSummary(totals) : generateAcknowledgement(totals));
+    
+    if (totals.notices.length > 0) {
+        twiml.message(totals.notices.join('\n\n'));
+    }
+    
+    // Possible duplicates from any message of the burst, asked one at a time as usual
+    const state = await store.getDupState(cleanPhone);
+    if (state && state.conflicts.length > 0) {
+        twiml.message(generateConflictQuestion(state.conflicts[0], state.resolved + 1, state.resolved + state.conflicts.length));
+    }
+    
+    return false;
+}
+
+// Applies a keep/merge/skip answer to the pending duplicate question(s)
+async function handleDuplicateReply(cleanPhone, reply) {
+    const state = await store.getDupState(cleanPhone);
+    
+    if (!state || !state.conflicts || state.conflicts.length === 0) {
+        return `ℹ️ No duplicate questions waiting.\n\nPossible duplicates are only held for ${DUPLICATE_QUESTION_TTL / 60} minutes - unanswered ones are skipped.`;
+    }
+    
+    let contacts = await store.getContacts(cleanPhone);
+    const answered = reply.all ? state.conflicts.splice(0) : state.conflicts.splice(0, 1);
+    answered.forEach(conflict => {
+        contacts = applyResolution(contacts, conflict, reply.action);
+    });
+    state.resolved += answered.length;
+    
+    await store.saveContacts(cleanPhone, contacts, `"${reply.action}" on ${answered.length} duplicate(s)`);
+    console.log(`🔁 ${reply.action} applied to ${answered.length} duplicate(s) for ${cleanPhone}`);
+    
+    const actionLabels = { keep: 'Kept both', merge: 'Merged', skip: 'Skipped' };
+    const confirmation = `✅ ${actionLabels[reply.action]}${answered.length > 1 ? ` (${answered.length} duplicates)` : ''}`;
+    
+    if (state.conflicts.length > 0) {
+        await store.setDupState(cleanPhone, state, DUPLICATE_QUESTION_TTL);
+        return `${confirmation}\n\n${generateConflictQuestion(state.conflicts[0], state.resolved + 1, state.resolved + state.conflicts.length)}`;
+    }
+    
+    await store.clearDupState(cleanPhone);
+    return `${confirmation}\n\n💾 *${contacts.length} contacts in your batch.*\n\nKeep sending more contacts or type "export" when ready`;
+}
+
+// Records input the parsers skipped (for "report") and returns the chat notice - empty when everything was understood
+// parsed: [{source, report, contacts}] for each message or file
+async function noteSkippedInput(cleanPhone, parsed, stagedContacts) {
+    const entries = [];
+    const skippedLines = [];
+    const uncertain = [];
+    
+    parsed.forEach(({ source, report, contacts }) => {
+        entries.push(...buildReportEntries(source, report, contacts));
+        skippedLines.push(...(report.skippedLines || []));
+        findLowConfidence(contacts).forEach(contact => {
+            // Only contacts that made it into the batch (not skipped as duplicates) can be edited
+            const number = stagedContacts.indexOf(contact) + 1;
+            if (number > 0) uncertain.push({ number, contact });
+        });
+    });
+    
+    await store.addSkippedLines(cleanPhone, entries);
+    if (entries.length > 0) {
+        console.log(`🤔 ${skippedLines.length} skipped line(s), ${uncertain.length} low-confidence contact(s) for ${cleanPhone}`);
+    }
+    
+    return generateUnparsedMessage(skippedLines, uncertain);
+}
+
+// "report" - downloadable CSV of everything skipped since the last export
+async function handleReportCommand(cleanPhone, from) {
+    const entries = await store.getSkippedLines(cleanPhone);
+    
+    if (entries.length === 0) {
+        return `✅ Nothing was skipped - every line in your recent messages and files was understood.`;
+    }
+    
+    const link = await storeDownloadFile(from, {
+        content: generateReportCSV(entries),
+        filename: `skipped_lines_${Date.now()}.csv`
+    });
+    
+    return `📄 *Skipped lines report (${entries.length} line${entries.length === 1 ? '' : 's'})*
+
+${link.url}
+
+Each row shows where the line came from and why it was skipped.
+⏰ _Link expires in 2 hours_${generateLinkNotes(link)}`;
+}
+
+// Numbered listing of the staged batch, 10 contacts per message
+async function handlePreviewCommand(cleanPhone, page) {
+    const contacts = await store.getContacts(cleanPhone);
+    
+    if (contacts.length === 0) {
+        return `📭 Your batch is empty.\n\nSend VCF/CSV/Excel/PDF files or paste contact details to get started.`;
+    }
+    
+    return generatePreviewPage(contacts, page).message;
+}
+
+// Removes one contact ("delete 7") from the staged batch
+async function handleDeleteCommand(cleanPhone, number) {
+    const contacts = await store.getContacts(cleanPhone);
+    
+    if (contacts.length === 0) {
+        return `📭 Your batch is empty - nothing to delete.`;
+    }
+    
+    const result = deleteContact(contacts, number);
+    if (result.error) {
+        return `❌ ${result.error}\n\nType "preview" to see the numbered list.`;
+    }
+    
+    await store.saveContacts(cleanPhone, result.contacts, `"delete ${number}"`);
+    console.log(`🗑️ Deleted contact ${number} from batch for ${cleanPhone}`);
+    
+    let message = `🗑️ Deleted ${number}. *${result.removed.name || result.removed.mobile || result.removed.email || 'contact'}*\n\n💾 *${result.contacts.length} contacts in your batch.*`;
+    if (number <= result.contacts.length) {
+        message += `\n\n_Numbers after ${number} have moved up by one - type "preview" to check._`;
+    }
+    return message;
+}
+
+// Changes one field ("edit 3 name Jane Doe") of a staged contact
+async function handleEditCommand(cleanPhone, edit) {
+    const contacts = await store.getContacts(cleanPhone);
+    
+    if (contacts.length === 0) {
+        return `📭 Your batch is empty - nothing to edit.`;
+    }
+    
+    const region = await getUserRegion(cleanPhone);
+    const result = editContact(contacts, edit, region);
+    if (result.error) {
+        return `❌ ${result.error}\n\nExample: "edit 3 name Jane Doe"`;
+    }
+    
+    await store.saveContacts(cleanPhone, result.contacts, `"edit ${edit.number} ${result.field}"`);
+    console.log(`✏️ Edited ${result.field} of contact ${edit.number} for ${cleanPhone}`);
+    
+    return `✅ Updated ${edit.number}. *${result.contact.name || '(no name)'}*\n${result.field}: ${result.contact[result.field]}\n\nType "preview" to review or "export" when ready`;
+}
+
+// Reverts ("undo") or reapplies ("redo") the last change to the staged batch
+async function handleHistoryCommand(cleanPhone, command) {
+    const step = command === 'redo' ? await store.redoContacts(cleanPhone) : await store.undoContacts(cleanPhone);
+    
+    if (!step) {
+        return command === 'redo'
+            ? `ℹ️ Nothing to redo.\n\n"redo" reapplies a change you just undid.`
+            : `ℹ️ Nothing to undo.\n\nThe last 10 changes are kept for 2 hours.`;
+    }
+    
+    // Pending duplicate questions refer to contacts that may no longer be staged
+    await store.clearDupState(cleanPhone);
+    console.log(`↩️ ${command} of ${step.label} for ${cleanPhone}`);
+    
+    const { added, removed } = diffContacts(step.before, step.after);
+    const describe = list => list.slice(0, 5).map(contact => `• ${contact.name || contact.mobile || contact.email || '(no details)'}`).join('\n') +
+        (list.length > 5 ? `\n• ... and ${list.length - 5} more` : '');
+    
+    let message = command === 'redo' ? `↪️ *Redid ${step.label}*` : `↩️ *Undid ${step.label}*`;
+    if (removed.length > 0) message += `\n\n*Removed ${removed.length}:*\n${describe(removed)}`;
+    if (added.length > 0) message += `\n\n*Restored ${added.length}:*\n${describe(added)}`;
+    message += `\n\n💾 *${step.after.length} contacts in your batch.*\n\nType "${command === 'redo' ? 'undo' : 'redo'}" to reverse this or "preview" to review`;
+    
+    return message;
+}
+
+// Stores a file for the /download flow and returns its signed link
+// The user's "links" settings decide whether it works once and needs a PIN
+async function storeDownloadFile(from, file) {
+    // Create secure file with shorter ID for WhatsApp template compatibility
+    const fileId = uuidv4().replace(/-/g, '').substring(0, 16); // 16 char hex string
+    const prefs = await store.getPreferences(from.replace('whatsapp:', ''));
+    const pin = prefs.linkPin ? generatePin() : null;
+    const created = Date.now();
+    
+    await store.setTempFile(fileId, {
+        ...file,
+        from: from,
+        created: created,
+        oneTime: !!prefs.oneTimeLinks,
+        pinHash: pin ? hashPin(fileId, pin, DOWNLOAD_LINK_SECRET) : null
+    }, FILE_EXPIRY / 1000);
+    
+    const token = signDownloadToken(fileId, created + FILE_EXPIRY, DOWNLOAD_LINK_SECRET);
+    return { fileId, token, url: `${BASE_URL}/get/${token}`, pin, oneTime: !!prefs.oneTimeLinks };
+}
+
+// Stores an export file for the /download flow
+// The 2-hour batch is cleared afterwards; named lists are kept (keptList) until the user types "clear"
+async function saveExportFile(cleanPhone, from, file) {
+    const link = await storeDownloadFile(from, file);
+    
+    const keptList = await store.getActiveList(cleanPhone);
+    if (keptList) {
+        console.log(`📋 Kept list "${keptList}" for ${cleanPhone} after ${file.filename} export`);
+        return { link, keptList };
+    }
+    
+    // Clear contacts only after successful export
+    await store.clearContacts(cleanPhone);
+    await store.clearDupState(cleanPhone);
+    await store.clearSkippedLines(cleanPhone);
+    console.log(`🗑️ Cleared contact batch for ${cleanPhone} after ${file.filename} export`);
+    
+    return { link, keptList: null };
+}
+
+// Reminder added to export replies when a named list was kept
+function keptListNote(keptList) {
+    return keptList ? `\n📋 _List "${keptList}" kept - type "clear" to empty it_` : '';
+}
+
+// Handles "lists" / "list new|use|rename|delete ..."
+async function handleListCommand(cleanPhone, command) {
+    const activeList = await store.getActiveList(cleanPhone);
+    
+    if (command.action === 'show') {
+        const lists = await store.getLists(cleanPhone);
+        const batchCount = ((await store.get(`contacts:${cleanPhone}`)) || []).length;
+        return generateListOverview(lists, activeList, batchCount);
+    }
+    
+    if (command.action === 'use' && isDefaultListName(command.name)) {
+        await store.useList(cleanPhone, null);
+        await store.clearDupState(cleanPhone);
+        const count = (await store.getContacts(cleanPhone)).length;
+        return `✅ Switched to the default batch (${count} contact${count === 1 ? '' : 's'}).\n\n_It expires 2 hours after the last change and is cleared by "export"._`;
+    }
+    
+    const name = command.name ? normalizeListName(command.name) : activeList;
+    const invalidName = `❌ "${command.name || command.newName}" can't be used as a list name.\n\nUse up to 30 letters, numbers, "-" or "_", e.g. "wedding-vip".`;
+    if (!name) {
+        return command.action === 'rename'
+            ? `❌ You're using the default batch, which can't be renamed.\n\nExample: "list rename wedding-vip vip"`
+            : invalidName;
+    }
+    
+    if (command.action === 'create') {
+        if (!(await store.createList(cleanPhone, name))) {
+            return `❌ You already have a list called "${name}".\n\nType "list use ${name}" to switch to it.`;
+        }
+        await store.useList(cleanPhone, name);
+        await store.clearDupState(cleanPhone);
+        console.log(`📋 Created list "${name}" for ${cleanPhone}`);
+        return `✅ *Created list "${name}"* and switched to it.\n\nContacts you send now are added to this list. It's kept for 14 days after its last change and isn't emptied by "export".`;
+    }
+    
+    if (command.action === 'use') {
+        if (!(await store.useList(cleanPhone, name))) {
+            return `❌ No list called "${name}".\n\nType "lists" to see your lists or "list new ${name}" to create it.`;
+        }
+        await store.clearDupState(cleanPhone);
+        const count = (await store.getContacts(cleanPhone)).length;
+        return `✅ Switched to list *${name}* (${count} contact${count === 1 ? '' : 's'}).`;
+    }
+    
+    if (command.action === 'rename') {
+        const newName = normalizeListName(command.newName);
+        if (!newName) return invalidName;
+        if (!(await store.renameList(cleanPhone, name, newName))) {
+            return `❌ Couldn't rename "${name}" - it doesn't exist or "${newName}" is already taken.\n\nType "lists" to see your lists.`;
+        }
+        console.log(`📋 Renamed list "${name}" to "${newName}" for ${cleanPhone}`);
+        return `✅ Renamed list *${name}* to *${newName}*.`;
+    }
+    
+    // delete
+    if (!(await store.deleteList(cleanPhone, name))) {
+        return `❌ No list called "${name}".\n\nType "lists" to see your lists.`;
+    }
+    console.log(`📋 Deleted list "${name}" for ${cleanPhone}`);
+    return `🗑️ Deleted list *${name}*.${name === activeList ? `\n\nYou're back on the default batch.` : ''}`;
+}
+
+// Stores the staged batch as a vCard file and returns the download reply
+async function exportVCardFile(cleanPhone, from, version) {
+    const contacts = await store.getContacts(cleanPhone);
+    
+    if (!contacts || contacts.length === 0) {
+        return `❌ No contacts to export.\n\nSend some VCF files or contact information first!`;
+    }
+    
+    // CSV and Excel from the download page use the user's export profile
+    const prefs = await store.getPreferences(cleanPhone);
+    
+    console.log(`📇 Generating vCard ${version} file for ${contacts.length} contacts...`);
+    const { link, keptList } = await saveExportFile(cleanPhone, from, {
+        content: generateVCF(contacts, { version }),
+        filename: `contacts_${Date.now()}.vcf`,
+        mimeType: 'text/vcard',
+        contactCount: contacts.length,
+        contacts: contacts,
+        profile: getExportProfile(prefs.exportProfile).key,
+        vcardVersion: version
+    });
+    
+    return `✅ **Your contact file with ${contacts.length} contacts is ready!**
+
+📇 *Download VCF (vCard ${version})*
+${link.url}
+
+📱 Open the file on your phone to add the contacts
+⏰ _Link expires in 2 hours_${generateLinkNotes(link)}${keptListNote(keptList)}`;
+}
+
+// Stores the staged batch as an Excel workbook (user's export profile columns) and returns the download reply
+async function exportXlsxFile(cleanPhone, from) {
+    const batchContacts = await store.getContacts(cleanPhone);
+    
+    if (!batchContacts || batchContacts.length === 0) {
+        return `❌ No contacts to export.\n\nSend some VCF files or contact information first!`;
+    }
+    
+    const prefs = await store.getPreferences(cleanPhone);
+    const profile = getExportProfile(prefs.exportProfile);
+    const contacts = getExportableContacts(batchContacts, profile);
+    
+    if (contacts.length === 0) {
+        return `❌ **None of your ${batchContacts.length} contacts have ${profile.requiredLabel}**, which ${profile.label} requires.\n\nType "export ticketing" to switch back to the standard format.`;
+    }
+    
+    console.log(`📗 Generating ${profile.key} workbook for ${contacts.length} contacts...`);
+    const { link, keptList } = await saveExportFile(cleanPhone, from, {
+        // Binary content is stored base64-encoded (storage values are JSON)
+        content: generateXLSX(contacts, profile).toString('base64'),
+        encoding: 'base64',
+        filename: `contacts_${Date.now()}.xlsx`,
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        contactCount: contacts.length,
+        contacts: contacts,
+        profile: profile.key
+    });
+    
+    return `✅ **Your Excel file with ${contacts.length} contacts is ready!**
+
+📗 *Download Excel (.xlsx)*
+${link.url}
+
+📋 Columns: ${profile.label}
+⏰ _Link expires in 2 hours_${generateLinkNotes(link)}${keptListNote(keptList)}`;
+}
+
+// Export formats available with "export <format>"
+function generateProfileList() {
+    const lines = listExportProfiles().map(profile => `• "export ${profile.key}" - ${profile.label}`);
+    lines.push(`• "export xlsx" - Excel workbook using your CSV columns`);
+    lines.push(`• "export vcf" - Contact cards for phones (vCard 3.0, or "export vcf4" for 4.0)`);
+    return `📋 **Export formats:**\n${lines.join('\n')}\n\nYour CSV choice is remembered for the next "export".`;
+}
+
+// PDF scan summary - pages scanned and table rows that could not be read
+function generatePdfSummary(fileIndex, contactCount, report) {
+    const pageNote = report.pagesScanned < report.pages
+        ? `${report.pagesScanned} of ${report.pages} pages scanned (page limit reached)`
+        : `${report.pages} page(s) scanned`;
+    
+    let summary = `📄 *PDF file ${fileIndex}:* ${pageNote}\n✅ ${contactCount} contact(s) extracted`;
+    if (report.skippedRows > 0) {
+        summary += `\n⚠️ ${report.skippedRows} row(s) skipped (no phone number or email found)`;
+    }
+    return summary;
+}
+
+// Chat export summary - participants, numbers and cards found in the conversation
+function generateChatSummary(fileIndex, contactCount, report) {
+    let summary = `💬 *WhatsApp chat file ${fileIndex}:* ${report.messages} message(s) read\n`;
+    summary += `✅ ${contactCount} contact(s): ${report.participants} participant(s), ${report.sharedNumbers} number(s) and ${report.sharedCards} contact card(s) shared in the chat`;
+    if (report.missingCards > 0) {
+        summary += `\n📇 ${report.missingCards} contact card(s) were shared but aren't in this file - export the chat *with media* and send the .zip to include them`;
+    }
+    if (report.participantsWithoutNumber > 0) {
+        summary += `\nℹ️ ${report.participantsWithoutNumber} participant(s) saved in your phone were exported by name only - add their numbers with "edit N mobile ..."`;
+    }
+    return summary;
+}
+
 // Plain Text Contact Template with Action Buttons
 async function sendPlainTextContactTemplate(to, contactCount, contacts, totalCount) {
     const TEMPLATE_SID = process.env.PLAINTEXT_TEMPLATE_SID || 'HX...'; // Set this in Vercel env
@@ -642,12 +1062,13 @@ async function sendStatusTemplateWithExportButton(to, batch) {
 }
 
 // Template 2: Download CSV Button
-async function sendDownloadTemplateMessage(to, contactCount, fileId) {
+// link comes from storeDownloadFile - the button URL ends with its signed token
+async function sendDownloadTemplateMessage(to, contactCount, link) {
     const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
     const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER || '+16467578772';
+    const linkNotes = generateLinkNotes(link);
     
-    const cleanFileId = typeof fileId === 'string' ? fileId.split('/').pop() : fileId;
-    console.log(`🚀 Sending download template - FileID: ${cleanFileId}, Count: ${contactCount}`);
+    console.log(`🚀 Sending download template - FileID: ${link.fileId}, Count: ${contactCount}`);
     
     try {
         if (DOWNLOAD_TEMPLATE_SID) {
@@ -659,10 +1080,19 @@ async function sendDownloadTemplateMessage(to, contactCount, fileId) {
                 contentSid: DOWNLOAD_TEMPLATE_SID,
                 contentVariables: JSON.stringify({
                     "1": contactCount.toString(),
-                    "2": cleanFileId
+                    "2": link.token
                 })
             });
             
+            // The template text is fixed, so the PIN follows in its own message
+            if (linkNotes) {
+                await client.messages.create({
+                    from: `whatsapp:${fromNumber}`,
+                    to: to,
+                    body: linkNotes.trim()
+                });
+            }
+            
             console.log('✅ Download template with CSV button sent successfully!');
             return;
             
@@ -675,7 +1105,7 @@ async function sendDownloadTemplateMessage(to, contactCount, fileId) {
         console.error('❌ Download template failed:', templateError.message);
         
         // Fallback to regular text message
-        const downloadUrl = `${BASE_URL}/get/${cleanFileId}`;
+        const downloadUrl = link.url;
         console.log('🚀 Using fallback download message...');
         
         await client.messages.create({
@@ -686,8 +1116,8 @@ async function sendDownloadTemplateMessage(to, contactCount, fileId) {
 📎 *Download CSV*
 ${downloadUrl}
 
-⏰ _Link expires in 2 hours_
-💡 _Tap the link above to download your file_`
+⏰ _Link expires in 2 hours_${linkNotes}
+💡 _Tap the link above to preview your contacts and download them as CSV, VCF or Excel_`
         });
         
         console.log('✅ Fallback download message sent');
@@ -739,7 +1169,7 @@ app.post('/webhook', async (req, res) => {
             
             console.log(`🌟 ADD MORE BRANCH TRIGGERED for ${From}`);
             const cleanPhone = From.replace('whatsapp:', '');
-            const contacts = await store.get(`contacts:${cleanPhone}`) || [];
+            const contacts = await store.getContacts(cleanPhone);
             
             const contactCount = contacts.length;
             const contactWord = contactCount === 1 ? 'contact' : 'contacts';
@@ -757,11 +1187,24 @@ app.post('/webhook', async (req, res) => {
 
 When you're ready, type "export" to download your CSV! 📤`);
 
+        // "export vcf" - contact card file for loading the batch back onto a phone
+        } else if (Body && resolveVCardVersion((Body.trim().match(/^export\s+(\S+)$/i) || [])[1])) {
+            console.log(`🌟 VCF EXPORT BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            const version = resolveVCardVersion(Body.trim().match(/^export\s+(\S+)$/i)[1]);
+            twiml.message(await runExclusive(store, cleanPhone, () => exportVCardFile(cleanPhone, From, version)));
+            
+        // "export xlsx" - Excel workbook with text-typed columns
+        } else if (Body && /^export\s+(xlsx|excel)$/i.test(Body.trim())) {
+            console.log(`🌟 XLSX EXPORT BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => exportXlsxFile(cleanPhone, From)));
+            
         // Handle Export button click or export command  
         } else if (ButtonPayload === 'export_contacts' || 
             ButtonText === 'Export' || 
             ButtonText === 'Export CSV' ||
-            Body.toLowerCase() === 'export' ||
+            /^export(\s+\S+)?$/i.test(Body.trim()) ||
             Body === '1️⃣' || Body === '1') {
             
             console.log(`🌟 EXPORT BRANCH TRIGGERED for ${From}`);
@@ -769,55 +1212,97 @@ When you're ready, type "export" to download your CSV! 📤`);
             
             // Use session store to get contacts (non-destructive first)
             const cleanPhone = From.replace('whatsapp:', '');
-            const contacts = await store.get(`contacts:${cleanPhone}`);
             
-            if (!contacts || contacts.length === 0) {
-                twiml.message(`❌ No contacts to export.\n\nSend some VCF files or contact information first!`);
+            // "export google" picks a profile and remembers it for plain "export"
+            const profileArgument = (Body.trim().match(/^export\s+(\S+)$/i) || [])[1];
+            if (profileArgument && !resolveProfile(profileArgument)) {
+                twiml.message(`❌ **Unknown export format "${profileArgument}".**\n\n${generateProfileList()}`);
                 res.type('text/xml');
                 res.send(twiml.toString());
                 return;
             }
             
-            console.log(`📊 Generating CSV for ${contacts.length} contacts...`);
+            const prefs = profileArgument
+                ? await store.updatePreferences(cleanPhone, { exportProfile: resolveProfile(profileArgument) })
+                : await store.getPreferences(cleanPhone);
+            const profile = getExportProfile(prefs.exportProfile);
+            
+            // Read and cleared in one step so contacts arriving meanwhile aren't lost
+            const exported = await runExclusive(store, cleanPhone, async () => {
+                const batchContacts = await store.getContacts(cleanPhone);
+                if (!batchContacts || batchContacts.length === 0) {
+                    return { batchContacts: [], contacts: [] };
+                }
+                
+                // Some targets reject rows without a required field (e.g. Mailchimp needs an email)
+                const contacts = getExportableContacts(batchContacts, profile);
+                if (contacts.length === 0) {
+                    return { batchContacts, contacts };
+                }
+                
+                console.log(`📊 Generating ${profile.key} CSV for ${contacts.length} contacts...`);
+                
+                // Generate CSV from contacts
+                const csvStartTime = Date.now();
+                const csv = generateCSV(contacts, profile);
+                const csvTime = Date.now() - csvStartTime;
+                
+                console.log(`📝 CSV generated in ${csvTime}ms (${(csv.length / 1024).toFixed(2)}KB)`);
+                
+                // Clears the 2-hour batch; named lists are kept
+                const { link, keptList } = await saveExportFile(cleanPhone, From, {
+                    content: csv,
+                    filename: profile.key === 'ticketing' ? `contacts_${Date.now()}.csv` : `contacts_${profile.key}_${Date.now()}.csv`,
+                    contactCount: contacts.length,
+                    contacts: contacts,   // for the other formats on the download page
+                    profile: profile.key
+                });
+                return { batchContacts, contacts, link, keptList };
+            });
+            const { batchContacts, contacts, link, keptList } = exported;
             
-            // Generate CSV from contacts
-            const csvStartTime = Date.now();
-            const csv = generateCSV(contacts);
-            const csvTime = Date.now() - csvStartTime;
+            if (batchContacts.length === 0) {
+                const savedNote = profileArgument ? `✅ Export format set to *${profile.label}*.\n\n` : '';
+                twiml.message(`${savedNote}❌ No contacts to export.\n\nSend some VCF files or contact information first!`);
+                res.type('text/xml');
+                res.send(twiml.toString());
+                return;
+            }
             
-            console.log(`📝 CSV generated in ${csvTime}ms (${(csv.length / 1024).toFixed(2)}KB)`);
+            const leftOut = batchContacts.length - contacts.length;
             
-            // Create secure file with shorter ID for WhatsApp template compatibility
-            const fileId = uuidv4().replace(/-/g, '').substring(0, 16); // 16 char hex string
-            console.log(`📝 Creating file with clean ID: ${fileId}`);
+            if (contacts.length === 0) {
+                twiml.message(`❌ **None of your ${batchContacts.length} contacts have ${profile.requiredLabel}**, which ${profile.label} requires.\n\nType "export ticketing" to use the standard format instead.`);
+                res.type('text/xml');
+                res.send(twiml.toString());
+                return;
+            }
             
-            await storage.set(`file:${fileId}`, {
-                content: csv,
-                filename: `contacts_${Date.now()}.csv`,
-                from: From,
-                created: Date.now(),
-                contactCount: contacts.length
-            });
+            console.log(`📝 Created file with clean ID: ${link.fileId}`);
             
             // Send Download Template with CSV Button
             try {
-                await sendDownloadTemplateMessage(From, contacts.length, fileId);
+                await sendDownloadTemplateMessage(From, contacts.length, link);
             } catch (downloadError) {
                 console.error('❌ Download template failed, using TwiML fallback:', downloadError);
                 
-                const downloadUrl = `${BASE_URL}/get/${fileId}`;
                 twiml.message(`✅ **Your CSV file with ${contacts.length} contacts is ready!**
 
 📎 *Download CSV*
-${downloadUrl}
+${link.url}
 
-⏰ _Link expires in 2 hours_
-💡 _Ready for import!_`);
+📋 Format: ${profile.label}
+⏰ _Link expires in 2 hours_${generateLinkNotes(link)}
+👀 _The link shows a preview and also offers VCF and Excel_`);
             }
             
-            // Clear contacts only after successful export
-            await store.del(`contacts:${cleanPhone}`);
-            console.log(`🗑️ Cleared contact batch for ${cleanPhone} after successful export`);
+            if (leftOut > 0) {
+                twiml.message(`⚠️ ${leftOut} contact(s) without ${profile.requiredLabel} were left out - ${profile.label} requires one.`);
+            }
+            
+            if (keptList) {
+                twiml.message(keptListNote(keptList).trim());
+            }
             
         } else if (NumMedia > 0) {
             // AUTO-BATCH CONTACT PROCESSING
@@ -825,12 +1310,17 @@ ${downloadUrl}
             
             // Get existing contacts using session store (consistent with export)
             const cleanPhone = From.replace('whatsapp:', '');
-            const existingContacts = await store.get(`contacts:${cleanPhone}`) || [];
+            await markInFlight(cleanPhone, res);
+            const existingContacts = await store.getContacts(cleanPhone);
+            const region = await getUserRegion(cleanPhone);
             let batch = { contacts: existingContacts, count: existingContacts.length, filesProcessed: 0 };
             let totalNewContacts = 0;
             let processedFiles = 0;
             let failedFiles = 0;
             let failureReasons = [];
+            let fileSummaries = [];
+            let newContacts = [];
+            let parsedFiles = [];
             
             // Process ALL attachments in parallel for speed
             const processingPromises = [];
@@ -841,12 +1331,13 @@ ${downloadUrl}
                 
                 if (mediaUrl) {
                     processingPromises.push(
-                        parseContactMediaScalable(mediaUrl, req)
-                            .then(contacts => ({
+                        parseContactMediaScalable(mediaUrl, req, { region })
+                            .then(({ contacts, report }) => ({
                                 success: true,
                                 fileIndex: i + 1,
                                 contacts: contacts,
-                                count: contacts.length
+                                count: contacts.length,
+                                report
                             }))
                             .catch(error => ({
                                 success: false,
@@ -874,10 +1365,17 @@ ${downloadUrl}
             // Collect results
             for (const result of results) {
                 if (result.status === 'fulfilled' && result.value.success) {
-                    const { contacts, count, fileIndex } = result.value;
+                    const { contacts, count, fileIndex, report } = result.value;
                     console.log(`✅ File ${fileIndex} processed: ${count} contacts`);
                     
-                    batch.contacts.push(...contacts);
+                    if (report.format === 'pdf') {
+                        fileSummaries.push(generatePdfSummary(fileIndex, count, report));
+                    } else if (report.format === 'whatsapp-chat') {
+                        fileSummaries.push(generateChatSummary(fileIndex, count, report));
+                    }
+                    
+                    newContacts.push(...contacts);
+                    parsedFiles.push({ source: `File ${fileIndex}${report.filename ? ` (${report.filename})` : ''}`, report, contacts });
                     totalNewContacts += count;
                     processedFiles++;
                 } else {
@@ -895,14 +1393,10 @@ ${downloadUrl}
                 }
             }
             
-            // Check if we hit the limit
-            if (batch.contacts.length > MAX_CONTACTS_PER_BATCH) {
-                console.log(`📏 Batch limit reached, truncating to ${MAX_CONTACTS_PER_BATCH} contacts`);
-                batch.contacts = batch.contacts.slice(0, MAX_CONTACTS_PER_BATCH);
-                totalNewContacts = Math.min(totalNewContacts, MAX_CONTACTS_PER_BATCH);
-            }
+            // Contacts shared from the picker arrive one per message, unreadable ones are counted in their summary
+            const sharedContacts = isSharedContactMessage(req.body);
             
-            if (totalNewContacts === 0) {
+            if (totalNewContacts === 0 && !sharedContacts) {
                 let errorMessage = `❌ No contacts found in ${NumMedia} file(s).`;
                 
                 if (failedFiles > 0) {
@@ -915,7 +1409,11 @@ ${downloadUrl}
                     }
                 }
                 
-                errorMessage += `\n\n**Supported formats:**\n📇 VCF files • 📝 Plain Text\n\n**Required:** Name or Phone number`;
+                if (fileSummaries.length > 0) {
+                    errorMessage += `\n\n${fileSummaries.join('\n\n')}`;
+                }
+                
+                errorMessage += `\n\n**Supported formats:**\n📇 VCF files • 📊 CSV/Excel files • 📄 PDF • 💬 WhatsApp chat exports • 📝 Plain Text\n\n**Required:** Name or Phone number`;
                 
                 twiml.message(errorMessage);
                 res.type('text/xml');
@@ -923,14 +1421,36 @@ ${downloadUrl}
                 return;
             }
             
+            // Save contacts using session store (consistent with export), holding back duplicates
+            const source = sharedContacts ? 'shared contacts' : (processedFiles === 1 ? 'your file' : 'your files');
+            const staged = newContacts.length > 0
+                ? await stageContacts(cleanPhone, newContacts, source)
+                : { contacts: existingContacts, added: 0, skipped: 0, duplicateNotice: '' };
+            totalNewContacts = staged.added;
+            const skippedNotice = await noteSkippedInput(cleanPhone, parsedFiles, staged.contacts);
+            
+            // One reply for messages arriving together
+            const replyNow = await coalesceAcknowledgement(From, cleanPhone, {
+                files: sharedContacts ? 0 : processedFiles + failedFiles,
+                cards: sharedContacts ? newContacts.length + failedFiles : 0,
+                contacts: newContacts.length,
+                added: staged.added,
+                skipped: staged.skipped,
+                failed: failedFiles
+            }, [...fileSummaries, skippedNotice].filter(Boolean), sharedContacts ? SHARED_CONTACT_DEBOUNCE_MS : BATCH_ACK_DEBOUNCE_MS, twiml);
+            
+            if (!replyNow) {
+                res.type('text/xml');
+                res.send(twiml.toString());
+                return;
+            }
+            
             // Update batch totals
+            batch.contacts = staged.contacts;
             batch.count = batch.contacts.length;
             batch.filesProcessed += processedFiles;
             batch.lastUpdated = Date.now();
             
-            // Save contacts using session store (consistent with export)
-            await store.set(`contacts:${cleanPhone}`, batch.contacts, 7200); // 2 hours
-            
             // Send Status Template with Export Button (instead of TwiML)
             try {
                 await sendStatusTemplateWithExportButton(From, batch);
@@ -960,17 +1480,103 @@ ${downloadUrl}
                 twiml.message(statusMessage);
             }
             
+            // PDF scan and chat export results (pages scanned, rows skipped, participants found)
+            if (fileSummaries.length > 0) {
+                twiml.message(fileSummaries.join('\n\n'));
+            }
+            
+            if (staged.duplicateNotice) {
+                twiml.message(staged.duplicateNotice);
+            }
+            
+            if (skippedNotice) {
+                twiml.message(skippedNotice);
+            }
+            
+        } else if (Body && parseResolutionReply(Body)) {
+            console.log(`🌟 DUPLICATE RESOLUTION BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => handleDuplicateReply(cleanPhone, parseResolutionReply(Body))));
+            
+        } else if (Body && parsePreviewCommand(Body)) {
+            console.log(`🌟 PREVIEW BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await handlePreviewCommand(cleanPhone, parsePreviewCommand(Body).page));
+            
+        } else if (Body && parseDeleteCommand(Body)) {
+            console.log(`🌟 DELETE BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => handleDeleteCommand(cleanPhone, parseDeleteCommand(Body).number)));
+            
+        } else if (Body && parseEditCommand(Body)) {
+            console.log(`🌟 EDIT BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => handleEditCommand(cleanPhone, parseEditCommand(Body))));
+            
+        } else if (Body && /^(undo|redo)$/i.test(Body.trim())) {
+            console.log(`🌟 ${Body.trim().toUpperCase()} BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => handleHistoryCommand(cleanPhone, Body.trim().toLowerCase())));
+            
+        } else if (Body && parseListCommand(Body)) {
+            console.log(`🌟 LIST BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await runExclusive(store, cleanPhone, () => handleListCommand(cleanPhone, parseListCommand(Body))));
+            
+        } else if (Body && Body.trim().toLowerCase() === 'clear') {
+            console.log(`🌟 CLEAR BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            const { activeList, count } = await runExclusive(store, cleanPhone, async () => {
+                const activeList = await store.getActiveList(cleanPhone);
+                const count = (await store.getContacts(cleanPhone)).length;
+                // Recorded as a change so "undo" can bring the contacts back
+                await store.saveContacts(cleanPhone, [], '"clear"');
+                await store.clearDupState(cleanPhone);
+                return { activeList, count };
+            });
+            twiml.message(`🧹 Cleared ${count} contact${count === 1 ? '' : 's'} from ${activeList ? `list *${activeList}*` : 'your batch'}.\n\nType "undo" to bring them back.`);
+            
+        } else if (Body && Body.trim().toLowerCase() === 'report') {
+            console.log(`🌟 REPORT BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            twiml.message(await handleReportCommand(cleanPhone, From));
+            
+        } else if (Body && Body.trim().toLowerCase() === 'formats') {
+            console.log(`🌟 FORMATS BRANCH TRIGGERED for ${From}`);
+            const prefs = await store.getPreferences(From.replace('whatsapp:', ''));
+            twiml.message(`${generateProfileList()}\n\n✅ Current: *${getExportProfile(prefs.exportProfile).label}*`);
+            
+        } else if (Body && /^country(\s|$)/i.test(Body.trim())) {
+            console.log(`🌟 COUNTRY BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            const argument = Body.trim().substring('country'.length).trim();
+            twiml.message(await handleCountryCommand(cleanPhone, argument));
+            
+        } else if (Body && parseLinksCommand(Body)) {
+            console.log(`🌟 LINKS BRANCH TRIGGERED for ${From}`);
+            const cleanPhone = From.replace('whatsapp:', '');
+            const command = parseLinksCommand(Body);
+            const prefs = command.action === 'set'
+                ? await store.updatePreferences(cleanPhone, { [command.setting]: command.enabled })
+                : await store.getPreferences(cleanPhone);
+            twiml.message(command.action === 'set' ? `✅ Saved - applies to your next download link.\n\n${generateLinkSettings(prefs)}` : generateLinkSettings(prefs));
+            
         } else if (Body && Body.toLowerCase() === 'help') {
             console.log(`🌟 HELP BRANCH TRIGGERED for ${From}`);
+            const region = await getUserRegion(From.replace('whatsapp:', ''));
             twiml.message(`📱 **Contact Processor**
 
 📋 **HOW TO USE:**
-1. Send VCF files OR paste contact text
+1. Send VCF/CSV/Excel/PDF files OR paste contact text
 2. Keep sending more if needed
 3. Tap "Export" button when done
 
 📂 **Supported Formats:**
    📇 VCF files (phone contact exports)
+   📊 CSV files (spreadsheet exports)
+   📗 Excel workbooks (.xlsx/.xls)
+   📄 PDF guest lists (text-based)
+   💬 WhatsApp chat exports (.txt or .zip)
    📝 Plain text contact information
 
 📝 **Text Examples:**
@@ -978,8 +1584,25 @@ ${downloadUrl}
 • Jane Smith: 08012345678
 • Bob Wilson - +44 20 7946 0958 bob@company.com
 
+🌍 **Default Country:** ${describeRegion(region)}
+Local numbers are formatted for this country.
+
 🔍 **Commands:**
 • "export" - Download CSV file
+• "export google" - Export for Google Contacts (also outlook, mailchimp, full, ticketing)
+• "export xlsx" - Excel workbook
+• "export vcf" - Contact file to add to your phone
+• "preview" - List your contacts (10 at a time)
+• "edit 3 name Jane Doe" - Fix a contact (name, mobile, email, company, notes, passes)
+• "delete 7" - Remove a contact
+• "undo" / "redo" - Reverse or reapply your last change
+• "clear" - Empty your current list
+• "report" - Download the lines I couldn't understand
+• "lists" - Show your named lists ("list new wedding-vip", "list use ...", "list rename ...", "list delete ...")
+• "formats" - List export formats
+• "country GH" - Change default country
+• "links" - Download link settings ("links once on" for one-time links, "links pin on" for a PIN)
+• "keep" / "merge" / "skip" - Answer duplicate questions
 • "help" - Show this message
 
 _Ready for your contacts!_`);
@@ -993,6 +1616,9 @@ I help you organize contacts into CSV files!
 
 📱 **I work with:**
 📇 VCF files (phone contact exports)
+📊 CSV & Excel spreadsheets
+📄 PDF guest lists
+💬 WhatsApp chat exports
 📝 Plain text contact information
 
 Send me your contacts → Get CSV file
@@ -1002,6 +1628,7 @@ Type "help" for more info.`);
         } else if (Body && Body.toLowerCase() === 'test') {
             console.log(`🌟 TEST BRANCH TRIGGERED for ${From}`);
             const fileCount = await getActiveFileCount();
+            const region = await getUserRegion(From.replace('whatsapp:', ''));
             
             twiml.message(`✅ **Contact Processor System Check Complete**
 
@@ -1009,7 +1636,7 @@ Type "help" for more info.`);
 🟢 Auto-Batching: ACTIVE
 🟢 Status Template with Export Button: ${STATUS_TEMPLATE_SID ? 'CONFIGURED' : 'NOT SET'}
 🟢 Download Template with CSV: ${DOWNLOAD_TEMPLATE_SID ? 'CONFIGURED' : 'NOT SET'}
-🟢 Storage: ${redisClient ? 'REDIS OPTIMISED' : 'MEMORY'}
+🟢 Storage: ${storage.name.toUpperCase()}
 
 **Template Configuration:**
 📋 Status Template SID: ${STATUS_TEMPLATE_SID || 'Not configured'}
@@ -1020,16 +1647,15 @@ Type "help" for more info.`);
 📁 Max File Size: 20MB
 ⏱️ Batch Timeout: ${BATCH_TIMEOUT / 60} minutes
 🗃️ Active Files: ${fileCount}
+🌍 Default Country: ${describeRegion(region)}
 
 **Supported Formats:**
-📇 VCF • 📝 Plain Text
+📇 VCF • 📊 CSV • 📗 Excel • 📄 PDF • 💬 WhatsApp Chat • 📝 Plain Text
 
 _Ready for contact processing!_`);
             
         // testtemplate command removed - feature deprecated
             
-        // preview command removed - feature deprecated
-            
         } else if (Body && Body.trim() && (NumMedia === 0 || NumMedia === '0')) {
             // SMART BATCH CONTACT EXTRACTION WITH AUTO-SPLITTING
             console.log(`🌟 PLAIN TEXT BRANCH TRIGGERED for ${From}`);
@@ -1054,7 +1680,8 @@ _Ready for contact processing!_`);
             
             // Get existing contacts to check for continuation
             const cleanPhone = From.replace('whatsapp:', '');
-            const existingContacts = await store.get(`contacts:${cleanPhone}`) || [];
+            await markInFlight(cleanPhone, res);
+            const existingContacts = await store.getContacts(cleanPhone);
             const isPartOfBatch = isLikelyContinuation(sanitizedBody, existingContacts);
             
             console.log(`📝 Message length: ${sanitizedBody.length}, Limit: ${EFFECTIVE_LIMIT}`);
@@ -1106,7 +1733,9 @@ _Ready for contact processing!_`);
                 console.log(`📝 Text preview (first 200 chars): ${sanitizedBody.substring(0, 200)}`);
                 
                 // Add timeout protection for large text processing
-                const parsePromise = parseContactFile(sanitizedBody, 'text/plain');
+                const region = await getUserRegion(cleanPhone);
+                const report = {};
+                const parsePromise = parseContactFile(sanitizedBody, 'text/plain', '', { region, report });
                 const timeoutPromise = new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('Text parsing timeout after 30 seconds')), 30000)
                 );
@@ -1119,8 +1748,10 @@ _Ready for contact processing!_`);
                 if (extractedContacts.length > 0) {
                     console.log(`📝 Contacts found, processing batch for ${From}`);
                     
-                    // Append contacts to batch
-                    const totalCount = await store.appendContacts(cleanPhone, extractedContacts);
+                    // Append contacts to batch, holding back duplicates
+                    const staged = await stageContacts(cleanPhone, extractedContacts, 'your message');
+                    const totalCount = staged.contacts.length;
+                    const skippedNotice = await noteSkippedInput(cleanPhone, [{ source: 'Message', report, contacts: extractedContacts }], staged.contacts);
                     console.log(`📝 Batch now contains ${totalCount} total contacts`);
                     
                     // Check if this is part of a guided split process
@@ -1185,11 +1816,31 @@ _Ready for contact processing!_`);
 💡 **VCF files work best for large contact lists!**`;
 
                             twiml.message(truncationMessage);
+                            if (staged.duplicateNotice) {
+                                twiml.message(staged.duplicateNotice);
+                            }
+                            if (skippedNotice) {
+                                twiml.message(skippedNotice);
+                            }
                             res.type('text/xml');
                             res.send(twiml.toString());
                             return;
                         }
 
+                        // One reply for messages arriving together
+                        const replyNow = await coalesceAcknowledgement(From, cleanPhone, {
+                            texts: 1,
+                            contacts: extractedContacts.length,
+                            added: staged.added,
+                            skipped: staged.skipped
+                        }, [skippedNotice].filter(Boolean), BATCH_ACK_DEBOUNCE_MS, twiml);
+                        
+                        if (!replyNow) {
+                            res.type('text/xml');
+                            res.send(twiml.toString());
+                            return;
+                        }
+                        
                         try {
                             console.log('📝 About to call sendPlainTextContactTemplate...');
                             await sendPlainTextContactTemplate(From, extractedContacts.length, extractedContacts, totalCount);
@@ -1223,11 +1874,22 @@ _Ready for contact processing!_`);
                         }
                     }
                     
+                    if (staged.duplicateNotice) {
+                        twiml.message(staged.duplicateNotice);
+                    }
+                    
+                    if (skippedNotice) {
+                        twiml.message(skippedNotice);
+                    }
+                    
                 } else {
                     // No contacts found, provide specific help for the user's format
                     console.log(`📝 No contacts parsed from ${sanitizedBody.length} character message`);
                     console.log(`📝 First 300 chars of failed message: ${sanitizedBody.substring(0, 300)}`);
                     
+                    // Keep the lines for "report"; the reply below already explains the problem
+                    await noteSkippedInput(cleanPhone, [{ source: 'Message', report, contacts: [] }], []);
+                    
                     twiml.message(`📝 **I couldn't find any contacts in your ${sanitizedBody.length} character message.**\n\n**Your format looks like:** Name +234... Name +234...\n\n**I'm optimized for:**\n• Mr John Doe +2348123456789\n• Mrs Jane Smith +2347098765432\n• Contact Name +234XXXXXXXXXX\n\n**Try:**\n1. Add spaces between names and phones\n2. Use proper +234 format\n3. Send smaller batches (50-100 contacts)\n\nType "help" for more examples.`);
                 }
                 
@@ -1238,7 +1900,7 @@ _Ready for contact processing!_`);
                 console.error('📝 Body that caused error:', sanitizedBody.substring(0, 200));
                 
                 // Fallback to welcome message
-                twiml.message(`✨ **Contact Processor**\n\nI help you organize contacts into CSV files!\n\n📱 **I work with:**\n📇 VCF files (phone contact exports)\n📝 Plain text contact information\n\nSend me your contacts → Get CSV file\n\nType "help" for more info.`);
+                twiml.message(`✨ **Contact Processor**\n\nI help you organize contacts into CSV files!\n\n📱 **I work with:**\n📇 VCF files (phone contact exports)\n📊 CSV & Excel spreadsheets\n📄 PDF guest lists\n💬 WhatsApp chat exports\n📝 Plain text contact information\n\nSend me your contacts → Get CSV file\n\nType "help" for more info.`);
             }
             
         } else {
@@ -1256,6 +1918,9 @@ I help you organize contacts into CSV files!
 
 📱 **I work with:**
 📇 VCF files (phone contact exports)
+📊 CSV & Excel spreadsheets
+📄 PDF guest lists
+💬 WhatsApp chat exports
 📝 Plain text contact information
 
 Send me your contacts → Get CSV file
@@ -1320,135 +1985,14 @@ function isGreeting(message) {
     return greetings.some(greeting => cleanMessage.startsWith(greeting + ' ') || cleanMessage.startsWith(greeting));
 }
 
-// SECURITY: File ID validation to prevent path traversal
-function validateFileId(fileId) {
-    if (!fileId || typeof fileId !== 'string') {
-        return false;
-    }
-    
-    // Must be a valid file ID format (16-character hex string or full UUID)
-    const shortIdRegex = /^[0-9a-f]{16}$/i; // 16-char hex string
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i; // Full UUID
-    
-    if (!shortIdRegex.test(fileId) && !uuidRegex.test(fileId)) {
-        console.log(`🚨 Invalid file ID format: ${fileId}`);
-        return false;
-    }
-    
-    // Additional safety checks
-    if (fileId.includes('..') || fileId.includes('/') || fileId.includes('\\')) {
-        console.log(`🚨 Path traversal attempt detected: ${fileId}`);
-        return false;
-    }
-    
-    return true;
-}
-
-// WhatsApp-safe redirect endpoint
-app.get('/get/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-    
-    // SECURITY: Validate file ID
-    if (!validateFileId(fileId)) {
-        return res.status(400).send('Invalid file ID');
-    }
-    
-    console.log(`🔗 WhatsApp redirect request for file: ${fileId}`);
-    res.redirect(301, `/download/${fileId}`);
-});
-
-// High-performance download endpoint with streaming
-app.get('/download/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-    
-    // SECURITY: Validate file ID
-    if (!validateFileId(fileId)) {
-        return res.status(400).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Invalid Request</title>
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <style>
-                    body { font-family: Arial, sans-serif; text-align: center; margin-top: 50px; }
-                    h1 { color: #e74c3c; }
-                </style>
-            </head>
-            <body>
-                <h1>❌ Invalid File ID</h1>
-                <p>The file ID provided is not valid.</p>
-            </body>
-            </html>
-        `);
-    }
-    
-    try {
-        console.log(`📥 Download request for file: ${fileId}`);
-        const fileData = await storage.get(`file:${fileId}`);
-        
-        if (!fileData) {
-            console.log(`❌ File not found: ${fileId}`);
-            return res.status(404).send(`
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <title>File Not Found</title>
-                    <meta name="viewport" content="width=device-width, initial-scale=1">
-                    <style>
-                        body {
-                            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
-                            display: flex;
-                            justify-content: center;
-                            align-items: center;
-                            min-height: 100vh;
-                            margin: 0;
-                            background: #f5f5f5;
-                        }
-                        .container {
-                            background: white;
-                            padding: 2rem;
-                            border-radius: 10px;
-                            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                            text-align: center;
-                            max-width: 400px;
-                        }
-                        h1 { color: #e74c3c; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <h1>❌ File Not Found</h1>
-                        <p>This file has expired or doesn't exist.</p>
-                        <p>Files are automatically deleted after 2 hours for security.</p>
-                        <p><strong>Dual Template System:</strong> Export button → Download CSV button experience.</p>
-                    </div>
-                </body>
-                </html>
-            `);
-        }
-        
-        // Set headers for optimised download
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', `attachment; filename="${fileData.filename}"`);
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
-        
-        // Add UTF-8 BOM for Excel compatibility
-        const bom = '\uFEFF';
-        const content = bom + fileData.content;
-        
-        res.send(content);
-        
-        console.log(`📥 File downloaded successfully: ${fileId} (${fileData.contactCount || 0} contacts, ${(content.length / 1024).toFixed(2)}KB)`);
-        
-    } catch (error) {
-        console.error('Download error:', error);
-        res.status(500).send(`
+// Error page for the download routes
+function sendDownloadError(res, status, title, lines) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(status).send(`
             <!DOCTYPE html>
             <html>
             <head>
-                <title>Download Failed</title>
+                <title>${title}</title>
                 <meta name="viewport" content="width=device-width, initial-scale=1">
                 <style>
                     body {
@@ -1473,13 +2017,195 @@ app.get('/download/:fileId', async (req, res) => {
             </head>
             <body>
                 <div class="container">
-                    <h1>❌ Download Failed</h1>
-                    <p>There was an error processing your download.</p>
-                    <p>Please try again or contact support.</p>
+                    <h1>❌ ${title}</h1>
+                    ${lines.map(line => `<p>${line}</p>`).join('\n                    ')}
                 </div>
             </body>
             </html>
         `);
+}
+
+// SECURITY: Checks the link's signature and expiry - returns the file ID, or null after sending an error page
+function checkDownloadToken(req, res) {
+    const result = verifyDownloadToken(req.params.token, DOWNLOAD_LINK_SECRET);
+    
+    if (result.error === 'expired') {
+        sendDownloadError(res, 410, 'Link Expired', [
+            'This download link has expired.',
+            'Links work for 2 hours - type "export" in WhatsApp for a new one.'
+        ]);
+        return null;
+    }
+    
+    if (result.error) {
+        console.log(`🚨 Invalid download link: ${String(req.params.token).substring(0, 64)}`);
+        sendDownloadError(res, 403, 'Invalid Link', ['This download link is not valid.']);
+        return null;
+    }
+    
+    return result.fileId;
+}
+
+// Stored file for a checked link - sends the "not found" page when it's gone
+async function loadDownloadFile(fileId, res) {
+    const fileData = await store.getTempFile(fileId);
+    
+    if (!fileData) {
+        console.log(`❌ File not found: ${fileId}`);
+        sendDownloadError(res, 404, 'File Not Found', [
+            "This file has expired, was already downloaded or doesn't exist.",
+            'Files are automatically deleted after 2 hours for security.'
+        ]);
+    }
+    
+    return fileData;
+}
+
+// Sends a file in the requested format - an attachment, or inline for "Add to my phone" so the phone offers to import it
+function sendDownloadContent(res, fileId, file) {
+    // Set headers for optimised download
+    const mimeType = file.mimeType;
+    res.setHeader('Content-Type', mimeType.startsWith('text/') ? `${mimeType}; charset=utf-8` : mimeType);
+    res.setHeader('Content-Disposition', `${file.inline ? 'inline' : 'attachment'}; filename="${file.filename}"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    
+    // Add UTF-8 BOM for Excel compatibility (phones reject vCards that start with one)
+    const bom = mimeType === 'text/csv' ? '\uFEFF' : '';
+    const content = file.encoding === 'base64'
+        ? Buffer.from(file.content, 'base64')
+        : bom + file.content;
+    
+    res.send(content);
+    
+    console.log(`📥 File downloaded successfully: ${fileId} as ${file.filename} (${(content.length / 1024).toFixed(2)}KB)`);
+}
+
+// The requested format of a stored file - sends an error page and returns null when it isn't offered
+function resolveDownloadFormat(res, fileData, format) {
+    const file = convertDownloadFile(fileData, format || getFileFormat(fileData));
+    if (!file) {
+        sendDownloadError(res, 400, 'Format Not Available', ['This file can only be downloaded in its original format.']);
+    }
+    return file;
+}
+
+// Landing page for a download link - never cached, so expiry and one-time links hold
+function sendDownloadPage(res, token, fileData, options = {}) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(options.status || 200).send(generateDownloadPage({
+        token,
+        fileData,
+        needsPin: !!fileData.pinHash,
+        pin: options.pin,
+        error: options.error
+    }));
+}
+
+function sendDownloadFailure(res, error) {
+    console.error('Download error:', error);
+    sendDownloadError(res, 500, 'Download Failed', [
+        'There was an error processing your download.',
+        'Please try again or contact support.'
+    ]);
+}
+
+// WhatsApp link - a landing page with the contact count, a preview and a button per format
+app.get('/get/:token', async (req, res) => {
+    const fileId = checkDownloadToken(req, res);
+    if (!fileId) return;
+    
+    try {
+        console.log(`🔗 Download page request for file: ${fileId}`);
+        const fileData = await loadDownloadFile(fileId, res);
+        if (!fileData) return;
+        
+        sendDownloadPage(res, req.params.token, fileData);
+    } catch (error) {
+        sendDownloadFailure(res, error);
+    }
+});
+
+// High-performance download endpoint - ?format=csv|vcf|xlsx|phone, the file's own format by default
+// One-time and PIN-protected files are only released by the page's POST form, so link previews can't use them up
+app.get('/download/:token', async (req, res) => {
+    const fileId = checkDownloadToken(req, res);
+    if (!fileId) return;
+    
+    try {
+        console.log(`📥 Download request for file: ${fileId}`);
+        const fileData = await loadDownloadFile(fileId, res);
+        if (!fileData) return;
+        
+        if (fileData.pinHash || fileData.oneTime) {
+            return sendDownloadPage(res, req.params.token, fileData);
+        }
+        
+        const file = resolveDownloadFormat(res, fileData, req.query.format);
+        if (file) sendDownloadContent(res, fileId, file);
+    } catch (error) {
+        sendDownloadFailure(res, error);
+    }
+});
+
+// Form on the download page - checks the PIN (showing the preview once it's right) and uses up one-time links
+app.post('/download/:token', async (req, res) => {
+    const fileId = checkDownloadToken(req, res);
+    if (!fileId) return;
+    
+    try {
+        const fileData = await loadDownloadFile(fileId, res);
+        if (!fileData) return;
+        
+        if (fileData.pinHash) {
+            // Counted before checking, so guesses sent at the same time can't get past the limit
+            const attempts = await store.addPinAttempt(fileId, FILE_EXPIRY / 1000);
+            const correct = attempts <= MAX_PIN_ATTEMPTS && verifyPin(fileId, req.body.pin, fileData.pinHash, DOWNLOAD_LINK_SECRET);
+            
+            if (!correct) {
+                if (attempts >= MAX_PIN_ATTEMPTS) {
+                    await store.deleteTempFile(fileId);
+                    console.log(`🚨 Too many wrong PINs for file ${fileId} - deleted`);
+                    return sendDownloadError(res, 403, 'Too Many Attempts', [
+                        'The wrong PIN was entered too many times, so this file was deleted.',
+                        'Type "export" in WhatsApp for a new link.'
+                    ]);
+                }
+                
+                const left = MAX_PIN_ATTEMPTS - attempts;
+                return sendDownloadPage(res, req.params.token, fileData, {
+                    status: 401,
+                    error: `Wrong PIN - ${left} attempt${left === 1 ? '' : 's'} left`
+                });
+            }
+            
+            await store.addPinAttempt(fileId, FILE_EXPIRY / 1000, -1);   // correct PINs don't use up attempts
+            
+            // Unlocked - show the preview and format buttons, which send the PIN again
+            if (!req.body.format) {
+                return sendDownloadPage(res, req.params.token, fileData, { pin: String(req.body.pin).replace(/\s+/g, '') });
+            }
+        }
+        
+        const file = resolveDownloadFormat(res, fileData, req.body.format);
+        if (!file) return;
+        
+        if (fileData.oneTime) {
+            // Only the first request gets the file, even if two arrive together
+            if (!(await store.claimTempFile(fileId, FILE_EXPIRY / 1000))) {
+                return sendDownloadError(res, 410, 'Already Downloaded', [
+                    'This link works for one download and has already been used.',
+                    'Type "export" in WhatsApp for a new link.'
+                ]);
+            }
+            await store.deleteTempFile(fileId);
+            console.log(`☝️ One-time file ${fileId} released and deleted`);
+        }
+        
+        sendDownloadContent(res, fileId, file);
+    } catch (error) {
+        sendDownloadFailure(res, error);
     }
 });
 
@@ -1554,15 +2280,19 @@ app.get('/', async (req, res) => {
                 <div class="status">
                     <h3>🎯 System Status</h3>
                     <div class="metric"><span>Access Policy:</span><strong class="green">✅ Public Access (All Users Welcome)</strong></div>
-                    <div class="metric"><span>Storage Backend:</span><strong>${redisClient ? 'Redis Cloud (Optimised)' : 'In-Memory'}</strong></div>
+                    <div class="metric"><span>Storage Backend:</span><strong>${STORAGE_LABELS[storage.name]}</strong></div>
                     <div class="metric"><span>Active Files:</span><strong>${fileCount}</strong></div>
                     <div class="metric"><span>Environment:</span><strong>${IS_PRODUCTION ? 'Production' : 'Development'}</strong></div>
                 </div>
                 
-                <h3>📂 Supported Formats (2 Total)</h3>
+                <h3>📂 Supported Formats (6 Total)</h3>
                 <ul>
                     <li>📇 <strong>VCF</strong> - Contact cards (optimized parsing)</li>
-                    <li>📝 <strong>Plain Text</strong> - Contact information parsing (4 methods)</li>
+                    <li>📊 <strong>CSV</strong> - Spreadsheet exports (header auto-mapping, delimiter sniffing)</li>
+                    <li>📗 <strong>Excel</strong> - .xlsx/.xls workbooks (every sheet with a recognisable header)</li>
+                    <li>📄 <strong>PDF</strong> - Text-based guest lists (one table row per contact)</li>
+                    <li>💬 <strong>WhatsApp Chat Export</strong> - .txt or .zip from "Export chat" (participants, shared numbers and contact cards)</li>
+                    <li>📝 <strong>Plain Text</strong> - Contact information parsing (labelled blocks, name/number lines, pattern scans and custom strategies)</li>
                 </ul>
                 
                 <h3>📋 Dual Template Configuration</h3>
@@ -1631,26 +2361,13 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Enhanced file count helper with Redis optimisation
+// Download files currently stored (any backend)
 async function getActiveFileCount() {
-    if (redisClient) {
-        try {
-            const keys = await redisClient.keys('file:*');
-            // Filter out chunked metadata
-            const fileKeys = keys.filter(key => !key.includes(':meta') && !key.includes(':chunk:'));
-            return fileKeys.length;
-        } catch (error) {
-            console.error('Redis file count error:', error);
-            return 0;
-        }
-    } else {
-        const now = Date.now();
-        Object.keys(fileStorage).forEach(key => {
-            if (fileStorage[key].expires < now) {
-                delete fileStorage[key];
-            }
-        });
-        return Object.keys(fileStorage).length;
+    try {
+        return (await storage.keys('file:')).length;
+    } catch (error) {
+        console.error('File count error:', error);
+        return 0;
     }
 }
 
@@ -1660,7 +2377,7 @@ app.listen(PORT, () => {
     console.log('🚀 OPERATION: DUAL TEMPLATE EXPORT SYSTEM - PROFESSIONAL BUTTONS');
     console.log(`📡 Listening on PORT: ${PORT}`);
     console.log(`🔧 Environment: ${IS_PRODUCTION ? 'PRODUCTION' : 'DEVELOPMENT'}`);
-    console.log(`💾 Storage: ${redisClient ? 'Redis Connected (Optimised)' : 'In-Memory Mode'}`);
+    console.log(`💾 Storage: ${STORAGE_LABELS[storage.name]}`);
     console.log(`🌐 Base URL: ${BASE_URL}`);
     console.log(`🌍 Access Policy: PUBLIC ACCESS - All users welcome!`);
     console.log(`🔒 Security: Enhanced rate limiting (20 req/15min) for public use`);
@@ -1677,7 +2394,7 @@ app.listen(PORT, () => {
     console.log('   📁 Large file support: up to 20MB');
     console.log('   🔄 Enhanced error handling and recovery');
     console.log('   ✅ Enhanced validation: accepts name OR phone OR email');
-    console.log('   📁 Supported: VCF, Plain Text');
+    console.log('   📁 Supported: VCF, CSV, Excel, PDF, Plain Text');
     console.log('\n📋 Dual template webhook ready at: POST /webhook');
     console.log('💡 Professional UX: Status template → Download template!');
 });
@@ -1685,31 +2402,19 @@ app.listen(PORT, () => {
 // Enhanced cleanup with performance monitoring
 setInterval(async () => {
     const startTime = Date.now();
-    let cleanedCount = 0;
-    
-    if (!redisClient) {
-        const now = Date.now();
-        Object.keys(fileStorage).forEach(key => {
-            if (fileStorage[key].expires < now) {
-                delete fileStorage[key];
-                cleanedCount++;
-            }
-        });
-    }
+    const cleanedCount = await storage.sweep();
     
     const cleanupTime = Date.now() - startTime;
     if (cleanedCount > 0) {
-        console.log(`🗑️ Cleaned ${cleanedCount} expired files in ${cleanupTime}ms`);
+        console.log(`🗑️ Cleaned ${cleanedCount} expired entries in ${cleanupTime}ms`);
     }
 }, 30 * 60 * 1000); // Every 30 minutes
 
 // Graceful shutdown with cleanup
 process.on('SIGTERM', async () => {
     console.log('📴 Shutting down gracefully...');
-    if (redisClient) {
-        console.log('💾 Closing Redis connection...');
-        await redisClient.quit();
-    }
+    console.log(`💾 Closing ${storage.name} storage...`);
+    await storage.close();
     console.log('✅ Shutdown complete');
     process.exit(0);
 });
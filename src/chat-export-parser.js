@@ -0,0 +1,314 @@
+// chat-export-parser.js - WhatsApp "Export chat" files (.txt, or .zip with media)
+// Participants become contacts (with their number when the exporter hadn't saved them),
+// plus numbers and contact cards shared in the conversation
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+const logError = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.error(...args);
+    } else {
+        console.error('Chat export parser error occurred');
+    }
+};
+
+const { normalizePhone } = require('./phone-normalizer');
+const { findPhones } = require('./text-strategies');
+
+// Archive limits - exports with media can be large, but never unpack more than this
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024; // 100MB uncompressed
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_SHARED_CARDS = 250;
+
+// "31/12/2023, 21:41 - Name: message" (Android) or "[31/12/2023, 21:41:05] Name: message" (iOS);
+// dates may use / . or -, times 12 or 24-hour
+const MESSAGE_HEADER = /^\[?(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\s*[APap]\.?\s*[Mm]\.?)?)\]?\s*(?:[-–]\s+)?(.*)$/;
+const MAX_SENDER_LENGTH = 60;
+
+// Direction marks iOS puts around numbers and at line starts
+const BIDI_MARKS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+// Group events that name participants who may never have posted
+const JOIN_EVENTS = [
+    /^(.+?) added (.+)$/,
+    /^(.+?) joined using this group's invite link$/,
+    /^(.+?) joined from the community$/
+];
+
+// Other group notices - iOS puts the group name in front of these (and of JOIN_EVENTS) as if it had sent them
+const SYSTEM_NOTICES = [
+    /^Messages and calls are end-to-end encrypted\b/,
+    /^(.+?) created (?:this )?group\b/,
+    /^(.+?) changed (?:the subject|the group name|this group's icon|the group description)\b/,
+    /^(.+?) deleted this group's icon$/,
+    /^(.+?) removed (.+)$/,
+    /^(.+?) left$/
+];
+
+// "Ada Obi.vcf (file attached)" (Android) or "<attached: 00000012-Ada Obi.vcf>" (iOS)
+const CARD_ATTACHMENT = /(?:^|\s)([^<>\n]+?\.vcf)\s*\(file attached\)|<attached:\s*([^>]+?\.vcf)>/i;
+
+function cleanLine(line) {
+    return line.replace(BIDI_MARKS, '');
+}
+
+function cleanParticipant(name) {
+    return name.replace(/^~\s*/, '').trim();
+}
+
+function isPhoneNumber(text) {
+    return /^\+?[\d\s\-()]{8,20}$/.test(text) && findPhones(text).length > 0;
+}
+
+// "Caterer is Chi Eze" -> "Chi Eze": chat messages wrap names in sentences
+function trailingName(name) {
+    const words = (name || '').split(/\s+/).filter(Boolean);
+    const capitalised = [];
+    while (words.length > 0 && capitalised.length < 4 && /^\p{Lu}/u.test(words[words.length - 1])) {
+        capitalised.unshift(words.pop());
+    }
+    return capitalised.length > 0 ? capitalised.join(' ') : name;
+}
+
+function isGroupEvent(text) {
+    return [...JOIN_EVENTS, ...SYSTEM_NOTICES].some(pattern => pattern.test(text));
+}
+
+function phoneKey(mobile) {
+    return (mobile || '').replace(/\D/g, '').slice(-9);
+}
+
+/**
+ * True when the text looks like a WhatsApp chat export (most opening lines are message headers)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isChatExport(text) {
+    if (typeof text !== 'string') return false;
+
+    const lines = text.split(/\r?\n/).map(cleanLine).filter(line => line.trim()).slice(0, 50);
+    const headers = lines.filter(line => MESSAGE_HEADER.test(line)).length;
+    return headers >= Math.min(3, lines.length) && headers / lines.length >= 0.3;
+}
+
+/**
+ * Splits an export into messages; lines without a header continue the previous message
+ * @param {string} text
+ * @returns {Array<{sender: string|null, text: string}>} sender is null for group events
+ */
+function splitMessages(text) {
+    const messages = [];
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = cleanLine(rawLine);
+        const header = line.match(MESSAGE_HEADER);
+
+        if (!header) {
+            if (messages.length > 0) messages[messages.length - 1].text += `\n${line}`;
+            return;
+        }
+
+        const body = header[3];
+        const separator = body.indexOf(': ');
+        if (separator > 0 && separator <= MAX_SENDER_LENGTH && !isGroupEvent(body.substring(separator + 2))) {
+            messages.push({ sender: cleanParticipant(body.substring(0, separator)), text: body.substring(separator + 2) });
+        } else {
+            // "Family Group: Ada added Bola" (iOS) is an event, not a message from the group
+            const event = separator > 0 && separator <= MAX_SENDER_LENGTH ? body.substring(separator + 2) : body;
+            messages.push({ sender: null, text: event });
+        }
+    });
+
+    return messages;
+}
+
+// Names from "Ada added Bola, Chi and +234 803 123 4567" style events
+function eventParticipants(text) {
+    const names = [];
+    JOIN_EVENTS.forEach(pattern => {
+        const match = text.match(pattern);
+        if (!match) return;
+        const added = match[2] !== undefined ? match[2] : match[1];
+        added.split(/,\s*|\s+and\s+/).map(cleanParticipant).filter(Boolean).forEach(name => names.push(name));
+    });
+    return names.filter(name => name.toLowerCase() !== 'you');
+}
+
+/**
+ * Reads contacts out of a chat export
+ * @param {string} text - Contents of the exported .txt
+ * @param {Object} options
+ * @param {string} [options.region] - Default country for local numbers
+ * @param {Array<Object>} [options.sharedContacts] - Contacts from vCards found next to the chat (zip exports)
+ * @param {Object} [options.report] - Filled with messages, participants (and how many have no number),
+ *   sharedNumbers, sharedCards and missingCards
+ * @returns {Array<Object>} Contacts tagged with method 'chat-participant' or the method that read them
+ */
+function parseChatExport(text, options = {}) {
+    const { region, sharedContacts = [], report = {} } = options;
+    const messages = splitMessages(text);
+
+    // Participants - senders plus anyone added to or joining the group
+    const participants = new Set();
+    messages.forEach(message => {
+        if (message.sender) participants.add(message.sender);
+        else eventParticipants(message.text).forEach(name => participants.add(name));
+    });
+
+    const contacts = [];
+    participants.forEach(participant => {
+        if (participant.toLowerCase() === 'you') return;
+        const isNumber = isPhoneNumber(participant);
+        const digits = participant.replace(/[^\d+]/g, '');
+        contacts.push({
+            name: isNumber ? '' : participant,
+            mobile: isNumber ? (normalizePhone(digits, region) || digits) : '',
+            email: '',
+            passes: 1,
+            method: 'chat-participant'
+        });
+    });
+
+    // Numbers typed in messages, read by the text strategies (one message per line)
+    const { parseTextContacts } = require('./csv-excel-parser');
+    const withNumbers = messages
+        .filter(message => message.sender && !CARD_ATTACHMENT.test(message.text) && findPhones(message.text).length > 0)
+        .map(message => message.text.replace(/\s*\n\s*/g, ' '));
+    const sharedNumbers = withNumbers.length > 0 ? parseTextContacts(withNumbers.join('\n'), { region }) : [];
+    sharedNumbers.forEach(contact => {
+        contact.name = trailingName(contact.name);
+    });
+
+    // Cards shared in the chat - only included in exports "with media"
+    const cardsMentioned = messages.filter(message => CARD_ATTACHMENT.test(message.text)).length;
+
+    // Numbers and cards carry more than a bare participant name, so they go first
+    const merged = [];
+    const seenPhones = new Set();
+    const seenNames = new Set();
+    [...sharedContacts, ...sharedNumbers, ...contacts].forEach(contact => {
+        const key = phoneKey(contact.mobile);
+        const name = (contact.name || '').toLowerCase();
+        if (key ? seenPhones.has(key) : (name && seenNames.has(name))) return;
+        if (key) seenPhones.add(key);
+        if (name && name !== 'contact') seenNames.add(name);
+        merged.push(contact);
+    });
+
+    Object.assign(report, {
+        format: 'whatsapp-chat',
+        messages: messages.length,
+        participants: contacts.length,
+        participantsWithoutNumber: contacts.filter(contact => !contact.mobile).length,
+        sharedNumbers: sharedNumbers.length,
+        sharedCards: sharedContacts.length,
+        missingCards: sharedContacts.length === 0 ? cardsMentioned : 0,
+        skippedLines: []
+    });
+
+    log(`💬 Chat export: ${messages.length} messages, ${contacts.length} participants, ${sharedNumbers.length} shared numbers, ${sharedContacts.length} shared cards`);
+    return merged;
+}
+
+/**
+ * True for zip files that aren't Office documents (chat exports "with media")
+ * @param {Buffer|string} fileContent
+ * @param {string} mediaType
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isChatArchive(fileContent, mediaType = '', filename = '') {
+    if ((filename || '').toLowerCase().endsWith('.zip') || /\bzip\b/.test(mediaType)) return true;
+    if (!Buffer.isBuffer(fileContent) || fileContent.length < 8) return false;
+
+    const isZip = fileContent.readUInt32BE(0) === 0x504B0304;
+    return isZip && !fileContent.includes('[Content_Types].xml');
+}
+
+// Total uncompressed size and entry count from the zip's central directory, read before unpacking
+function archiveSize(buffer) {
+    const searchFrom = Math.max(0, buffer.length - 22 - 0xFFFF);
+    let end = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('The zip file is damaged. Please export the chat again.');
+
+    const entries = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    let total = 0;
+    for (let i = 0; i < entries && offset + 46 <= buffer.length; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+        total += buffer.readUInt32LE(offset + 24);
+        offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    return { entries, total };
+}
+
+/**
+ * Unpacks a chat export zip and parses the chat inside it (_chat.txt on iOS, "WhatsApp Chat with ...txt" on Android)
+ * @param {Buffer} buffer - The .zip file
+ * @param {Object} options - As parseChatExport
+ * @returns {Array<Object>}
+ * @throws {Error} When the zip is too large, damaged or has no chat in it
+ */
+function parseChatArchive(buffer, options = {}) {
+    const { entries, total } = archiveSize(buffer);
+    if (entries > MAX_ARCHIVE_ENTRIES || total > MAX_ARCHIVE_SIZE) {
+        throw new Error(`Zip file too large to unpack (max: ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB). Export the chat without media instead.`);
+    }
+
+    const XLSX = require('xlsx');
+    let archive;
+    try {
+        archive = XLSX.CFB.read(buffer, { type: 'buffer' });
+    } catch (error) {
+        logError('❌ Zip read error:', error.message);
+        throw new Error('The zip file is damaged. Please export the chat again.');
+    }
+
+    const files = archive.FileIndex
+        .map((entry, index) => ({ path: archive.FullPaths[index], entry }))
+        .filter(({ entry }) => entry.type === 2 && entry.content && entry.content.length > 0);
+
+    const textFiles = files.filter(({ path }) => path.toLowerCase().endsWith('.txt'));
+    const chat = textFiles.find(({ path }) => /(^|\/)_chat\.txt$/i.test(path)) ||
+        textFiles.find(({ entry }) => isChatExport(Buffer.from(entry.content).toString('utf8')));
+    if (!chat) {
+        throw new Error('No WhatsApp chat found in the zip file. Please send the zip from "Export chat".');
+    }
+
+    const { parseVCF } = require('./vcf-parser');
+    const sharedContacts = [];
+    files
+        .filter(({ path }) => path.toLowerCase().endsWith('.vcf'))
+        .slice(0, MAX_SHARED_CARDS)
+        .forEach(({ path, entry }) => {
+            try {
+                parseVCF(Buffer.from(entry.content), { region: options.region }).forEach(contact => {
+                    sharedContacts.push({ ...contact, method: 'vcf' });
+                });
+            } catch (error) {
+                logError(`❌ Shared card ${path} could not be read:`, error.message);
+            }
+        });
+
+    log(`🗜️ Chat archive: ${files.length} files, chat in ${chat.path}, ${sharedContacts.length} shared cards`);
+    return parseChatExport(Buffer.from(chat.entry.content).toString('utf8'), { ...options, sharedContacts });
+}
+
+module.exports = {
+    isChatExport,
+    isChatArchive,
+    parseChatExport,
+    parseChatArchive
+};
@@ -0,0 +1,198 @@
+// Contact Editor
+// Chat commands for reviewing and fixing the staged batch before export (preview, delete, edit, undo summaries)
+
+const { normalizePhone } = require('./phone-normalizer');
+
+const PAGE_SIZE = 10;
+const MAX_MESSAGE_LENGTH = 1600; // Twilio WhatsApp message limit
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field names users can type after "edit N", mapped to contact fields
+const EDITABLE_FIELDS = {
+    name: 'name',
+    mobile: 'mobile',
+    phone: 'mobile',
+    number: 'mobile',
+    email: 'email',
+    company: 'company',
+    notes: 'notes',
+    note: 'notes',
+    passes: 'passes'
+};
+
+/**
+ * Parses "preview" / "preview 2"
+ * @param {string} message
+ * @returns {{page: number}|null}
+ */
+function parsePreviewCommand(message) {
+    const match = (message || '').trim().match(/^preview(?:\s+(\d+))?$/i);
+    if (!match) return null;
+    return { page: match[1] ? parseInt(match[1], 10) : 1 };
+}
+
+/**
+ * Parses "delete 7"
+ * @param {string} message
+ * @returns {{number: number}|null}
+ */
+function parseDeleteCommand(message) {
+    const match = (message || '').trim().match(/^delete\s+(\d+)$/i);
+    if (!match) return null;
+    return { number: parseInt(match[1], 10) };
+}
+
+/**
+ * Parses "edit 3 name Jane Doe" - the field is checked later so typos get a helpful reply
+ * @param {string} message
+ * @returns {{number: number, field: string, value: string}|null}
+ */
+function parseEditCommand(message) {
+    const match = (message || '').trim().match(/^edit\s+(\d+)\s+(\S+)\s+([\s\S]+)$/i);
+    if (!match) return null;
+    return { number: parseInt(match[1], 10), field: match[2].toLowerCase(), value: match[3].trim() };
+}
+
+function truncate(value, length) {
+    const text = String(value || '');
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+// One numbered entry - long values are shortened so a full page fits in one message
+function formatContactEntry(contact, number) {
+    const details = [];
+    if (contact.mobile) details.push(`📱 ${contact.mobile}`);
+    if (contact.email) details.push(`📧 ${truncate(contact.email, 35)}`);
+
+    let entry = `${number}. *${truncate(contact.name || '(no name)', 35)}*`;
+    if (details.length > 0) entry += `\n   ${details.join('  ')}`;
+    if (contact.company) entry += `\n   🏢 ${truncate(contact.company, 25)}`;
+    if (contact.passes > 1) entry += `\n   🎟️ ${contact.passes} passes`;
+
+    return entry;
+}
+
+/**
+ * Builds one page of the numbered batch listing
+ * @param {Array} contacts - Staged batch
+ * @param {number} page - 1-based page number (clamped to the available pages)
+ * @returns {{message: string, page: number, totalPages: number}}
+ */
+function generatePreviewPage(contacts, page) {
+    const totalPages = Math.max(1, Math.ceil(contacts.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 1), totalPages);
+    const start = (current - 1) * PAGE_SIZE;
+    const pageContacts = contacts.slice(start, start + PAGE_SIZE);
+
+    const header = `👁️ *Your batch: ${contacts.length} contact${contacts.length === 1 ? '' : 's'}*${totalPages > 1 ? ` (page ${current} of ${totalPages})` : ''}`;
+
+    let footer = '';
+    if (current < totalPages) footer += `➡️ Type "preview ${current + 1}" for the next ${PAGE_SIZE}\n`;
+    footer += `✏️ "edit N name Jane Doe" • 🗑️ "delete N"\n📤 Type "export" when ready`;
+
+    // Share whatever room is left between the entries so the message never exceeds the limit
+    const budget = Math.floor((MAX_MESSAGE_LENGTH - header.length - footer.length - 4) / Math.max(pageContacts.length, 1)) - 2;
+    const entries = pageContacts.map((contact, index) => truncate(formatContactEntry(contact, start + index + 1), budget));
+
+    return {
+        message: `${header}\n\n${entries.join('\n\n')}\n\n${footer}`,
+        page: current,
+        totalPages
+    };
+}
+
+/**
+ * Removes one contact from the batch
+ * @param {Array} contacts
+ * @param {number} number - 1-based position shown in the preview
+ * @returns {{contacts: Array, removed?: Object, error?: string}}
+ */
+function deleteContact(contacts, number) {
+    if (number < 1 || number > contacts.length) {
+        return { contacts, error: `There is no contact ${number} - your batch has ${contacts.length}.` };
+    }
+
+    const updated = contacts.slice();
+    const [removed] = updated.splice(number - 1, 1);
+    return { contacts: updated, removed };
+}
+
+/**
+ * Changes one field of a contact, validating phone numbers, emails and passes
+ * @param {Array} contacts
+ * @param {{number: number, field: string, value: string}} edit - From parseEditCommand
+ * @param {string} region - Region for local phone numbers
+ * @returns {{contacts: Array, contact?: Object, field?: string, error?: string}}
+ */
+function editContact(contacts, edit, region) {
+    const field = EDITABLE_FIELDS[edit.field];
+    if (!field) {
+        return { contacts, error: `"${edit.field}" can't be edited. Use one of: name, mobile, email, company, notes, passes.` };
+    }
+    if (edit.number < 1 || edit.number > contacts.length) {
+        return { contacts, error: `There is no contact ${edit.number} - your batch has ${contacts.length}.` };
+    }
+
+    let value = edit.value;
+    if (field === 'mobile') {
+        value = normalizePhone(edit.value, region);
+        if (!value) return { contacts, error: `"${edit.value}" doesn't look like a valid phone number.` };
+    } else if (field === 'email') {
+        value = edit.value.toLowerCase();
+        if (!EMAIL_PATTERN.test(value)) return { contacts, error: `"${edit.value}" doesn't look like a valid email address.` };
+    } else if (field === 'passes') {
+        value = parseInt(edit.value, 10);
+        if (!/^\d+$/.test(edit.value) || value < 1) return { contacts, error: `Passes must be a whole number of 1 or more.` };
+    }
+
+    const original = contacts[edit.number - 1];
+    const contact = { ...original, [field]: value };
+
+    // Keep the vCard number/email lists in step with the main value
+    if (field === 'mobile' && original.phones) {
+        contact.phones = original.phones.map(phone => (phone.value === original.mobile ? { ...phone, value } : phone));
+    }
+    if (field === 'email' && original.emails) {
+        contact.emails = original.emails.map(email => (email.value === original.email ? { ...email, value } : email));
+    }
+
+    const updated = contacts.slice();
+    updated[edit.number - 1] = contact;
+    return { contacts: updated, contact, field };
+}
+
+/**
+ * Compares two versions of the batch (used to summarise undo / redo)
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {{added: Array, removed: Array}} Contacts only in after / only in before
+ */
+function diffContacts(before, after) {
+    // Contacts from list without a matching copy in the other version
+    const unmatched = (list, other) => {
+        const remaining = new Map();
+        other.forEach(contact => {
+            const key = JSON.stringify(contact);
+            remaining.set(key, (remaining.get(key) || 0) + 1);
+        });
+        return list.filter(contact => {
+            const key = JSON.stringify(contact);
+            if (!remaining.get(key)) return true;
+            remaining.set(key, remaining.get(key) - 1);
+            return false;
+        });
+    };
+
+    return { added: unmatched(after, before), removed: unmatched(before, after) };
+}
+
+module.exports = {
+    parsePreviewCommand,
+    parseDeleteCommand,
+    parseEditCommand,
+    generatePreviewPage,
+    deleteContact,
+    editContact,
+    diffContacts,
+    PAGE_SIZE
+};
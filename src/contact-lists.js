@@ -0,0 +1,90 @@
+// Contact Lists
+// Named, persistent lists per user (e.g. "wedding-vip", "conference-day1") managed from the chat
+
+const MAX_LIST_NAME_LENGTH = 30;
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const DEFAULT_LIST_NAMES = ['default', 'batch']; // "list use default" goes back to the 2-hour batch
+
+/**
+ * Turns a typed list name into its stored form ("Wedding VIP" -> "wedding-vip")
+ * @param {string} name
+ * @returns {string|null} Normalised name or null if it can't be used
+ */
+function normalizeListName(name) {
+    const normalized = (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+    if (!normalized || normalized.length > MAX_LIST_NAME_LENGTH || !LIST_NAME_PATTERN.test(normalized)) return null;
+    if (DEFAULT_LIST_NAMES.includes(normalized)) return null;
+    return normalized;
+}
+
+/**
+ * Parses list management commands
+ * • "lists" - show all lists
+ * • "list new wedding-vip" / "list create ..."
+ * • "list use wedding-vip" / "list switch ..." ("list use default" for the 2-hour batch)
+ * • "list rename wedding-vip vip" / "list rename vip" (renames the active list)
+ * • "list delete wedding-vip"
+ * Anything else starting with "list" is left for the contact parser (e.g. a pasted "List: ...")
+ * @param {string} message
+ * @returns {{action: string, name?: string, newName?: string}|null}
+ */
+function parseListCommand(message) {
+    const text = (message || '').trim();
+
+    if (/^(lists|list)$/i.test(text)) return { action: 'show' };
+
+    let match = text.match(/^list\s+(new|create|use|switch|delete|remove)\s+(.+)$/i);
+    if (match) {
+        const actions = { new: 'create', create: 'create', use: 'use', switch: 'use', delete: 'delete', remove: 'delete' };
+        return { action: actions[match[1].toLowerCase()], name: match[2].trim() };
+    }
+
+    match = text.match(/^list\s+rename\s+(\S+)(?:\s+(?:to\s+)?(\S+))?$/i);
+    if (match) {
+        return match[2]
+            ? { action: 'rename', name: match[1], newName: match[2] }
+            : { action: 'rename', newName: match[1] };
+    }
+
+    return null;
+}
+
+/**
+ * True when the name refers to the anonymous 2-hour batch
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isDefaultListName(name) {
+    return DEFAULT_LIST_NAMES.includes((name || '').trim().toLowerCase());
+}
+
+/**
+ * Overview of a user's lists for the chat
+ * @param {Array<{name: string, count: number}>} lists - From store.getLists
+ * @param {string|null} activeList
+ * @param {number} batchCount - Contacts in the anonymous batch
+ * @returns {string}
+ */
+function generateListOverview(lists, activeList, batchCount) {
+    let message = `📋 *Your contact lists*\n\n`;
+    message += `${activeList ? '▫️' : '👉'} default (2-hour batch) - ${batchCount} contact${batchCount === 1 ? '' : 's'}\n`;
+    lists.forEach(list => {
+        message += `${list.name === activeList ? '👉' : '▫️'} ${list.name} - ${list.count} contact${list.count === 1 ? '' : 's'}\n`;
+    });
+
+    message += `\n*Commands:*\n`;
+    message += `• "list new wedding-vip" - create and switch to a list\n`;
+    message += `• "list use wedding-vip" - switch list ("list use default" for the batch)\n`;
+    message += `• "list rename old new" - rename a list\n`;
+    message += `• "list delete wedding-vip" - delete a list\n`;
+    message += `\n_Named lists are kept for 14 days after their last change and aren't emptied by "export" - type "clear" to empty one._`;
+
+    return message;
+}
+
+module.exports = {
+    normalizeListName,
+    parseListCommand,
+    isDefaultListName,
+    generateListOverview
+};
@@ -1,5 +1,5 @@
-// src/csv-excel-parser.js - Simplified Contact Parser
-// Supports VCF files and plain text contact parsing only
+// src/csv-excel-parser.js - Universal Contact Parser
+// Supports VCF files, CSV and Excel spreadsheets, PDF guest lists and plain text contact parsing
 
 // Production-aware logging
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
@@ -17,12 +17,79 @@ const logError = (...args) => {
     }
 };
 
-// Main parsing function - supports VCF files and plain text only
-async function parseContactFile(fileContent, mediaType = '') {
+const { normalizePhone } = require('./phone-normalizer');
+const { getTextStrategy, getTextStrategies, runTextStrategy, registerTextStrategy } = require('./text-strategies');
+const { isChatExport, isChatArchive, parseChatExport, parseChatArchive } = require('./chat-export-parser');
+
+// Spreadsheet security limits
+const MAX_SPREADSHEET_ROWS = 1000; // Row limit to prevent DoS
+const CSV_DELIMITERS = [',', ';', '\t', '|']; // European Excel exports use ';' or tabs
+
+// Excel security limits
+const MAX_EXCEL_SIZE = 20 * 1024 * 1024; // 20MB
+const MAX_EXCEL_SHEETS = 20;
+const EXCEL_SHEET_MODE = process.env.EXCEL_SHEET_MODE || 'all'; // 'all', 'first' or a sheet name
+
+// PDF security limits
+const MAX_PDF_PAGES = 50;
+
+// Confidence (0-1) that fields were assigned correctly, by the format that produced the contact
+// (text strategies carry their own, see text-strategies.js)
+const METHOD_CONFIDENCE = {
+    vcf: 1,
+    csv: 0.95,
+    excel: 0.95,
+    'pdf-table': 0.9,
+    'chat-participant': 0.8   // WhatsApp chat export sender
+};
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+const MAX_SKIPPED_LINES = 200;
+const MAX_TEXT_LINE_LENGTH = 500;   // longer lines (pasted blobs) are reported as skipped, not parsed
+
+// Main parsing function - supports VCF, Excel, PDF, CSV, WhatsApp chat exports and plain text
+// Options:
+// • region - default country for local phone numbers (e.g. 'GH'), falls back to DEFAULT_COUNTRY
+// • report - object filled with format-specific statistics (e.g. PDF pages scanned)
+async function parseContactFile(fileContent, mediaType = '', filename = '', options = {}) {
+    const { region, report = {} } = options;
+    const parseOptions = { region };
+    
+    // Binary documents must never fall back to text parsing
+    const isWorkbook = isExcelFile(fileContent, mediaType, filename);
+    const isPdf = isPDFFile(fileContent, mediaType, filename);
+    const isArchive = !isWorkbook && !isPdf && isChatArchive(fileContent, mediaType, filename);
+    
     try {
         log(`🔍 Processing file type: ${mediaType}`);
         log(`📏 File size: ${Buffer.isBuffer(fileContent) ? fileContent.length : fileContent.length} bytes`);
         
+        // Excel workbooks - parsed from the raw buffer
+        if (isWorkbook) {
+            log('📗 Parsing as Excel workbook');
+            report.format = 'excel';
+            return scoreContacts(parseExcel(fileContent, parseOptions), 'excel');
+        }
+        
+        // PDF documents - text extracted page by page, one table row per contact
+        if (isPdf) {
+            log('📄 Parsing as PDF document');
+            const result = await parsePDF(fileContent, parseOptions);
+            Object.assign(report, {
+                format: 'pdf',
+                pages: result.pages,
+                pagesScanned: result.pagesScanned,
+                skippedRows: result.skippedRows,
+                skippedLines: result.skippedLines
+            });
+            return scoreContacts(result.contacts, 'pdf-table');
+        }
+        
+        // WhatsApp chat exports "with media" - the chat and any shared contact cards are read from the zip
+        if (isArchive) {
+            log('🗜️ Parsing as WhatsApp chat archive');
+            return scoreContacts(parseChatArchive(fileContent, { ...parseOptions, report }), 'chat-participant');
+        }
+        
         // Convert buffer to string for text-based formats
         let content = fileContent;
         if (Buffer.isBuffer(fileContent)) {
@@ -34,21 +101,36 @@ async function parseContactFile(fileContent, mediaType = '') {
             content.includes('BEGIN:VCARD')) {
             log('📇 Parsing as VCF format');
             const { parseVCF } = require('./vcf-parser');
-            return parseVCF(content);
+            report.format = 'vcf';
+            // Raw bytes let the parser honour each card's CHARSET
+            return scoreContacts(parseVCF(fileContent, parseOptions), 'vcf');
+        }
+        
+        // WhatsApp chat exports - "[date, time] Name: message" lines
+        if (isChatExport(content)) {
+            log('💬 Parsing as WhatsApp chat export');
+            return scoreContacts(parseChatExport(content, { ...parseOptions, report }), 'chat-participant');
+        }
+        
+        // CSV files - spreadsheet exports with header auto-mapping
+        if (mediaType.includes('csv') || mediaType.includes('comma-separated-values') ||
+            mediaType.includes('tab-separated-values') ||
+            filename.toLowerCase().endsWith('.csv')) {
+            log('📊 Parsing as CSV format');
+            report.format = 'csv';
+            return scoreContacts(parseCSV(content, parseOptions), 'csv');
         }
         
         // Text files - plain text contact parsing
         if (mediaType.includes('text/plain') || mediaType.includes('text/') || 
             (!mediaType && typeof content === 'string')) {
             log('📝 Parsing as plain text contacts');
-            return parseTextContacts(content);
+            return parseTextContacts(content, { ...parseOptions, report });
         }
         
         // Reject unsupported formats
-        if (mediaType.includes('csv') || mediaType.includes('excel') || 
-            mediaType.includes('pdf') || mediaType.includes('spreadsheet') ||
-            mediaType.includes('vnd.ms-excel') || mediaType.includes('officedocument')) {
-            throw new Error('Unsupported file format. Please send VCF files or paste contact text.');
+        if (mediaType.includes('officedocument')) {
+            throw new Error('Unsupported file format. Please send VCF, CSV, Excel or PDF files or paste contact text.');
         }
         
         // Auto-detection for unknown formats
@@ -58,22 +140,31 @@ async function parseContactFile(fileContent, mediaType = '') {
         if (content.includes('BEGIN:VCARD') || content.includes('VCARD')) {
             log('🔍 Auto-detected VCF content');
             const { parseVCF } = require('./vcf-parser');
-            return parseVCF(content);
+            report.format = 'vcf';
+            // Raw bytes let the parser honour each card's CHARSET
+            return scoreContacts(parseVCF(fileContent, parseOptions), 'vcf');
+        }
+        
+        // Check for delimited tables with a recognisable header
+        if (looksLikeCSV(content)) {
+            log('🔍 Auto-detected CSV content');
+            report.format = 'csv';
+            return scoreContacts(parseCSV(content, parseOptions), 'csv');
         }
         
         // Fallback to text parsing
         log('🔍 Fallback to text parsing');
-        return parseTextContacts(content);
+        return parseTextContacts(content, { ...parseOptions, report });
         
     } catch (error) {
         logError('❌ Parse error:', error);
         
-        // Only attempt text parsing fallback for supported formats
-        if (!error.message.includes('Unsupported file format')) {
+        // Only attempt text parsing fallback for supported text formats
+        if (!isWorkbook && !isPdf && !isArchive && !error.message.includes('Unsupported file format')) {
             try {
                 const textContent = Buffer.isBuffer(fileContent) ? fileContent.toString('utf8') : fileContent;
                 log('🆘 Text parsing fallback...');
-                return parseTextContacts(textContent);
+                return parseTextContacts(textContent, { ...parseOptions, report });
             } catch (finalError) {
                 logError('💥 Text parsing failed:', finalError);
                 return [];
@@ -85,187 +176,64 @@ async function parseContactFile(fileContent, mediaType = '') {
     }
 }
 
-// ENHANCED TEXT PARSING FUNCTION - Multiple detection methods
-function parseTextContacts(textContent) {
-    const contacts = [];
+// TEXT PARSING - Runs every registered strategy (see text-strategies.js) and keeps the
+// best-scoring reading of each line
+// Each contact carries the method that found it and a confidence score (see scoreContact);
+// options.report receives the input lines no contact was taken from (skippedLines)
+function parseTextContacts(textContent, options = {}) {
+    const context = {
+        region: options.region,
+        cleanPhone: phone => cleanPhoneNumber(phone, options.region),
+        cleanText
+    };
     
     try {
-        log('📝 Starting enhanced text parsing...');
+        log('📝 Starting text parsing...');
         
         if (!textContent || typeof textContent !== 'string') {
             log('📝 Invalid text content');
-            return contacts;
+            return [];
         }
         
         log(`📝 Text length: ${textContent.length} characters`);
+        const lines = textContent.split(/\r\n|\r|\n/);
+        // Parsing is synchronous, so over-long lines are left out rather than tying up the server
+        const parsable = lines.map(line => (line.length > MAX_TEXT_LINE_LENGTH ? '' : line));
         
-        // Enhanced regex patterns
-        const emailPattern = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/gi;
-        const phonePattern = /(?:\+?234|0)?[789]\d{9,10}|\+?\d{10,15}/g;
-        const namePattern = /^[A-Z][a-zA-Z\s]{2,40}$/gm;
-        
-        // Method 1: Look for structured contact blocks
-        log('📝 Method 1: Searching for structured contact blocks...');
-        const contactBlockPattern = /(?:name|contact)[\s:]*([^\n\r]+)[\s\S]*?(?:phone|mobile|tel)[\s:]*([^\n\r]+)[\s\S]*?(?:email|mail)[\s:]*([^\n\r]+)/gi;
-        
-        let match;
-        let blockCount = 0;
-        while ((match = contactBlockPattern.exec(textContent)) !== null && blockCount < 100) {
-            const contact = {
-                name: cleanText(match[1]),
-                mobile: cleanPhoneNumber(match[2]),
-                email: cleanText(match[3]),
-                passes: 1
-            };
+        // Every strategy proposes readings; each reading is scored by its contacts' average confidence.
+        // Strategies run from the most confident down: a reading scores at most its strategy's confidence,
+        // so lines already won by a better reading are settled and line strategies skip them
+        const readings = [];
+        const strategies = getTextStrategies()
+            .map((strategy, order) => ({ strategy, order }))
+            .sort((a, b) => b.strategy.confidence - a.strategy.confidence || a.order - b.order);
+        strategies.forEach(({ strategy, order }) => {
+            const { claimed: settled } = claimLines(readings.filter(reading => reading.score > strategy.confidence));
+            const open = parsable.map((line, index) => (settled.has(index) ? '' : line));
+            if (!open.some(line => line.trim())) return;
             
-            if (contact.name || contact.mobile) {
-                contacts.push(contact);
-                blockCount++;
+            try {
+                const input = typeof strategy.parseText === 'function' ? parsable : open;
+                runTextStrategy(strategy, input, context).forEach(reading => {
+                    reading.contacts.forEach(contact => {
+                        contact.confidence = scoreContact(contact, strategy.name);
+                    });
+                    const total = reading.contacts.reduce((sum, contact) => sum + contact.confidence, 0);
+                    readings.push({ ...reading, order, score: total / reading.contacts.length });
+                });
+            } catch (error) {
+                logError(`📝 Text strategy ${strategy.name} failed:`, error.message);
             }
-        }
-        log(`📝 Method 1 found: ${contacts.length} contacts`);
+        });
         
-        // Method 2: Optimized parsing for "Name +phone" format (your exact format)
-        if (contacts.length === 0) {
-            log('📝 Method 2: Optimized parsing for Name +phone format...');
-            
-            // Split on common patterns for your format: "Name +234... Name2 +234..."
-            const namePhonePattern = /([A-Za-z\s&\.]+?)\s+(\+234\d{10})/g;
-            let match;
-            let parseCount = 0;
-            
-            while ((match = namePhonePattern.exec(textContent)) !== null && parseCount < 1000) {
-                const name = match[1].trim().replace(/^(Mr|Mrs|Miss|Dr|Prof)\.?\s*/i, '').trim();
-                const phone = match[2];
-                
-                if (name && phone) {
-                    const contact = {
-                        name: name,
-                        mobile: cleanPhoneNumber(phone),
-                        email: '',
-                        passes: 1
-                    };
-                    
-                    if (contact.name && contact.mobile) {
-                        contacts.push(contact);
-                        parseCount++;
-                    }
-                }
-            }
-            log(`📝 Method 2 found: ${contacts.length} contacts using optimized parsing`);
-            
-            // Fallback to line analysis if optimized parsing fails
-            if (contacts.length === 0) {
-                log('📝 Method 2b: Fallback line-by-line analysis...');
-                const lines = textContent.split(/[\n\r]+/).filter(line => line.trim().length > 3);
-                log(`📝 Analyzing ${lines.length} lines`);
-                
-                for (const line of lines) {
-                    const emailMatch = line.match(emailPattern);
-                    const phoneMatch = line.match(phonePattern);
-                    
-                    if (emailMatch || phoneMatch) {
-                        // Extract name from line
-                        let name = line
-                            .replace(emailPattern, '')
-                            .replace(phonePattern, '')
-                            .replace(/[^\w\s]/g, ' ')
-                            .trim();
-                        
-                        // Clean up name
-                        const nameWords = name.split(/\s+/).filter(word => 
-                            word.length > 1 && 
-                            /^[A-Za-z]/.test(word) && 
-                            !['phone', 'email', 'contact', 'mobile', 'tel', 'call', 'mail'].includes(word.toLowerCase())
-                        );
-                        
-                        if (nameWords.length > 0) {
-                            name = nameWords.slice(0, 3).join(' '); // Max 3 words for name
-                        } else {
-                            name = 'Contact';
-                        }
-                        
-                        const contact = {
-                            name: name,
-                            mobile: phoneMatch ? cleanPhoneNumber(phoneMatch[0]) : '',
-                            email: emailMatch ? emailMatch[0] : '',
-                            passes: 1
-                        };
-                        
-                        if (contact.mobile || contact.email) {
-                            contacts.push(contact);
-                        }
-                    }
-                }
-                log(`📝 Method 2b found: ${contacts.length} contacts`);
-            }
-        }
-        
-        // Method 3: Extract all patterns and try to match them intelligently
-        if (contacts.length === 0) {
-            log('📝 Method 3: Pattern extraction and matching...');
-            const emails = [...textContent.matchAll(emailPattern)].map(m => m[0]);
-            const phones = [...textContent.matchAll(phonePattern)].map(m => m[0]);
-            const names = [...textContent.matchAll(namePattern)].map(m => m[0]);
-            
-            log(`📝 Found patterns: ${emails.length} emails, ${phones.length} phones, ${names.length} names`);
-            
-            const cleanPhones = phones.map(phone => cleanPhoneNumber(phone)).filter(p => p);
-            const maxItems = Math.max(emails.length, cleanPhones.length, names.length);
-            
-            for (let i = 0; i < maxItems; i++) {
-                const contact = {
-                    name: names[i] || `Contact ${i + 1}`,
-                    mobile: cleanPhones[i] || '',
-                    email: emails[i] || '',
-                    passes: 1
-                };
-                
-                if (contact.mobile || contact.email) {
-                    contacts.push(contact);
-                }
-            }
-            log(`📝 Method 3 found: ${contacts.length} contacts`);
-        }
-        
-        // Method 4: Advanced pattern recognition for unstructured text
-        if (contacts.length === 0) {
-            log('📝 Method 4: Advanced pattern recognition...');
-            
-            // Look for common contact formats
-            const advancedPatterns = [
-                // Name followed by phone
-                /([A-Z][a-zA-Z\s]{2,30})\s*[:\-]?\s*(\+?[\d\s\-\(\)]{8,20})/g,
-                // Phone followed by name
-                /(\+?[\d\s\-\(\)]{8,20})\s*[:\-]?\s*([A-Z][a-zA-Z\s]{2,30})/g,
-                // Email with possible name
-                /([A-Z][a-zA-Z\s]{2,30})\s*[:\-]?\s*([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g
-            ];
-            
-            for (const pattern of advancedPatterns) {
-                let match;
-                while ((match = pattern.exec(textContent)) !== null) {
-                    const isNameFirst = /^[A-Z][a-zA-Z\s]/.test(match[1]);
-                    const contact = {
-                        name: isNameFirst ? match[1].trim() : match[2].trim(),
-                        mobile: isNameFirst ? cleanPhoneNumber(match[2]) : cleanPhoneNumber(match[1]),
-                        email: match[2].includes('@') ? match[2] : '',
-                        passes: 1
-                    };
-                    
-                    if ((contact.name && contact.name !== 'Contact') || contact.mobile || contact.email) {
-                        contacts.push(contact);
-                    }
-                }
-            }
-            log(`📝 Method 4 found: ${contacts.length} contacts`);
-        }
+        const { chosen, claimed } = claimLines(readings);
+        chosen.sort((a, b) => Math.min(...a.lines) - Math.min(...b.lines) || a.order - b.order);
         
         // Remove duplicates based on phone or email
         const unique = [];
         const seen = new Set();
         
-        for (const contact of contacts) {
+        for (const contact of chosen.flatMap(reading => reading.contacts)) {
             const key = contact.mobile || contact.email || contact.name;
             if (key && !seen.has(key)) {
                 seen.add(key);
@@ -273,7 +241,15 @@ function parseTextContacts(textContent) {
             }
         }
         
-        log(`📝 Text parsing complete: ${unique.length} unique contacts extracted`);
+        if (options.report) {
+            options.report.format = options.report.format || 'text';
+            options.report.skippedLines = lines
+                .filter((line, index) => !claimed.has(index) && line.trim().length > 3)
+                .slice(0, MAX_SKIPPED_LINES)
+                .map(line => line.trim());
+        }
+        
+        log(`📝 Text parsing complete: ${unique.length} unique contacts extracted from ${chosen.length} readings`);
         return unique;
         
     } catch (error) {
@@ -282,59 +258,483 @@ function parseTextContacts(textContent) {
     }
 }
 
+// Best readings first (earlier strategies win ties); a line is only read once
+function claimLines(readings) {
+    const claimed = new Set();
+    const chosen = [...readings]
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .filter(reading => {
+            if (reading.lines.some(index => claimed.has(index))) return false;
+            reading.lines.forEach(index => claimed.add(index));
+            return true;
+        });
+    return { chosen, claimed };
+}
+
+// Confidence for one contact - the method's score, lowered for guessed names and numbers
+// that couldn't be formatted for any country. A labelled block without a "Name:" line has
+// no name rather than a guessed one, so it isn't lowered for that
+function scoreContact(contact, method) {
+    const strategy = getTextStrategy(method);
+    let confidence = METHOD_CONFIDENCE[method] !== undefined ? METHOD_CONFIDENCE[method] :
+        (strategy ? strategy.confidence : LOW_CONFIDENCE_THRESHOLD);
+    
+    const name = (contact.name || '').trim();
+    const unnamedBlock = !name && method === 'labelled-block';
+    if ((name.length < 3 && !unnamedBlock) || /^Contact( \d+)?$/.test(name)) confidence -= 0.3;
+    if (/[\n\r]/.test(name)) confidence -= 0.4;   // name swallowed the line above
+    if (contact.mobile && !contact.mobile.startsWith('+')) confidence -= 0.2;
+    
+    return Math.max(0.1, Math.round(confidence * 100) / 100);
+}
+
+// Adds method and confidence to contacts from structured formats
+function scoreContacts(contacts, method) {
+    contacts.forEach(contact => {
+        if (contact.confidence === undefined) {
+            contact.method = contact.method || method;
+            contact.confidence = scoreContact(contact, contact.method);
+        }
+    });
+    return contacts;
+}
+
 // Helper functions for text parsing
 function cleanText(text) {
     if (!text) return '';
     return text.trim().replace(/[^\w\s@.-]/g, '').replace(/\s+/g, ' ');
 }
 
-function cleanPhoneNumber(phone) {
+// Country-aware normalisation to E.164 (see phone-normalizer.js)
+// Numbers that don't fit the region's rules are kept as typed so they can be fixed later
+function cleanPhoneNumber(phone, region) {
     if (!phone) return '';
     
-    // Remove all non-digit characters except +
-    let clean = phone.replace(/[^\d+]/g, '');
-    
-    // Skip if too short or too long
+    const clean = phone.replace(/[^\d+]/g, '');
     if (clean.length < 8 || clean.length > 15) return '';
     
-    // Nigerian number formatting
-    if (clean.match(/^0[789]\d{9}$/)) {
-        return '+234' + clean.substring(1);
+    return normalizePhone(clean, region) || clean;
+}
+
+// HEADER AUTO-MAPPING - Shared by spreadsheet formats
+// Keys are normalised headers (lowercase, letters and digits only)
+const HEADER_ALIASES = {
+    name: ['name', 'fullname', 'contactname', 'guestname', 'guest', 'displayname', 'attendee', 'attendeename', 'participant'],
+    firstName: ['firstname', 'givenname', 'forename', 'first'],
+    lastName: ['lastname', 'surname', 'familyname', 'last'],
+    mobile: ['mobile', 'phone', 'phonenumber', 'mobilenumber', 'mobilephone', 'tel', 'telephone', 'telephonenumber',
+             'cell', 'cellphone', 'whatsapp', 'whatsappnumber', 'msisdn', 'contactnumber', 'phone1value'],
+    email: ['email', 'emailaddress', 'mail', 'email1value'],
+    company: ['company', 'companyname', 'organisation', 'organization', 'organizationname', 'org', 'business'],
+    notes: ['notes', 'note', 'comments', 'comment', 'remarks']
+};
+
+// Partial matches for headers such as "Guest Phone (WhatsApp)"
+const HEADER_KEYWORDS = [
+    { field: 'mobile', pattern: /phone|mobile|tel|cell|whatsapp/ },
+    { field: 'email', pattern: /mail/ },
+    { field: 'company', pattern: /company|organi[sz]ation/ },
+    { field: 'name', pattern: /name/ }
+];
+
+function normaliseHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map header cells onto contact fields - returns { field: columnIndex }
+function mapHeaders(headers) {
+    const mapping = {};
+    const normalised = (headers || []).map(normaliseHeader);
+    
+    // Pass 1: exact alias matches
+    normalised.forEach((header, index) => {
+        for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+            if (mapping[field] === undefined && aliases.includes(header)) {
+                mapping[field] = index;
+                return;
+            }
+        }
+    });
+    
+    // Pass 2: keyword matches for remaining columns
+    const usedColumns = new Set(Object.values(mapping));
+    normalised.forEach((header, index) => {
+        if (!header || usedColumns.has(index)) return;
+        const keyword = HEADER_KEYWORDS.find(k => mapping[k.field] === undefined && k.pattern.test(header));
+        if (keyword) {
+            mapping[keyword.field] = index;
+            usedColumns.add(index);
+        }
+    });
+    
+    return mapping;
+}
+
+// A header is recognisable if it identifies a name, phone or email column
+function hasRecognisableHeader(mapping) {
+    return mapping.name !== undefined || mapping.firstName !== undefined ||
+           mapping.mobile !== undefined || mapping.email !== undefined;
+}
+
+// Infer columns from cell contents when the sheet has no header row
+function inferColumns(rows) {
+    const sample = rows.slice(0, 20);
+    const columnCount = Math.max(0, ...sample.map(row => row.length));
+    const scores = [];
+    
+    for (let col = 0; col < columnCount; col++) {
+        const cells = sample.map(row => String(row[col] || '').trim()).filter(Boolean);
+        scores.push({
+            col,
+            phone: cells.filter(cell => /^\+?[\d\s\-().]{7,20}$/.test(cell)).length,
+            email: cells.filter(cell => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cell)).length,
+            text: cells.filter(cell => /[A-Za-z]/.test(cell) && !cell.includes('@')).length
+        });
+    }
+    
+    const best = (key, used) => scores
+        .filter(s => s[key] > 0 && !used.includes(s.col))
+        .sort((a, b) => b[key] - a[key])[0];
+    
+    const mapping = {};
+    const used = [];
+    for (const [field, key] of [['mobile', 'phone'], ['email', 'email'], ['name', 'text']]) {
+        const column = best(key, used);
+        if (column) {
+            mapping[field] = column.col;
+            used.push(column.col);
+        }
+    }
+    return mapping;
+}
+
+// Convert spreadsheet rows into the standard contact shape
+function rowsToContacts(rows, mapping, region) {
+    const contacts = [];
+    const cell = (row, field) => mapping[field] === undefined ? '' : String(row[mapping[field]] ?? '').trim();
+    
+    for (const row of rows.slice(0, MAX_SPREADSHEET_ROWS)) {
+        if (!Array.isArray(row) || row.every(value => String(value ?? '').trim() === '')) {
+            continue;
+        }
+        
+        const fullName = cell(row, 'name') || `${cell(row, 'firstName')} ${cell(row, 'lastName')}`.trim();
+        const contact = {
+            name: fullName,
+            mobile: cleanPhoneNumber(cell(row, 'mobile'), region),
+            email: cell(row, 'email').toLowerCase(),
+            company: cell(row, 'company'),
+            notes: cell(row, 'notes'),
+            passes: 1
+        };
+        
+        if (contact.name || contact.mobile || contact.email) {
+            contacts.push(contact);
+        }
     }
-    if (clean.match(/^234[789]\d{9}$/)) {
-        return '+' + clean;
+    
+    if (rows.length > MAX_SPREADSHEET_ROWS) {
+        log(`📏 Spreadsheet truncated to ${MAX_SPREADSHEET_ROWS} rows (had ${rows.length})`);
     }
-    if (clean.match(/^[789]\d{9}$/)) {
-        return '+234' + clean;
+    return contacts;
+}
+
+// Map a table (array of rows) to contacts, using the header row when recognisable
+function tableToContacts(rows, region) {
+    if (!rows || rows.length === 0) return [];
+    
+    const headerMapping = mapHeaders(rows[0]);
+    if (hasRecognisableHeader(headerMapping)) {
+        log(`📊 Header mapping: ${JSON.stringify(headerMapping)}`);
+        return rowsToContacts(rows.slice(1), headerMapping, region);
     }
     
-    // International formatting
-    if (!clean.startsWith('+') && clean.length >= 10) {
-        return '+' + clean;
+    const inferredMapping = inferColumns(rows);
+    log(`📊 No recognisable header, inferred columns: ${JSON.stringify(inferredMapping)}`);
+    return rowsToContacts(rows, inferredMapping, region);
+}
+
+// CSV PARSING - delimiter sniffing for comma, semicolon, tab and pipe files
+function parseCSV(csvContent, options = {}) {
+    const Papa = require('papaparse');
+    
+    let content = String(csvContent || '').replace(/^\uFEFF/, ''); // Strip UTF-8 BOM
+    let delimiter = '';
+    
+    // Excel "sep=;" hint line
+    const sepHint = content.match(/^sep=(.)\r?\n/i);
+    if (sepHint) {
+        delimiter = sepHint[1];
+        content = content.slice(sepHint[0].length);
+    }
+    
+    const result = Papa.parse(content, {
+        delimiter,
+        delimitersToGuess: CSV_DELIMITERS,
+        skipEmptyLines: 'greedy',
+        preview: MAX_SPREADSHEET_ROWS + 1 // Header + row limit
+    });
+    
+    log(`📊 CSV parsed: ${result.data.length} rows, delimiter "${result.meta.delimiter === '\t' ? '\\t' : result.meta.delimiter}"`);
+    if (result.errors.length > 0) {
+        log(`⚠️ CSV parse warnings: ${result.errors.length}`);
     }
     
-    return clean;
+    return tableToContacts(result.data, options.region);
 }
 
-// CSV parsing removed - only VCF and text parsing supported
+// Lightweight check for delimited tables with a recognisable header row
+function looksLikeCSV(content) {
+    if (!content || typeof content !== 'string') return false;
+    
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return false;
+    
+    const tableLines = /^sep=.\s*$/i.test(lines[0]) ? lines.slice(1) : lines;
+    const headerLine = tableLines[0] || '';
+    if (headerLine.includes('@') || /\d{5,}/.test(headerLine)) return false;
+    
+    // Pick the delimiter used most in the header, then require consistent column counts
+    const count = (line, d) => line.split(d).length - 1;
+    const delimiter = CSV_DELIMITERS
+        .filter(d => count(headerLine, d) > 0)
+        .sort((a, b) => count(headerLine, b) - count(headerLine, a))[0];
+    if (!delimiter) return false;
+    
+    // The last line may be cut off when only a sample of the file is checked
+    const columns = count(headerLine, delimiter);
+    const sampleRows = tableLines.slice(1, Math.min(5, tableLines.length - 1));
+    if (!sampleRows.every(line => count(line, delimiter) === columns)) return false;
+    
+    return hasRecognisableHeader(mapHeaders(headerLine.split(delimiter)));
+}
 
-// CSV parsing functions removed - only VCF and text parsing supported
+// EXCEL PARSING - .xlsx and .xls workbooks with secure reader options
+function isExcelFile(fileContent, mediaType = '', filename = '') {
+    const lowerName = (filename || '').toLowerCase();
+    if (lowerName.endsWith('.xlsx') || lowerName.endsWith('.xls')) return true;
+    if (mediaType.includes('spreadsheetml') || mediaType.includes('vnd.ms-excel') || mediaType.includes('excel')) return true;
+    
+    if (!Buffer.isBuffer(fileContent) || fileContent.length < 8) return false;
+    
+    // OLE2 compound document (.xls) or zip package containing a workbook (.xlsx)
+    const isOle = fileContent.readUInt32BE(0) === 0xD0CF11E0;
+    const isZip = fileContent.readUInt32BE(0) === 0x504B0304;
+    return isOle || (isZip && fileContent.includes('xl/workbook'));
+}
 
-// Excel parsing removed - only VCF and text parsing supported
+function parseExcel(fileContent, options = {}) {
+    const XLSX = require('xlsx');
+    const sheetMode = options.sheet || EXCEL_SHEET_MODE;
+    
+    if (!Buffer.isBuffer(fileContent)) {
+        throw new Error('Excel workbook must be provided as a file buffer');
+    }
+    if (fileContent.length > MAX_EXCEL_SIZE) {
+        throw new Error(`Excel workbook too large: ${(fileContent.length / 1024 / 1024).toFixed(2)}MB (max: 20MB)`);
+    }
+    
+    // SECURITY: Disable formulas, HTML and styles; cap rows read per sheet
+    let workbook;
+    try {
+        workbook = XLSX.read(fileContent, {
+            type: 'buffer',
+            cellFormula: false,
+            cellHTML: false,
+            cellStyles: false,
+            cellDates: false,
+            bookVBA: false,
+            sheetRows: MAX_SPREADSHEET_ROWS + 1 // Header + row limit
+        });
+    } catch (readError) {
+        logError('📗 Workbook read failed:', readError);
+        throw new Error('Could not read Excel workbook. Please re-save it as .xlsx or send a CSV file.');
+    }
+    
+    const sheetNames = workbook.SheetNames.slice(0, MAX_EXCEL_SHEETS);
+    log(`📗 Workbook sheets: ${sheetNames.join(', ')} (mode: ${sheetMode})`);
+    
+    const sheets = sheetNames.map(sheetName => ({
+        sheetName,
+        rows: sheetToRows(XLSX, workbook.Sheets[sheetName])
+    })).filter(sheet => sheet.rows.length > 0);
+    
+    // Explicit sheet name selection
+    if (sheetMode !== 'all' && sheetMode !== 'first') {
+        const selected = sheets.find(sheet => sheet.sheetName.toLowerCase() === String(sheetMode).toLowerCase());
+        if (!selected) {
+            throw new Error(`Sheet "${sheetMode}" not found in workbook`);
+        }
+        return tableToContacts(selected.rows, options.region);
+    }
+    
+    const headedSheets = sheets.filter(sheet => hasRecognisableHeader(mapHeaders(sheet.rows[0])));
+    
+    // No recognisable headers anywhere - infer columns from the first non-empty sheet
+    if (headedSheets.length === 0) {
+        log('📗 No sheet with a recognisable header, using first non-empty sheet');
+        return sheets.length > 0 ? tableToContacts(sheets[0].rows, options.region) : [];
+    }
+    
+    const selectedSheets = sheetMode === 'first' ? headedSheets.slice(0, 1) : headedSheets;
+    const contacts = [];
+    
+    for (const sheet of selectedSheets) {
+        const sheetContacts = tableToContacts(sheet.rows, options.region);
+        log(`📗 Sheet "${sheet.sheetName}": ${sheetContacts.length} contacts`);
+        contacts.push(...sheetContacts);
+        
+        if (contacts.length >= MAX_SPREADSHEET_ROWS) {
+            log(`📏 Workbook truncated to ${MAX_SPREADSHEET_ROWS} contacts`);
+            return contacts.slice(0, MAX_SPREADSHEET_ROWS);
+        }
+    }
+    
+    return contacts;
+}
+
+// Read a worksheet as rows of strings - numbers are written out in full so phones never
+// end up in scientific notation
+function sheetToRows(XLSX, worksheet) {
+    if (!worksheet) return [];
+    
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '', blankrows: false });
+    return rows.map(row => row.map(value => {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? BigInt(value).toString() : String(value);
+        }
+        return String(value ?? '').trim();
+    }));
+}
+
+// PDF PARSING - text extraction with table-row awareness
+function isPDFFile(fileContent, mediaType = '', filename = '') {
+    if ((filename || '').toLowerCase().endsWith('.pdf') || mediaType.includes('pdf')) return true;
+    return Buffer.isBuffer(fileContent) && fileContent.slice(0, 1024).includes('%PDF');
+}
 
-// PDF parsing removed - only VCF and text parsing supported
+// Render a page keeping table structure: items on the same baseline form one row,
+// with a tab wherever the horizontal gap suggests a new table cell
+async function renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+    const rows = new Map();
+    
+    for (const item of textContent.items) {
+        if (!item.str || !item.str.trim()) continue;
+        const y = Math.round(item.transform[5]);
+        if (!rows.has(y)) rows.set(y, []);
+        rows.get(y).push({ x: item.transform[4], width: item.width || 0, text: item.str });
+    }
+    
+    // PDF coordinates start at the bottom of the page
+    return [...rows.entries()]
+        .sort((a, b) => b[0] - a[0])
+        .map(([, items]) => {
+            items.sort((a, b) => a.x - b.x);
+            let line = '';
+            let lastEnd = null;
+            for (const item of items) {
+                if (lastEnd !== null) {
+                    const gap = item.x - lastEnd;
+                    line += gap > 6 ? '\t' : (gap > 0.5 ? ' ' : '');
+                }
+                line += item.text;
+                lastEnd = item.x + item.width;
+            }
+            return line;
+        })
+        .join('\n');
+}
+
+async function parsePDF(fileContent, options = {}) {
+    const pdf = require('pdf-parse/lib/pdf-parse.js'); // Library entry point, skips the package's debug harness
+    
+    if (!Buffer.isBuffer(fileContent)) {
+        throw new Error('PDF document must be provided as a file buffer');
+    }
+    
+    let data;
+    try {
+        // Copy into a standalone array - pdf.js ignores the byte offset of pooled Buffers
+        data = await pdf(new Uint8Array(fileContent), { max: MAX_PDF_PAGES, pagerender: renderPdfPage });
+    } catch (readError) {
+        logError('📄 PDF read failed:', readError);
+        throw new Error('Could not read PDF document. Scanned (image-only) PDFs are not supported.');
+    }
+    
+    const pagesScanned = Math.min(data.numpages, MAX_PDF_PAGES);
+    log(`📄 PDF: ${data.numpages} page(s), scanned ${pagesScanned}, ${data.text.length} characters extracted`);
+    
+    const result = pdfTextToContacts(data.text, options.region);
+    return { ...result, pages: data.numpages, pagesScanned };
+}
+
+// One table row per contact: rows matching a recognised header use its column mapping,
+// other rows go through the plain text parser on their own
+function pdfTextToContacts(text, region) {
+    const contacts = [];
+    const skippedLines = [];
+    let skippedRows = 0;
+    let headerMapping = null;
+    let headerColumns = 0;
+    
+    const rows = String(text || '').split(/\n/).map(line => line.trim()).filter(Boolean);
+    
+    for (const row of rows) {
+        const cells = row.split('\t').map(cell => cell.trim());
+        
+        // Table header rows (repeated on every page of long lists)
+        const mapping = mapHeaders(cells);
+        if (cells.length >= 2 && hasRecognisableHeader(mapping) && !/\d{5,}|@/.test(row)) {
+            headerMapping = mapping;
+            headerColumns = cells.length;
+            continue;
+        }
+        
+        const hasContactData = /\d{7,}|\+?\d[\d\s\-()]{7,}\d|@/.test(row);
+        const isTableRow = cells.length >= 2 || hasContactData;
+        
+        let contact = null;
+        if (headerMapping && cells.length === headerColumns) {
+            contact = rowsToContacts([cells], headerMapping, region)[0] || null;
+        } else if (hasContactData) {
+            contact = parseTextContacts(cells.join(' '), { region }).find(c => c.mobile || c.email) || null;
+        }
+        
+        if (contact && (contact.mobile || contact.email)) {
+            contacts.push(contact);
+        } else if (isTableRow) {
+            skippedRows++;
+            if (skippedLines.length < MAX_SKIPPED_LINES) skippedLines.push(row.replace(/\t/g, ' | '));
+        }
+        
+        if (contacts.length >= MAX_SPREADSHEET_ROWS) break;
+    }
+    
+    log(`📄 PDF rows: ${contacts.length} contacts, ${skippedRows} skipped`);
+    return { contacts, skippedRows, skippedLines };
+}
 
 // Get supported formats for help messages
 function getSupportedFormats() {
     return {
         formats: [
             { name: 'VCF', description: 'Contact cards from phones', extensions: ['.vcf'] },
-            { name: 'Text', description: 'Plain text with contact information', extensions: ['.txt'] }
+            { name: 'CSV', description: 'Spreadsheet exports (comma, semicolon or tab separated)', extensions: ['.csv'] },
+            { name: 'Excel', description: 'Excel workbooks (every sheet with a recognisable header)', extensions: ['.xlsx', '.xls'] },
+            { name: 'PDF', description: 'Text-based PDF guest lists (one table row per contact)', extensions: ['.pdf'] },
+            { name: 'Text', description: 'Plain text with contact information', extensions: ['.txt'] },
+            { name: 'WhatsApp chat', description: 'WhatsApp "Export chat" files (participants and shared numbers)', extensions: ['.txt', '.zip'] }
         ],
         mimeTypes: [
             'text/vcard',
             'text/x-vcard',
-            'text/plain'
+            'text/csv',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-excel',
+            'application/pdf',
+            'text/plain',
+            'application/zip'
         ]
     };
 }
@@ -343,7 +743,19 @@ function getSupportedFormats() {
 module.exports = {
     parseContactFile,
     parseTextContacts,
+    parseCSV,
+    parseExcel,
+    isExcelFile,
+    parsePDF,
+    isPDFFile,
+    isChatExport,
+    isChatArchive,
+    looksLikeCSV,
+    mapHeaders,
+    tableToContacts,
     getSupportedFormats,
     cleanPhoneNumber,
-    cleanText
+    cleanText,
+    registerTextStrategy,
+    LOW_CONFIDENCE_THRESHOLD
 };
\ No newline at end of file
@@ -7,37 +7,72 @@ const log = (...args) => {
         console.log(...args);
     }
 };
-function generateCSV(contacts) {
+
+const { getExportProfile, getFieldValue, DEFAULT_PROFILE } = require('./export-profiles');
+
+// Spreadsheet apps run cells starting with = + - @ (or a tab/carriage return) as formulas
+const FORMULA_PREFIX = /^\s*[=+\-@]|^[\t\r]/;
+// Legitimate international numbers in phone columns, e.g. +234 801 234 5678
+const PHONE_NUMBER = /^\+\d[\d\s().-]*$/;
+const PHONE_FIELDS = ['mobile', 'phone2'];
+// The full profile's "Other Phones", e.g. +234 801 234 5678 (mobile); +44 20 7946 0958 (work)
+const PHONE_LIST = /^\+\d[\d\s().-]*\([a-z][\w -]*\)(?:;\s*\+\d[\d\s().-]*\([a-z][\w -]*\))*$/i;
+const PHONE_LIST_FIELDS = ['otherPhones'];
+
+/**
+ * Generates CSV content using an export profile's column layout
+ * @param {Array} contacts - Contacts to export
+ * @param {string|Object} [profile] - Profile name or definition (defaults to the ticketing layout)
+ * @returns {string} CSV content
+ */
+function generateCSV(contacts, profile = DEFAULT_PROFILE) {
+    const { key, columns } = typeof profile === 'string' ? getExportProfile(profile) : profile;
+    
     // Prepare CSV headers - Operation parameters
-    const headers = ['name', 'mobile', 'email', 'passes'];
+    const headers = columns.map(([header]) => escapeCSV(header));
     const csvRows = [headers.join(',')];
     
     // Transform each operative's data
     contacts.forEach(contact => {
-        const row = [
-            escapeCSV(contact.name),
-            escapeCSV(contact.mobile),
-            escapeCSV(contact.email || ''),
-            contact.passes || 1
-        ];
+        const row = columns.map(([, field]) => escapeCSV(getFieldValue(contact, field), {
+            phone: PHONE_FIELDS.includes(field),
+            phoneList: PHONE_LIST_FIELDS.includes(field)
+        }));
         csvRows.push(row.join(','));
     });
     
     const csvContent = csvRows.join('\n');
-    log(`📊 Generated CSV with ${contacts.length} entries`);
+    log(`📊 Generated ${key || 'custom'} CSV with ${contacts.length} entries`);
     
     return csvContent;
 }
 
-// Defensive function - protect against CSV injection
-function escapeCSV(field) {
-    if (!field) return '';
+/**
+ * Defensive function - protect against CSV injection (OWASP)
+ * • Cells that would start a formula are prefixed with ' so they open as text
+ * • Fields with separators, quotes or line breaks are quoted
+ * @param {*} value - Cell value
+ * @param {Object} [options]
+ * @param {boolean} [options.phone] - Phone column: +country code numbers are kept as-is
+ * @param {boolean} [options.phoneList] - Phone list column: "; "-separated "+number (type)" values are kept as-is
+ * @returns {string}
+ */
+function escapeCSV(value, options = {}) {
+    if (value === undefined || value === null || value === '') return '';
+    let field = String(value);
+    let neutralised = false;
+    
+    const isPhone = (options.phone && PHONE_NUMBER.test(field)) || (options.phoneList && PHONE_LIST.test(field));
+    if (FORMULA_PREFIX.test(field) && !isPhone) {
+        field = `'${field}`;
+        neutralised = true;
+    }
     
-    // If field contains special characters, wrap in quotes
-    if (field.includes(',') || field.includes('"') || field.includes('\n')) {
+    // Quote neutralised cells too, so importers keep the prefix and cell intact
+    if (neutralised || /[",\r\n]/.test(field)) {
         return `"${field.replace(/"/g, '""')}"`;
     }
     return field;
 }
 
-module.exports = { generateCSV };
\ No newline at end of file
+module.exports = { generateCSV, escapeCSV };
\ No newline at end of file
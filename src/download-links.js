@@ -0,0 +1,160 @@
+// Download Links
+// Links sent in WhatsApp are signed: /get/<fileId>.<expiry>.<signature>, an HMAC over the file ID and expiry,
+// so a guessed or altered link is refused and an expired one stops working even if the file is still stored.
+// Users can ask for one-time links and a PIN that the download page asks for ("links once on", "links pin on")
+
+const crypto = require('crypto');
+
+const SIGNATURE_LENGTH = 22;   // base64url characters of the HMAC kept in the link (132 bits)
+const TOKEN_PATTERN = /^([0-9a-f]{16})\.([0-9a-z]{1,10})\.([A-Za-z0-9_-]{22})$/;
+const PIN_LENGTH = 6;
+const MAX_PIN_ATTEMPTS = 5;    // the file is deleted after this many wrong PINs
+const MIN_SECRET_LENGTH = 32;
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Key for signing links from DOWNLOAD_LINK_SECRET. Without one a random key is used, so links stop working
+ * when the process restarts and aren't accepted by other instances
+ * @param {Object} env - process.env
+ * @returns {string}
+ * @throws {Error} When the secret is too short to be safe
+ */
+function resolveLinkSecret(env) {
+    const secret = env.DOWNLOAD_LINK_SECRET;
+    if (secret) {
+        if (secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`DOWNLOAD_LINK_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        return secret;
+    }
+    if (IS_PRODUCTION) {
+        console.warn('⚠️ Downloads: DOWNLOAD_LINK_SECRET is not set - links stop working when the server restarts');
+    }
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url').substring(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * @param {string} fileId - 16-char hex ID from storeDownloadFile
+ * @param {number} expires - Timestamp (ms) after which the link is refused
+ * @param {string} secret
+ * @returns {string} Token for /get/ and /download/
+ */
+function signDownloadToken(fileId, expires, secret) {
+    const expiry = Math.ceil(expires / 1000).toString(36);
+    return `${fileId}.${expiry}.${sign(secret, `${fileId}.${expiry}`)}`;
+}
+
+/**
+ * Checks a link's signature and expiry
+ * @param {string} token
+ * @param {string} secret
+ * @param {number} [now]
+ * @returns {{fileId: string}|{error: string}} error is "invalid" or "expired"
+ */
+function verifyDownloadToken(token, secret, now = Date.now()) {
+    const match = TOKEN_PATTERN.exec(token || '');
+    if (!match) return { error: 'invalid' };
+
+    const [, fileId, expiry, signature] = match;
+    const expected = Buffer.from(sign(secret, `${fileId}.${expiry}`));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature))) return { error: 'invalid' };
+    if (parseInt(expiry, 36) * 1000 <= now) return { error: 'expired' };
+
+    return { fileId };
+}
+
+/**
+ * Random numeric PIN for a protected link
+ * @returns {string}
+ */
+function generatePin() {
+    return crypto.randomInt(0, 10 ** PIN_LENGTH).toString().padStart(PIN_LENGTH, '0');
+}
+
+/**
+ * Stored in place of the PIN - tied to the file, so the same PIN on another file hashes differently
+ * @param {string} fileId
+ * @param {string} pin
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashPin(fileId, pin, secret) {
+    return crypto.createHmac('sha256', secret).update(`pin:${fileId}:${pin}`).digest('hex');
+}
+
+/**
+ * @param {string} fileId
+ * @param {string} pin - As typed on the download page (spaces ignored)
+ * @param {string} pinHash - From hashPin
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifyPin(fileId, pin, pinHash, secret) {
+    const typed = String(pin || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(typed) || typeof pinHash !== 'string') return false;
+    const expected = Buffer.from(pinHash, 'hex');
+    const actual = Buffer.from(hashPin(fileId, typed, secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parses the link settings command
+ * • "links" - show the current settings
+ * • "links once on|off" - links stop working after the first download
+ * • "links pin on|off" - the download page asks for a PIN sent with the link
+ * @param {string} message
+ * @returns {{action: 'show'}|{action: 'set', setting: string, enabled: boolean}|null}
+ */
+function parseLinksCommand(message) {
+    const text = (message || '').trim().toLowerCase();
+    if (text === 'links') return { action: 'show' };
+
+    const match = text.match(/^links\s+(once|pin)\s+(on|off)$/);
+    if (!match) return null;
+    return { action: 'set', setting: match[1] === 'once' ? 'oneTimeLinks' : 'linkPin', enabled: match[2] === 'on' };
+}
+
+/**
+ * Reply describing the user's link settings
+ * @param {{oneTimeLinks?: boolean, linkPin?: boolean}} prefs
+ * @returns {string}
+ */
+function generateLinkSettings(prefs) {
+    return `🔗 **Download link settings**
+☝️ One-time links: *${prefs.oneTimeLinks ? 'on' : 'off'}* - ${prefs.oneTimeLinks ? 'each link works for one download' : 'links work until they expire'}
+🔒 PIN: *${prefs.linkPin ? 'on' : 'off'}* - ${prefs.linkPin ? 'the download page asks for the PIN sent with the link' : 'anyone with the link can download'}
+
+Change with "links once on|off" or "links pin on|off"
+_Every link is signed and expires after 2 hours._`;
+}
+
+/**
+ * Lines added under a download link in chat replies
+ * @param {{pin?: string|null, oneTime?: boolean}} link
+ * @returns {string} Starts with a newline, empty when neither option is on
+ */
+function generateLinkNotes(link) {
+    let notes = '';
+    if (link.pin) notes += `\n🔒 PIN: *${link.pin}* - you'll be asked for it before the download`;
+    if (link.oneTime) notes += `\n☝️ _This link works for one download_`;
+    return notes;
+}
+
+module.exports = {
+    MAX_PIN_ATTEMPTS,
+    resolveLinkSecret,
+    signDownloadToken,
+    verifyDownloadToken,
+    generatePin,
+    hashPin,
+    verifyPin,
+    parseLinksCommand,
+    generateLinkSettings,
+    generateLinkNotes
+};
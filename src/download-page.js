@@ -0,0 +1,180 @@
+// Download Page
+// /get/<token> opens a page instead of starting a download straight away (which on many Android browsers ends up
+// in an obscure folder): the contact count, the first rows and buttons for CSV, vCard and Excel, plus
+// "Add to my phone" - a vCard sent inline so the phone offers to import it rather than saving it
+
+const { generateCSV } = require('./csv-generator');
+const { generateVCF } = require('./vcf-generator');
+const { generateXLSX } = require('./xlsx-generator');
+const { getExportProfile, getExportableContacts } = require('./export-profiles');
+
+const PREVIEW_ROWS = 10;
+const PREVIEW_COLUMNS = [['Name', 'name'], ['Mobile', 'mobile'], ['Email', 'email']];
+
+// Download formats - files that carry their contacts can be converted to any of them
+const FORMATS = {
+    csv: { label: '📊 Download CSV', extension: 'csv', mimeType: 'text/csv' },
+    vcf: { label: '📇 Download VCF', extension: 'vcf', mimeType: 'text/vcard' },
+    xlsx: { label: '📗 Download Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    phone: { label: '📱 Add all to my phone', extension: 'vcf', mimeType: 'text/vcard' }
+};
+
+/**
+ * Format a stored file was created in
+ * @param {Object} fileData - Stored download file
+ * @returns {string} 'csv', 'vcf' or 'xlsx'
+ */
+function getFileFormat(fileData) {
+    const mimeType = fileData.mimeType || 'text/csv';   // files without a type are CSV exports
+    return Object.keys(FORMATS).find(format => FORMATS[format].mimeType === mimeType) || 'csv';
+}
+
+/**
+ * Formats offered for a file - all of them when the contacts were stored with it, otherwise just its own
+ * @param {Object} fileData
+ * @returns {string[]}
+ */
+function getAvailableFormats(fileData) {
+    return Array.isArray(fileData.contacts) ? Object.keys(FORMATS) : [getFileFormat(fileData)];
+}
+
+/**
+ * The file in the requested format - its own format is served as stored
+ * @param {Object} fileData - Stored download file ({content, filename, mimeType, encoding, contacts?, profile?, vcardVersion?})
+ * @param {string} format - From getAvailableFormats
+ * @returns {{content: string, encoding?: string, filename: string, mimeType: string, inline: boolean}|null} null if the format isn't available
+ */
+function convertDownloadFile(fileData, format) {
+    if (!getAvailableFormats(fileData).includes(format)) return null;
+
+    const filename = fileData.filename.replace(/\.[^.]+$/, '') + `.${FORMATS[format].extension}`;
+    const file = { filename, mimeType: FORMATS[format].mimeType, inline: format === 'phone' };
+    const target = format === 'phone' ? 'vcf' : format;
+
+    if (target === getFileFormat(fileData)) {
+        return { ...file, content: fileData.content, encoding: fileData.encoding };
+    }
+
+    // Spreadsheet formats keep the export profile's columns and leave out rows it can't use
+    const profile = getExportProfile(fileData.profile);
+    if (target === 'vcf') {
+        return { ...file, content: generateVCF(fileData.contacts, { version: fileData.vcardVersion }) };
+    }
+    if (target === 'xlsx') {
+        return { ...file, content: generateXLSX(getExportableContacts(fileData.contacts, profile), profile).toString('base64'), encoding: 'base64' };
+    }
+    return { ...file, content: generateCSV(getExportableContacts(fileData.contacts, profile), profile) };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function generatePreviewTable(contacts) {
+    const header = PREVIEW_COLUMNS.map(([label]) => `<th>${label}</th>`).join('');
+    const rows = contacts.slice(0, PREVIEW_ROWS).map(contact =>
+        `<tr>${PREVIEW_COLUMNS.map(([, field]) => `<td>${escapeHtml(contact[field] || '')}</td>`).join('')}</tr>`
+    ).join('\n                            ');
+    const more = contacts.length > PREVIEW_ROWS
+        ? `<p class="note">Showing the first ${PREVIEW_ROWS} of ${contacts.length} contacts</p>`
+        : '';
+
+    return `<div class="preview">
+                        <table>
+                            <tr>${header}</tr>
+                            ${rows}
+                        </table>
+                    </div>
+                    ${more}`;
+}
+
+const PAGE_STYLE = `
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+                        margin: 0;
+                        padding: 1rem;
+                        background: #f5f5f5;
+                    }
+                    .container {
+                        background: white;
+                        padding: 1.5rem;
+                        border-radius: 10px;
+                        box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+                        max-width: 600px;
+                        margin: 0 auto;
+                    }
+                    h1 { color: #25d366; font-size: 1.4rem; margin-top: 0; }
+                    .preview { overflow-x: auto; }
+                    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+                    th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #eee; white-space: nowrap; }
+                    th { background: #f0faf4; }
+                    .note { color: #777; font-size: 0.85rem; }
+                    .error { color: #e74c3c; }
+                    input { font-size: 1.5rem; letter-spacing: 0.3rem; text-align: center; width: 10rem; padding: 0.5rem; }
+                    button { display: block; width: 100%; font-size: 1rem; margin-top: 0.75rem; padding: 0.9rem; border: 0; border-radius: 6px; background: #25d366; color: white; }
+                    button.secondary { background: #128c7e; }`;
+
+/**
+ * The page /get/ links open
+ * • Unprotected files: preview and a GET form, so each button is a plain /download/<token>?format=... link
+ * • PIN files: only the PIN field until it's entered, then the preview with the PIN carried in the form
+ * • One-time and PIN files are released by POST, so link previews and prefetching can't use them up
+ * @param {Object} options
+ * @param {string} options.token - Verified download token
+ * @param {Object} options.fileData - Stored download file
+ * @param {boolean} options.needsPin - File has a PIN
+ * @param {string} [options.pin] - PIN already checked, kept for the format buttons
+ * @param {string} [options.error] - Shown above the form (e.g. a wrong PIN)
+ * @returns {string} HTML
+ */
+function generateDownloadPage({ token, fileData, needsPin, pin, error }) {
+    const locked = needsPin && !pin;
+    const contacts = Array.isArray(fileData.contacts) ? fileData.contacts : null;
+    const count = fileData.contactCount || (contacts ? contacts.length : 0);
+    const method = needsPin || fileData.oneTime ? 'POST' : 'GET';
+
+    let body;
+    if (locked) {
+        body = `<p>Enter the PIN from your WhatsApp message</p>
+                        <input name="pin" inputmode="numeric" autocomplete="one-time-code" maxlength="6" required autofocus>
+                        <button type="submit">🔓 Unlock</button>`;
+    } else {
+        body = (pin ? `<input type="hidden" name="pin" value="${escapeHtml(pin)}">\n                        ` : '') +
+            getAvailableFormats(fileData).map(format =>
+                `<button type="submit" name="format" value="${format}"${format === 'phone' ? ' class="secondary"' : ''}>${FORMATS[format].label}</button>`
+            ).join('\n                        ');
+    }
+
+    return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${escapeHtml(fileData.filename)}</title>
+                <meta name="viewport" content="width=device-width, initial-scale=1">
+                <meta name="robots" content="noindex">
+                <style>${PAGE_STYLE}
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <h1>${locked ? '🔒' : '📥'} ${count > 0 ? `${count} contact${count === 1 ? '' : 's'} ready` : escapeHtml(fileData.filename)}</h1>
+                    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+                    ${!locked && contacts ? generatePreviewTable(contacts) : ''}
+                    <form method="${method}" action="/download/${escapeHtml(token)}">
+                        ${body}
+                    </form>
+                    ${fileData.oneTime ? '<p class="note">This link works for one download.</p>' : ''}
+                    <p class="note">The link expires 2 hours after it was sent.</p>
+                </div>
+            </body>
+            </html>
+        `;
+}
+
+module.exports = {
+    PREVIEW_ROWS,
+    getFileFormat,
+    getAvailableFormats,
+    convertDownloadFile,
+    generateDownloadPage
+};
@@ -0,0 +1,258 @@
+// Duplicate Contact Resolver
+// Detects repeated guests across a staged batch and resolves conflicts with the user
+
+// Titles ignored when comparing names
+const NAME_TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'chief', 'engr', 'pastor', 'rev', 'hon', 'alhaji', 'alhaja']);
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const PHONE_MATCH_DIGITS = 9; // Compare subscriber digits so +2348012345678 matches 08012345678
+
+function phoneKey(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= PHONE_MATCH_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : '';
+}
+
+function emailKey(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+function nameTokens(name) {
+    return (name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')   // any script - marks stay so vowel signs don't split words
+        .split(/\s+/)
+        .filter(token => token && !NAME_TITLES.has(token))
+        .sort();
+}
+
+// Levenshtein distance between two short strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Fuzzy name comparison - ignores case, accents, titles, punctuation and word order
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function namesMatch(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return false;
+
+    const joinedA = tokensA.join(' ');
+    const joinedB = tokensB.join(' ');
+    if (joinedA === joinedB) return true;
+
+    // "John Smith" vs "John A Smith"
+    const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    if (shorter.length >= 2 && shorter.every(token => longer.includes(token))) return true;
+
+    const similarity = 1 - editDistance(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+    return similarity >= NAME_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Checks whether two contacts are likely the same guest
+ * • Same phone or same email is always a match
+ * • Fuzzy-matching names match unless their phones or emails differ
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameContact(a, b) {
+    const phoneA = phoneKey(a.mobile);
+    const phoneB = phoneKey(b.mobile);
+    const emailA = emailKey(a.email);
+    const emailB = emailKey(b.email);
+
+    if (phoneA && phoneA === phoneB) return true;
+    if (emailA && emailA === emailB) return true;
+
+    const phonesDiffer = phoneA && phoneB && phoneA !== phoneB;
+    const emailsDiffer = emailA && emailB && emailA !== emailB;
+    return !phonesDiffer && !emailsDiffer && namesMatch(a.name, b.name);
+}
+
+// True when the incoming contact adds nothing the existing one lacks
+function isRedundant(existing, incoming) {
+    const sameOrEmpty = (value, other, key) => !value || key(value) === key(other);
+
+    return sameOrEmpty(incoming.mobile, existing.mobile, phoneKey) &&
+           sameOrEmpty(incoming.email, existing.email, emailKey) &&
+           (!incoming.name || namesMatch(incoming.name, existing.name) || !nameTokens(incoming.name).length) &&
+           sameOrEmpty(incoming.company, existing.company, value => value.trim().toLowerCase());
+}
+
+/**
+ * Finds the index of the first contact matching the given one
+ * @param {Array} contacts
+ * @param {Object} contact
+ * @returns {number} Index or -1
+ */
+function findDuplicateIndex(contacts, contact) {
+    return contacts.findIndex(candidate => isSameContact(candidate, contact));
+}
+
+/**
+ * Compares new contacts against the staged batch (and each other)
+ * @param {Array} existingContacts - Contacts already in the batch
+ * @param {Array} newContacts - Freshly parsed contacts
+ * @returns {{unique: Array, exactDuplicates: number, conflicts: Array<{existing: Object, incoming: Object}>}}
+ */
+function findDuplicates(existingContacts, newContacts) {
+    const unique = [];
+    const conflicts = [];
+    let exactDuplicates = 0;
+
+    newContacts.forEach(incoming => {
+        const staged = existingContacts.concat(unique);
+        const index = findDuplicateIndex(staged, incoming);
+
+        if (index === -1) {
+            unique.push(incoming);
+        } else if (isRedundant(staged[index], incoming)) {
+            exactDuplicates++;
+        } else {
+            conflicts.push({ existing: staged[index], incoming });
+        }
+    });
+
+    return { unique, exactDuplicates, conflicts };
+}
+
+/**
+ * Combines two contacts, keeping the existing values and filling gaps from the new one
+ * Differing phone numbers and emails are preserved in notes
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+function mergeContacts(existing, incoming) {
+    const merged = { ...incoming, ...existing };
+    const extras = [];
+
+    ['name', 'mobile', 'email', 'company'].forEach(field => {
+        if (!existing[field] && incoming[field]) {
+            merged[field] = incoming[field];
+        }
+    });
+
+    // Prefer the fuller version of the same name, e.g. "John A. Smith" over "John Smith"
+    if (incoming.name && existing.name && incoming.name.trim().length > existing.name.trim().length) {
+        merged.name = incoming.name;
+    }
+
+    if (existing.mobile && incoming.mobile && phoneKey(existing.mobile) !== phoneKey(incoming.mobile)) {
+        extras.push(incoming.mobile);
+    }
+    if (existing.email && incoming.email && emailKey(existing.email) !== emailKey(incoming.email)) {
+        extras.push(incoming.email);
+    }
+
+    const notes = [existing.notes, incoming.notes !== existing.notes ? incoming.notes : '']
+        .filter(Boolean);
+    if (extras.length > 0) {
+        notes.push(`Also: ${extras.join(', ')}`);
+    }
+    merged.notes = notes.join('; ');
+
+    return merged;
+}
+
+/**
+ * Applies the user's answer to one conflict
+ * @param {Array} contacts - Current staged batch
+ * @param {{existing: Object, incoming: Object}} conflict
+ * @param {string} action - keep | merge | skip
+ * @returns {Array} Updated batch
+ */
+function applyResolution(contacts, conflict, action) {
+    if (action === 'skip') return contacts;
+
+    const updated = contacts.slice();
+    if (action === 'keep') {
+        updated.push(conflict.incoming);
+        return updated;
+    }
+
+    // Merge - locate the original contact again, the batch may have changed since the question
+    const existingJson = JSON.stringify(conflict.existing);
+    let index = updated.findIndex(contact => JSON.stringify(contact) === existingJson);
+    if (index === -1) {
+        index = findDuplicateIndex(updated, conflict.incoming);
+    }
+
+    if (index === -1) {
+        updated.push(conflict.incoming);
+    } else {
+        updated[index] = mergeContacts(updated[index], conflict.incoming);
+    }
+
+    return updated;
+}
+
+/**
+ * Parses a reply to a duplicate question
+ * @param {string} message - e.g. "merge", "Skip all"
+ * @returns {{action: string, all: boolean}|null}
+ */
+function parseResolutionReply(message) {
+    const match = (message || '').trim().toLowerCase().match(/^(keep|merge|skip)(\s+all)?$/);
+    if (!match) return null;
+    return { action: match[1], all: !!match[2] };
+}
+
+function describeContact(contact) {
+    const lines = [contact.name || '(no name)'];
+    if (contact.mobile) lines.push(`📱 ${contact.mobile}`);
+    if (contact.email) lines.push(`📧 ${contact.email}`);
+    if (contact.company) lines.push(`🏢 ${contact.company}`);
+    return lines.join('\n');
+}
+
+/**
+ * Generates the WhatsApp question for the next pending conflict
+ * @param {{existing: Object, incoming: Object}} conflict
+ * @param {number} position - 1-based position of this conflict
+ * @param {number} total - Total conflicts in this round
+ * @returns {string}
+ */
+function generateConflictQuestion(conflict, position, total) {
+    let message = `🔁 *Possible duplicate${total > 1 ? ` (${position} of ${total})` : ''}*\n\n`;
+    message += `*Already in your list:*\n${describeContact(conflict.existing)}\n\n`;
+    message += `*New:*\n${describeContact(conflict.incoming)}\n\n`;
+    message += `Reply:\n`;
+    message += `• *keep* - keep both\n`;
+    message += `• *merge* - combine into one contact\n`;
+    message += `• *skip* - discard the new one`;
+
+    if (total - position > 0) {
+        message += `\n\n_Add "all" (e.g. "skip all") to answer the remaining ${total - position + 1} the same way._`;
+    }
+
+    return message;
+}
+
+module.exports = {
+    findDuplicates,
+    findDuplicateIndex,
+    isSameContact,
+    namesMatch,
+    mergeContacts,
+    applyResolution,
+    parseResolutionReply,
+    generateConflictQuestion
+};
@@ -0,0 +1,206 @@
+// export-profiles.js - CSV column layouts for different import targets
+
+// Titles moved out of first names when splitting
+const NAME_PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'chief', 'engr', 'pastor', 'rev', 'hon', 'alhaji', 'alhaja'];
+
+const DEFAULT_PROFILE = 'ticketing';
+
+/**
+ * Export profiles
+ * • label - shown in chat
+ * • columns - [header, field] pairs in output order; field is a contact field,
+ *   a derived name part (prefix, firstName, lastName), an extra number or email
+ *   (phone2, phone2Type, otherPhones, otherEmails) or a constant written as '=value'
+ * • requiredField - rows without this field are left out (e.g. Mailchimp needs an email),
+ *   requiredLabel describes it in chat
+ */
+const EXPORT_PROFILES = {
+    ticketing: {
+        label: 'Ticketing (name, mobile, email, passes)',
+        columns: [
+            ['name', 'name'],
+            ['mobile', 'mobile'],
+            ['email', 'email'],
+            ['passes', 'passes']
+        ]
+    },
+    full: {
+        label: 'All fields',
+        columns: [
+            ['Name', 'name'],
+            ['First Name', 'firstName'],
+            ['Last Name', 'lastName'],
+            ['Mobile', 'mobile'],
+            ['Email', 'email'],
+            ['Other Phones', 'otherPhones'],
+            ['Other Emails', 'otherEmails'],
+            ['Company', 'company'],
+            ['Job Title', 'title'],
+            ['Address', 'address'],
+            ['Birthday', 'birthday'],
+            ['Website', 'url'],
+            ['Notes', 'notes']
+        ]
+    },
+    google: {
+        label: 'Google Contacts',
+        columns: [
+            ['Name', 'name'],
+            ['Name Prefix', 'prefix'],
+            ['Given Name', 'firstName'],
+            ['Family Name', 'lastName'],
+            ['E-mail 1 - Type', '=* Other'],
+            ['E-mail 1 - Value', 'email'],
+            ['Phone 1 - Type', '=Mobile'],
+            ['Phone 1 - Value', 'mobile'],
+            ['Phone 2 - Type', 'phone2Type'],
+            ['Phone 2 - Value', 'phone2'],
+            ['Organization 1 - Name', 'company'],
+            ['Organization 1 - Title', 'title'],
+            ['Address 1 - Formatted', 'address'],
+            ['Birthday', 'birthday'],
+            ['Website 1 - Value', 'url'],
+            ['Notes', 'notes']
+        ]
+    },
+    outlook: {
+        label: 'Outlook',
+        columns: [
+            ['Title', 'prefix'],
+            ['First Name', 'firstName'],
+            ['Last Name', 'lastName'],
+            ['Mobile Phone', 'mobile'],
+            ['Other Phone', 'phone2'],
+            ['E-mail Address', 'email'],
+            ['Company', 'company'],
+            ['Job Title', 'title'],
+            ['Notes', 'notes']
+        ]
+    },
+    mailchimp: {
+        label: 'Mailchimp audience',
+        columns: [
+            ['Email Address', 'email'],
+            ['First Name', 'firstName'],
+            ['Last Name', 'lastName'],
+            ['Phone Number', 'mobile'],
+            ['Company', 'company']
+        ],
+        requiredField: 'email',
+        requiredLabel: 'an email address'
+    }
+};
+
+// Common alternative names users type
+const PROFILE_ALIASES = {
+    default: 'ticketing',
+    standard: 'ticketing',
+    tickets: 'ticketing',
+    all: 'full',
+    gmail: 'google',
+    microsoft: 'outlook'
+};
+
+/**
+ * Resolves a profile name typed by the user
+ * @param {string} name - e.g. "Google", "gmail"
+ * @returns {string|null} Profile key or null if unknown
+ */
+function resolveProfile(name) {
+    if (!name || typeof name !== 'string') return null;
+
+    const key = name.trim().toLowerCase();
+    const profile = PROFILE_ALIASES[key] || key;
+    return EXPORT_PROFILES[profile] ? profile : null;
+}
+
+/**
+ * Returns a profile definition, falling back to the default profile
+ * @param {string} name
+ * @returns {{key: string, label: string, columns: Array, requiredField?: string}}
+ */
+function getExportProfile(name) {
+    const key = resolveProfile(name) || DEFAULT_PROFILE;
+    return { key, ...EXPORT_PROFILES[key] };
+}
+
+/**
+ * Splits a full name into prefix, first and last name
+ * @param {string} fullName - e.g. "Mrs Ada Grace Obi"
+ * @returns {{prefix: string, firstName: string, lastName: string}}
+ */
+function splitName(fullName) {
+    const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+    const prefixes = [];
+
+    while (parts.length > 1 && NAME_PREFIXES.includes(parts[0].toLowerCase().replace(/\.$/, ''))) {
+        prefixes.push(parts.shift());
+    }
+
+    return {
+        prefix: prefixes.join(' '),
+        firstName: parts.length > 1 ? parts.slice(0, -1).join(' ') : (parts[0] || ''),
+        lastName: parts.length > 1 ? parts[parts.length - 1] : ''
+    };
+}
+
+/**
+ * Reads one column value from a contact
+ * @param {Object} contact
+ * @param {string} field - Contact field, name part or '=constant'
+ * @returns {string|number}
+ */
+function getFieldValue(contact, field) {
+    if (field.startsWith('=')) return field.substring(1);
+
+    if (field === 'prefix' || field === 'firstName' || field === 'lastName') {
+        // Spreadsheet imports may already carry separate name columns
+        if (contact[field]) return contact[field];
+        return splitName(contact.name)[field];
+    }
+
+    if (field === 'passes') return contact.passes || 1;
+
+    // Numbers and emails beyond the main ones (vCards can carry several per guest)
+    const otherPhones = (contact.phones || []).filter(phone => phone.value !== contact.mobile);
+    const otherEmails = (contact.emails || []).filter(email => email.value !== contact.email);
+
+    if (field === 'phone2') return otherPhones.length > 0 ? otherPhones[0].value : '';
+    if (field === 'phone2Type') {
+        const type = otherPhones.length > 0 ? otherPhones[0].type : '';
+        return type ? type.charAt(0).toUpperCase() + type.substring(1) : '';
+    }
+    if (field === 'otherPhones') return otherPhones.map(phone => `${phone.value} (${phone.type})`).join('; ');
+    if (field === 'otherEmails') return otherEmails.map(email => `${email.value} (${email.type})`).join('; ');
+
+    return contact[field] || '';
+}
+
+/**
+ * Contacts that can be written with the given profile
+ * @param {Array} contacts
+ * @param {Object} profile - From getExportProfile
+ * @returns {Array}
+ */
+function getExportableContacts(contacts, profile) {
+    if (!profile.requiredField) return contacts;
+    return contacts.filter(contact => contact[profile.requiredField]);
+}
+
+/**
+ * Lists profiles for help messages
+ * @returns {Array<{key: string, label: string}>}
+ */
+function listExportProfiles() {
+    return Object.entries(EXPORT_PROFILES).map(([key, profile]) => ({ key, label: profile.label }));
+}
+
+module.exports = {
+    getExportProfile,
+    resolveProfile,
+    splitName,
+    getFieldValue,
+    getExportableContacts,
+    listExportProfiles,
+    DEFAULT_PROFILE
+};
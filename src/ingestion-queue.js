@@ -0,0 +1,126 @@
+// Ingestion Queue
+// Messages from one user are handled concurrently, but changes to their batch run one at a time,
+// and acknowledgements for messages arriving close together are coalesced into one status reply
+
+const MAX_DEBOUNCE_MS = 10000;   // Twilio gives up on a webhook after 15 seconds
+const LOCK_TTL = 30;             // seconds - a crashed instance can't hold a batch for longer
+const LOCK_WAIT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+
+// Tail of each user's queue in this process
+const queues = new Map();
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Debounce window from an environment value, kept inside the webhook timeout
+ * @param {string} [value] - Milliseconds, 0 replies to every message straight away
+ * @param {number} defaultMs - Used when value is missing or invalid
+ * @returns {number}
+ */
+function resolveDebounceWindow(value, defaultMs) {
+    const ms = parseInt(value, 10);
+    if (Number.isNaN(ms) || ms < 0) return defaultMs;
+    return Math.min(ms, MAX_DEBOUNCE_MS);
+}
+
+// Batch lock shared by every instance (Redis) - after LOCK_WAIT_MS the update goes ahead regardless
+async function acquireLock(store, phone) {
+    const token = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+    while (!(await store.acquireLock(`batch:${phone}`, token, LOCK_TTL))) {
+        if (Date.now() >= giveUpAt) {
+            console.error(`⏳ Batch lock for ${phone} not released after ${LOCK_WAIT_MS}ms, continuing without it`);
+            return null;
+        }
+        await delay(LOCK_RETRY_MS);
+    }
+    return token;
+}
+
+/**
+ * Runs a change to a user's batch after any earlier ones have finished
+ * @param {Object} store - Session store (acquireLock / releaseLock)
+ * @param {string} phone
+ * @param {Function} task - Async function reading and writing the batch
+ * @returns {Promise<*>} Whatever the task returns
+ */
+async function runExclusive(store, phone, task) {
+    const previous = queues.get(phone) || Promise.resolve();
+    let done;
+    const tail = previous.then(() => new Promise(resolve => { done = resolve; }));
+    queues.set(phone, tail);
+
+    await previous;
+    let token = null;
+    try {
+        token = await acquireLock(store, phone);
+        return await task();
+    } finally {
+        // Later messages wait on this entry, so it's released even if the lock store fails
+        try {
+            if (token) await store.releaseLock(`batch:${phone}`, token);
+        } finally {
+            done();
+            if (queues.get(phone) === tail) queues.delete(phone);
+        }
+    }
+}
+
+/**
+ * Adds one message's counts and notices to the pending acknowledgement. A message on its own replies
+ * straight away; when others are pending or still being processed it waits for the window and returns
+ * everything gathered if no later message arrived meanwhile (that message replies instead)
+ * @param {Object} store - Session store (addAcknowledgement / getAcknowledgement / clearAcknowledgement / getInFlight)
+ * @param {string} phone
+ * @param {Object} counts - messages, files, texts, cards, contacts, added, skipped, failed
+ * @param {Array<string>} notices - Per-message notes for the reply (file summaries, skipped lines)
+ * @param {number} windowMs
+ * @returns {Promise<Object|null>} Totals with their notices, or null when a later message replies
+ */
+async function settleAcknowledgement(store, phone, counts, notices, windowMs) {
+    const pending = await store.addAcknowledgement(phone, counts, notices);
+    // In-flight messages include this one until its reply is sent
+    const alone = pending.seq === 1 && (await store.getInFlight(phone)) <= 1;
+    const waited = windowMs > 0 && !alone;
+    if (waited) await delay(windowMs);
+
+    // Gone after waiting means a later message has already replied for everything
+    const latest = await store.getAcknowledgement(phone);
+    if (latest ? latest.seq !== pending.seq : waited) return null;
+
+    await store.clearAcknowledgement(phone);
+    return latest || pending;
+}
+
+/**
+ * Combined reply for several messages received within one window
+ * @param {Object} totals - As returned by settleAcknowledgement
+ * @returns {string}
+ */
+function generateAcknowledgement(totals) {
+    const received = [];
+    if (totals.files > 0) received.push(`${totals.files} file${totals.files === 1 ? '' : 's'}`);
+    if (totals.cards > 0) received.push(`${totals.cards} shared contact${totals.cards === 1 ? '' : 's'}`);
+    if (totals.texts > 0) received.push(`${totals.texts} text message${totals.texts === 1 ? '' : 's'}`);
+
+    let message = `📥 *${totals.messages} messages received*${received.length > 0 ? ` - ${received.join(', ')}` : ''}`;
+    message += `\n✅ ${totals.added} of ${totals.contacts} contact${totals.contacts === 1 ? '' : 's'} added to your batch`;
+    if (totals.skipped > 0) {
+        message += `\n🔁 ${totals.skipped} already in your list`;
+    }
+    if (totals.failed > 0) {
+        message += `\n⚠️ ${totals.failed} file${totals.failed === 1 ? '' : 's'} couldn't be read`;
+    }
+    return message;
+}
+
+module.exports = {
+    resolveDebounceWindow,
+    runExclusive,
+    settleAcknowledgement,
+    generateAcknowledgement
+};
@@ -0,0 +1,110 @@
+// Parse Report
+// Collects input the parsers couldn't use (skipped lines, rejected rows, low-confidence guesses)
+// so users can see what was left out and download the full list with the "report" command
+
+const { escapeCSV } = require('./csv-generator');
+const { LOW_CONFIDENCE_THRESHOLD } = require('./csv-excel-parser');
+
+const MESSAGE_LINE_LIMIT = 5;   // lines quoted in the chat reply
+const MESSAGE_LINE_LENGTH = 60;
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+function describeContact(contact) {
+    return [contact.name, contact.mobile, contact.email].filter(Boolean).join(' ');
+}
+
+/**
+ * Turns a parse report into entries for the skipped-lines file
+ * @param {string} source - Where the input came from, e.g. "Message" or "File 2"
+ * @param {Object} report - Filled by parseContactFile ({skippedLines, rejected})
+ * @param {Array} contacts - Contacts extracted from the same input
+ * @returns {Array<{source: string, reason: string, line: string}>}
+ */
+function buildReportEntries(source, report, contacts) {
+    const entries = [];
+
+    (report.skippedLines || []).forEach(line => {
+        entries.push({ source, reason: 'No contact details recognised', line });
+    });
+
+    (report.rejected || []).forEach(rejected => {
+        entries.push({ source, reason: rejected.reason, line: describeContact(rejected.data) || JSON.stringify(rejected.data) });
+    });
+
+    findLowConfidence(contacts).forEach(contact => {
+        entries.push({
+            source,
+            reason: `Low confidence (${Math.round(contact.confidence * 100)}%, ${contact.method})`,
+            line: describeContact(contact)
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Contacts whose fields were likely guessed
+ * @param {Array} contacts
+ * @returns {Array}
+ */
+function findLowConfidence(contacts) {
+    return contacts.filter(contact => typeof contact.confidence === 'number' && contact.confidence < LOW_CONFIDENCE_THRESHOLD);
+}
+
+/**
+ * Short chat reply listing lines that couldn't be read and contacts worth checking
+ * @param {Array<string>} skippedLines - Input lines no contact was found in
+ * @param {Array<{number: number, contact: Object}>} uncertain - Low-confidence contacts with their batch position
+ * @returns {string} Empty string when there is nothing to report
+ */
+function generateUnparsedMessage(skippedLines, uncertain) {
+    const sections = [];
+
+    if (skippedLines.length > 0) {
+        let section = `🤔 *I couldn't understand ${skippedLines.length === 1 ? 'this line' : `these ${skippedLines.length} lines`}:*\n`;
+        section += skippedLines.slice(0, MESSAGE_LINE_LIMIT).map(line => `• ${truncate(line, MESSAGE_LINE_LENGTH)}`).join('\n');
+        if (skippedLines.length > MESSAGE_LINE_LIMIT) {
+            section += `\n• ... and ${skippedLines.length - MESSAGE_LINE_LIMIT} more`;
+        }
+        sections.push(section);
+    }
+
+    if (uncertain.length > 0) {
+        let section = `⚠️ *Please check ${uncertain.length === 1 ? 'this contact' : `these ${uncertain.length} contacts`}* - the details may be mixed up:\n`;
+        section += uncertain.slice(0, MESSAGE_LINE_LIMIT)
+            .map(({ number, contact }) => `• ${number}. ${truncate(describeContact(contact), MESSAGE_LINE_LENGTH)}`)
+            .join('\n');
+        if (uncertain.length > MESSAGE_LINE_LIMIT) {
+            section += `\n• ... and ${uncertain.length - MESSAGE_LINE_LIMIT} more`;
+        }
+        section += `\n\nFix them with "edit 3 name Jane Doe" or "delete 3".`;
+        sections.push(section);
+    }
+
+    if (sections.length === 0) return '';
+
+    return `${sections.join('\n\n')}\n\n📄 Type "report" to download everything that was skipped.`;
+}
+
+/**
+ * CSV file of skipped input for the "report" command
+ * @param {Array<{source: string, reason: string, line: string}>} entries
+ * @returns {string}
+ */
+function generateReportCSV(entries) {
+    const rows = ['source,reason,line'];
+    entries.forEach(entry => {
+        rows.push([entry.source, entry.reason, entry.line].map(value => escapeCSV(value)).join(','));
+    });
+    return rows.join('\n');
+}
+
+module.exports = {
+    buildReportEntries,
+    findLowConfidence,
+    generateUnparsedMessage,
+    generateReportCSV
+};
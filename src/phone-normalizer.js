@@ -0,0 +1,175 @@
+// phone-normalizer.js - Country-aware phone number normalisation
+// Converts local and international numbers to E.164 (+<country code><national number>)
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+
+/**
+ * Per-country dialling rules
+ * • callingCode - international country code (without +)
+ * • trunkPrefix - digit(s) dialled before local numbers inside the country
+ * • nationalPattern - valid national number without the trunk prefix
+ */
+const COUNTRY_RULES = {
+    NG: { name: 'Nigeria', callingCode: '234', trunkPrefix: '0', nationalPattern: /^[789]\d{9}$/ },
+    GH: { name: 'Ghana', callingCode: '233', trunkPrefix: '0', nationalPattern: /^[235]\d{8}$/ },
+    KE: { name: 'Kenya', callingCode: '254', trunkPrefix: '0', nationalPattern: /^[17]\d{8}$/ },
+    GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', nationalPattern: /^[1237]\d{8,9}$/ },
+    US: { name: 'United States', callingCode: '1', trunkPrefix: '1', nationalPattern: /^[2-9]\d{9}$/ },
+    CA: { name: 'Canada', callingCode: '1', trunkPrefix: '1', nationalPattern: /^[2-9]\d{9}$/ },
+    ZA: { name: 'South Africa', callingCode: '27', trunkPrefix: '0', nationalPattern: /^[1-8]\d{8}$/ },
+    UG: { name: 'Uganda', callingCode: '256', trunkPrefix: '0', nationalPattern: /^[347]\d{8}$/ },
+    TZ: { name: 'Tanzania', callingCode: '255', trunkPrefix: '0', nationalPattern: /^[2-7]\d{8}$/ },
+    RW: { name: 'Rwanda', callingCode: '250', trunkPrefix: '0', nationalPattern: /^7\d{8}$/ },
+    CM: { name: 'Cameroon', callingCode: '237', trunkPrefix: '', nationalPattern: /^[26]\d{8}$/ },
+    SN: { name: 'Senegal', callingCode: '221', trunkPrefix: '', nationalPattern: /^[37]\d{8}$/ },
+    CI: { name: "Côte d'Ivoire", callingCode: '225', trunkPrefix: '', nationalPattern: /^\d{10}$/ },
+    FR: { name: 'France', callingCode: '33', trunkPrefix: '0', nationalPattern: /^[1-9]\d{8}$/ },
+    AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', nationalPattern: /^[2-9]\d{7,8}$/ }
+};
+
+// Common non-ISO codes users type
+const REGION_ALIASES = {
+    UK: 'GB',
+    USA: 'US',
+    UAE: 'AE'
+};
+
+const FALLBACK_REGION = 'NG';
+
+/**
+ * Resolves a user-supplied region code to a supported ISO 3166 alpha-2 code
+ * @param {string} code - e.g. "gh", "UK"
+ * @returns {string|null} Supported region code or null
+ */
+function resolveRegion(code) {
+    if (!code || typeof code !== 'string') return null;
+
+    const upper = code.trim().toUpperCase();
+    const region = REGION_ALIASES[upper] || upper;
+    return COUNTRY_RULES[region] ? region : null;
+}
+
+// Deployment default - validated once at startup
+const DEFAULT_REGION = (() => {
+    const configured = process.env.DEFAULT_COUNTRY;
+    const region = resolveRegion(configured);
+    if (configured && !region) {
+        console.log(`⚠️ Unsupported DEFAULT_COUNTRY "${configured}", using ${FALLBACK_REGION}`);
+    }
+    return region || FALLBACK_REGION;
+})();
+
+/**
+ * Normalises a phone number to E.164 using the rules of the given region
+ * @param {string} phone - Raw phone number in any common format
+ * @param {string} [region] - Region used for local numbers (defaults to DEFAULT_COUNTRY)
+ * @returns {string} E.164 number, or empty string if the input is not a phone number
+ */
+function normalizePhone(phone, region = DEFAULT_REGION) {
+    if (!phone) return '';
+
+    const raw = String(phone).trim();
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.startsWith('+');
+
+    // "00" international dialling prefix
+    if (!international && /^00[1-9]/.test(digits)) {
+        digits = digits.substring(2);
+        international = true;
+    }
+
+    if (digits.length < 7 || digits.length > 15) return '';
+
+    if (international) {
+        return formatInternational(digits);
+    }
+
+    const rules = COUNTRY_RULES[resolveRegion(region) || DEFAULT_REGION];
+
+    // Local number with trunk prefix (e.g. 024 123 4567 in Ghana)
+    if (rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)) {
+        const national = digits.substring(rules.trunkPrefix.length);
+        if (rules.nationalPattern.test(national)) {
+            return `+${rules.callingCode}${national}`;
+        }
+    }
+
+    // National number typed without the trunk prefix
+    if (rules.nationalPattern.test(digits)) {
+        return `+${rules.callingCode}${digits}`;
+    }
+
+    // Country code typed without "+" (e.g. 2348012345678)
+    const matchedCountry = findCountryByNumber(digits);
+    if (matchedCountry) {
+        return formatInternational(digits);
+    }
+
+    // Long numbers are assumed to already carry a country code (E.164 never starts with 0)
+    if (digits.length >= 10 && !digits.startsWith('0')) {
+        return `+${digits}`;
+    }
+
+    log(`📞 Could not normalise "${raw}" for region ${region}`);
+    return '';
+}
+
+// International digits - drop a trunk prefix written after the country code, e.g. +44 (0)7911 123456
+function formatInternational(digits) {
+    for (const rules of Object.values(COUNTRY_RULES)) {
+        if (!rules.trunkPrefix || !digits.startsWith(rules.callingCode)) continue;
+
+        const rest = digits.substring(rules.callingCode.length);
+        if (rest.startsWith(rules.trunkPrefix) && rules.nationalPattern.test(rest.substring(rules.trunkPrefix.length))) {
+            return `+${rules.callingCode}${rest.substring(rules.trunkPrefix.length)}`;
+        }
+    }
+
+    return digits.length >= 8 ? `+${digits}` : '';
+}
+
+// Finds the country whose calling code and national pattern match the digits
+function findCountryByNumber(digits) {
+    return Object.keys(COUNTRY_RULES).find(region => {
+        const rules = COUNTRY_RULES[region];
+        return digits.startsWith(rules.callingCode) &&
+               rules.nationalPattern.test(digits.substring(rules.callingCode.length));
+    }) || null;
+}
+
+/**
+ * Lists supported regions for help messages
+ * @returns {Array<{code: string, name: string, callingCode: string}>}
+ */
+function getSupportedRegions() {
+    return Object.entries(COUNTRY_RULES).map(([code, rules]) => ({
+        code,
+        name: rules.name,
+        callingCode: rules.callingCode
+    }));
+}
+
+/**
+ * Human-readable region label, e.g. "GH (Ghana, +233)"
+ * @param {string} region
+ * @returns {string}
+ */
+function describeRegion(region) {
+    const code = resolveRegion(region) || DEFAULT_REGION;
+    const rules = COUNTRY_RULES[code];
+    return `${code} (${rules.name}, +${rules.callingCode})`;
+}
+
+module.exports = {
+    normalizePhone,
+    resolveRegion,
+    getSupportedRegions,
+    describeRegion,
+    DEFAULT_REGION
+};
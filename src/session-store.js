@@ -1,135 +1,198 @@
 /**
  * Session & temp-file storage
- * • Redis (preferred) with 15 s socket timeout
- * • Falls back to in-memory if REDIS_URL is missing
+ * • Domain helpers (batches, lists, history, preferences) on top of the shared storage
+ *   abstraction in storage.js, which picks the backend and handles TTLs and large values
  */
 
-const redis = require('redis');
+const { storage } = require('./storage');
 
-const MEM = {};              // in-process fallback
 const TTL_DEFAULT = 3600;    // 1 h
+const TTL_PREFS = 14 * 24 * 3600;   // 14 days
+const TTL_BATCH = 7200;      // 2 h stash
+const TTL_LIST = TTL_PREFS;  // named lists, refreshed on every change
+const HISTORY_LIMIT = 10;    // undo steps kept per user
+const MAX_SKIPPED_ENTRIES = 1000;   // lines kept for the "report" download
+const TTL_ACK = 300;         // 5 min pending acknowledgement for messages arriving together
+const ACK_FIELDS = ['messages', 'files', 'texts', 'cards', 'contacts', 'added', 'skipped', 'failed'];
 
 class Store {
-  constructor() {
-    const url = process.env.REDIS_URL;
-    if (url) {
-      this.redis = redis.createClient({
-        url,
-        socket: { connectTimeout: 15000 }   // 15 000 ms instead of 5 000
-      });
-      this.redis.on('error', (error) => {
-        if (process.env.NODE_ENV !== 'production') {
-          console.error('Redis error:', error);
-        } else {
-          console.error('Redis connection error occurred');
-        }
-        // Disable Redis on connection failure to prevent hanging operations
-        this.redis = null;
-        this.disabled = true; // Flag to prevent reconnection attempts
-        console.log('🔄 SESSION-STORE: Falling back to memory storage due to Redis error');
-      });
-      
-      try {
-        this.redis.connect();
-      } catch (connectError) {
-        console.error('Redis connection failed, falling back to memory:', connectError);
-        this.redis = null;
-        this.disabled = true;
-      }
-    }
-  }
-
   /* ------------- generic KV helpers ------------- */
   async set(key, val, ttl = TTL_DEFAULT) {
-    if (this.redis) {
-      return this.redis.set(key, JSON.stringify(val), { EX: ttl });
-    }
-    MEM[key] = val;
-    setTimeout(() => delete MEM[key], ttl * 1000);
+    return storage.set(key, val, ttl);
   }
 
   async get(key) {
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: get called for key ${key}`);
-      console.log(`🔄 SESSION-STORE: Redis available: ${!!this.redis}, Disabled: ${!!this.disabled}`);
-    }
-    
-    // Always check memory first, then Redis as fallback
-    const memResult = MEM[key] || null;
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Memory get result: ${memResult ? (Array.isArray(memResult) ? memResult.length + ' items' : typeof memResult) : 'null'}`);
-    }
-    
-    if (memResult) {
-      return memResult;
-    }
-    
-    // If not in memory and Redis is available, check Redis
-    if (this.redis && !this.disabled) {
-      const raw = await this.redis.get(key);
-      const redisResult = raw ? JSON.parse(raw) : null;
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`🔄 SESSION-STORE: Redis get result: ${redisResult ? (Array.isArray(redisResult) ? redisResult.length + ' items' : typeof redisResult) : 'null'}`);
-      }
-      return redisResult;
+      console.log(`🔄 SESSION-STORE: get ${key} from ${storage.name}`);
     }
-    
-    return null;
+    return storage.get(key);
   }
 
   async del(key) {
-    if (this.redis) return this.redis.del(key);
-    delete MEM[key];
+    return storage.del(key);
   }
 
-  /* ------------- contact staging ------------- */
-  async appendContacts(phone, list) {
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: appendContacts called for ${phone} with ${list.length} contacts`);
-    }
-    const key = `contacts:${phone}`;
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Using key ${key}`);
-    }
-    
-    const current = (await this.get(key)) || [];
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Found ${current.length} existing contacts`);
-    }
-    
-    const merged  = current.concat(list);
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Merged total: ${merged.length} contacts`);
-    }
-    
-    await this.set(key, merged, 7200);   // 2 h stash
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Saved ${merged.length} contacts to storage`);
-    }
-    
-    return merged.length;
+  /* ------------- named lists ------------- */
+  // The anonymous batch expires after 2 h; named lists last 14 days from their last change
+  batchKeys(phone, list) {
+    return list
+      ? { contacts: `list:${phone}:${list}`, history: `history:${phone}:${list}`, ttl: TTL_LIST }
+      : { contacts: `contacts:${phone}`, history: `history:${phone}`, ttl: TTL_BATCH };
   }
 
-  async popContacts(phone) {
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: popContacts called for ${phone}`);
-    }
-    const key = `contacts:${phone}`;
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Using key ${key}`);
-    }
-    
-    const data = (await this.get(key)) || [];
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Retrieved ${data.length} contacts`);
+  // Active list name, or null for the anonymous batch
+  async getActiveList(phone) {
+    const { activeList } = await this.getPreferences(phone);
+    if (!activeList) return null;
+    return (await this.get(this.batchKeys(phone, activeList).contacts)) ? activeList : null;
+  }
+
+  // Named lists with their contact counts - lists that expired are dropped from the index
+  async getLists(phone) {
+    const index = (await this.get(`lists:${phone}`)) || {};
+    const lists = [];
+    for (const name of Object.keys(index).sort()) {
+      const contacts = await this.get(this.batchKeys(phone, name).contacts);
+      if (contacts) {
+        lists.push({ name, count: contacts.length, created: index[name].created });
+      } else {
+        delete index[name];
+      }
     }
-    
-    await this.del(key);
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔄 SESSION-STORE: Deleted contacts from storage`);
+    await this.set(`lists:${phone}`, index, TTL_LIST);
+    return lists;
+  }
+
+  // The index lasts as long as its lists, so saving to a list keeps both alive
+  async touchListIndex(phone, name) {
+    const index = (await this.get(`lists:${phone}`)) || {};
+    if (!index[name]) index[name] = { created: Date.now() };
+    await this.set(`lists:${phone}`, index, TTL_LIST);
+  }
+
+  async createList(phone, name) {
+    const index = (await this.get(`lists:${phone}`)) || {};
+    if (index[name] && (await this.get(this.batchKeys(phone, name).contacts))) return false;
+
+    index[name] = { created: Date.now() };
+    await this.set(`lists:${phone}`, index, TTL_LIST);
+    await this.set(this.batchKeys(phone, name).contacts, [], TTL_LIST);
+    return true;
+  }
+
+  // Switches to a named list (null = anonymous batch); false if the list doesn't exist
+  async useList(phone, name) {
+    if (name && !(await this.get(this.batchKeys(phone, name).contacts))) return false;
+    await this.updatePreferences(phone, { activeList: name || null });
+    return true;
+  }
+
+  async renameList(phone, oldName, newName) {
+    const index = (await this.get(`lists:${phone}`)) || {};
+    const from = this.batchKeys(phone, oldName);
+    const to = this.batchKeys(phone, newName);
+    const contacts = await this.get(from.contacts);
+    if (!contacts || (await this.get(to.contacts))) return false;
+
+    const history = await this.get(from.history);
+    await this.set(to.contacts, contacts, TTL_LIST);
+    if (history) await this.set(to.history, history, TTL_BATCH);
+    await this.del(from.contacts);
+    await this.del(from.history);
+
+    index[newName] = index[oldName] || { created: Date.now() };
+    delete index[oldName];
+    await this.set(`lists:${phone}`, index, TTL_LIST);
+
+    const prefs = await this.getPreferences(phone);
+    if (prefs.activeList === oldName) await this.updatePreferences(phone, { activeList: newName });
+    return true;
+  }
+
+  async deleteList(phone, name) {
+    const index = (await this.get(`lists:${phone}`)) || {};
+    const keys = this.batchKeys(phone, name);
+    if (!index[name] && !(await this.get(keys.contacts))) return false;
+
+    await this.del(keys.contacts);
+    await this.del(keys.history);
+    delete index[name];
+    await this.set(`lists:${phone}`, index, TTL_LIST);
+
+    const prefs = await this.getPreferences(phone);
+    if (prefs.activeList === name) await this.updatePreferences(phone, { activeList: null });
+    return true;
+  }
+
+  /* ------------- active batch with history (undo / redo) ------------- */
+  async getContacts(phone) {
+    const { contacts } = this.batchKeys(phone, await this.getActiveList(phone));
+    return (await this.get(contacts)) || [];
+  }
+
+  // Replaces the active batch and records the previous one so it can be undone
+  async saveContacts(phone, contacts, label) {
+    const list = await this.getActiveList(phone);
+    const keys = this.batchKeys(phone, list);
+    const previous = (await this.get(keys.contacts)) || [];
+    await this.set(keys.contacts, contacts, keys.ttl);
+    if (list) await this.touchListIndex(phone, list);
+
+    if (JSON.stringify(previous) === JSON.stringify(contacts)) return contacts.length;
+
+    const history = (await this.get(keys.history)) || { undo: [], redo: [] };
+    history.undo.push({ label, contacts: previous });
+    history.undo = history.undo.slice(-HISTORY_LIMIT);
+    history.redo = [];   // a new change replaces anything that was undone
+    await this.set(keys.history, history, TTL_BATCH);
+
+    return contacts.length;
+  }
+
+  // Steps the batch back (undo) or forward (redo); returns null when there is nothing to step to
+  async stepHistory(phone, direction) {
+    const list = await this.getActiveList(phone);
+    const keys = this.batchKeys(phone, list);
+    const history = await this.get(keys.history);
+    const [from, to] = direction === 'redo' ? ['redo', 'undo'] : ['undo', 'redo'];
+    if (!history || history[from].length === 0) return null;
+
+    const current = (await this.get(keys.contacts)) || [];
+    const step = history[from].pop();
+    history[to].push({ label: step.label, contacts: current });
+
+    await this.set(keys.contacts, step.contacts, keys.ttl);
+    if (list) await this.touchListIndex(phone, list);
+    await this.set(keys.history, history, TTL_BATCH);
+
+    return { label: step.label, before: current, after: step.contacts };
+  }
+
+  async undoContacts(phone) { return this.stepHistory(phone, 'undo'); }
+  async redoContacts(phone) { return this.stepHistory(phone, 'redo'); }
+
+  // Empties the active batch - a named list stays (empty) so it can be refilled
+  async clearContacts(phone) {
+    const list = await this.getActiveList(phone);
+    const keys = this.batchKeys(phone, list);
+    if (list) {
+      await this.set(keys.contacts, [], keys.ttl);
+      await this.touchListIndex(phone, list);
+    } else {
+      await this.del(keys.contacts);
     }
-    
-    return data;
+    await this.del(keys.history);
+  }
+
+  /* ------------- user preferences ------------- */
+  async getPreferences(phone) {
+    return (await this.get(`prefs:${phone}`)) || {};
+  }
+
+  async updatePreferences(phone, changes) {
+    const prefs = { ...(await this.getPreferences(phone)), ...changes };
+    await this.set(`prefs:${phone}`, prefs, TTL_PREFS);
+    return prefs;
   }
 
   /* ------------- duplicate-resolver state ------------- */
@@ -139,9 +202,57 @@ class Store {
   async getDupState(phone)  { return this.get(`dup:${phone}`); }
   async clearDupState(phone){ return this.del(`dup:${phone}`); }
 
+  /* ------------- skipped input (parse report) ------------- */
+  async addSkippedLines(phone, entries) {
+    if (entries.length === 0) return;
+    const current = (await this.get(`skipped:${phone}`)) || [];
+    await this.set(`skipped:${phone}`, current.concat(entries).slice(-MAX_SKIPPED_ENTRIES), TTL_BATCH);
+  }
+  async getSkippedLines(phone)  { return (await this.get(`skipped:${phone}`)) || []; }
+  async clearSkippedLines(phone){ return this.del(`skipped:${phone}`); }
+
+  /* ------------- batch locks ------------- */
+  // Held across instances while a batch is changed; within one process the ingestion queue also orders updates
+  async acquireLock(name, token, ttlSec) { return storage.setIfAbsent(`lock:${name}`, token, ttlSec); }
+  async releaseLock(name, token)         { return storage.deleteIfEquals(`lock:${name}`, token); }
+
+  /* ------------- pending acknowledgements ------------- */
+  // Messages arrive together, so totals are counters incremented in one step plus a list of notices;
+  // seq identifies the latest message - only that one replies
+  async addAcknowledgement(phone, counts, notices = []) {
+    if (notices.length > 0) await storage.push(`ack:${phone}:notices`, notices, TTL_ACK);
+    const increments = { seq: 1 };
+    ACK_FIELDS.forEach(field => { increments[field] = counts[field] || 0; });
+    return storage.increment(`ack:${phone}`, increments, TTL_ACK);
+  }
+  async getAcknowledgement(phone) {
+    const totals = await storage.getCounts(`ack:${phone}`);
+    if (!totals) return null;
+    totals.notices = await storage.getList(`ack:${phone}:notices`);
+    return totals;
+  }
+  // Messages from the user still being processed - a reply only waits for others when some are on their way
+  async addInFlight(phone, amount) {
+    return (await storage.increment(`inflight:${phone}`, { messages: amount }, TTL_ACK)).messages;
+  }
+  async getInFlight(phone) {
+    const counts = await storage.getCounts(`inflight:${phone}`);
+    return counts ? counts.messages : 0;
+  }
+  async clearAcknowledgement(phone) {
+    await storage.delMany([`ack:${phone}`, `ack:${phone}:notices`]);
+  }
+
   /* ------------- temp CSV files ------------- */
   async setTempFile(id, obj, ttlSec) { return this.set(`file:${id}`, obj, ttlSec); }
   async getTempFile(id)              { return this.get(`file:${id}`); }
+  async deleteTempFile(id)           { return this.del(`file:${id}`); }
+  // One-time downloads: only the first caller gets true, even across instances
+  async claimTempFile(id, ttlSec)    { return storage.setIfAbsent(`claimed:${id}`, true, ttlSec); }
+  // PIN attempts for a file, counted in one step (amount -1 gives a correct attempt back)
+  async addPinAttempt(id, ttlSec, amount = 1) {
+    return (await storage.increment(`pin:${id}`, { attempts: amount }, ttlSec)).attempts;
+  }
 }
 
 module.exports = new Store();
@@ -0,0 +1,40 @@
+// Shared Contacts
+// Contacts shared from the WhatsApp contact picker arrive as one text/vcard message per contact.
+// They go through the ingestion queue like any file, with a longer window and their own summary
+
+/**
+ * True for messages that only carry vCards and no text - what the contact picker sends
+ * @param {Object} body - Twilio webhook fields (NumMedia, MediaContentTypeN, Body)
+ * @returns {boolean}
+ */
+function isSharedContactMessage(body) {
+    const count = parseInt(body.NumMedia, 10) || 0;
+    if (count === 0 || (body.Body && body.Body.trim())) return false;
+
+    for (let i = 0; i < count; i++) {
+        if (!/vcard/i.test(body[`MediaContentType${i}`] || '')) return false;
+    }
+    return true;
+}
+
+/**
+ * Combined reply for a burst of shared contacts
+ * @param {{cards: number, added: number, skipped: number, failed: number}} totals
+ * @returns {string}
+ */
+function generateSharedContactsSummary(totals) {
+    let message = `📇 *${totals.cards} shared contact${totals.cards === 1 ? '' : 's'} received*`;
+    message += `\n✅ ${totals.added} added to your batch`;
+    if (totals.skipped > 0) {
+        message += `\n🔁 ${totals.skipped} already in your list`;
+    }
+    if (totals.failed > 0) {
+        message += `\n⚠️ ${totals.failed} contact card${totals.failed === 1 ? '' : 's'} couldn't be read`;
+    }
+    return message;
+}
+
+module.exports = {
+    isSharedContactMessage,
+    generateSharedContactsSummary
+};
@@ -0,0 +1,108 @@
+// storage-encryption.js - Envelope encryption for stored values
+// Each value gets its own data key (AES-256-GCM, bound to the storage key it's saved under); the data key
+// is wrapped with the current master key from STORAGE_ENCRYPTION_KEYS. Older master keys stay in the list
+// so values written before a rotation can still be read
+
+const crypto = require('crypto');
+
+const ENVELOPE_PREFIX = '@enc:1:';   // never the start of JSON, so plain values from before stay readable
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+    const buffer = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Reads "id:base64key,id:base64key" - the first key encrypts, all of them decrypt
+ * @param {string} value - STORAGE_ENCRYPTION_KEYS
+ * @returns {Array<{id: string, key: Buffer}>}
+ * @throws {Error} When an entry is malformed or a key isn't 32 bytes
+ */
+function parseKeys(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.substring(0, separator);
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+        if (separator < 1 || !KEY_ID.test(id)) {
+            throw new Error('STORAGE_ENCRYPTION_KEYS entries must look like "id:base64key" (id: letters, numbers, - or _)');
+        }
+        if (key.length !== 32) {
+            throw new Error(`Storage encryption key "${id}" must be 32 bytes, base64-encoded`);
+        }
+        return { id, key };
+    });
+}
+
+class EnvelopeCipher {
+    /**
+     * @param {Array<{id: string, key: Buffer}>} keys - Current key first
+     */
+    constructor(keys) {
+        if (keys.length === 0) throw new Error('At least one storage encryption key is required');
+        this.current = keys[0];
+        this.keys = new Map(keys.map(({ id, key }) => [id, key]));
+    }
+
+    /**
+     * @param {string} plaintext
+     * @param {string} storageKey - Bound to the value, so it can't be moved to another key
+     * @returns {string} Envelope string
+     */
+    encrypt(plaintext, storageKey) {
+        const dataKey = crypto.randomBytes(32);
+        const wrapped = seal(this.current.key, dataKey, this.current.id);
+        const payload = seal(dataKey, Buffer.from(plaintext, 'utf8'), storageKey);
+        return `${ENVELOPE_PREFIX}${this.current.id}:${wrapped}:${payload}`;
+    }
+
+    /**
+     * @param {string} envelope
+     * @param {string} storageKey - The key it was read from
+     * @returns {string} Plaintext
+     * @throws {Error} When the master key is unknown or the value was altered
+     */
+    decrypt(envelope, storageKey) {
+        const [id, wrapped, payload] = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+        const masterKey = this.keys.get(id);
+        if (!masterKey) throw new Error(`Unknown storage encryption key "${id}"`);
+
+        const dataKey = open(masterKey, wrapped, id);
+        return open(dataKey, payload, storageKey).toString('utf8');
+    }
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Cipher from STORAGE_ENCRYPTION_KEYS, or null when encryption is off
+ * @param {Object} env - process.env
+ * @returns {EnvelopeCipher|null}
+ */
+function createCipher(env) {
+    const keys = parseKeys(env.STORAGE_ENCRYPTION_KEYS);
+    return keys.length > 0 ? new EnvelopeCipher(keys) : null;
+}
+
+module.exports = {
+    EnvelopeCipher,
+    parseKeys,
+    isEncrypted,
+    createCipher
+};
@@ -0,0 +1,100 @@
+// storage-filesystem.js - Durable storage backend for single-server deployments without Redis
+// Entries live in memory and every change is appended to <STORAGE_DIR>/storage.jsonl, which is
+// replayed on start-up. sweep() rewrites the file with only the live entries
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryBackend } = require('./storage-memory');
+
+const LOG_FILE = 'storage.jsonl';
+const COMPACT_AFTER_BYTES = 8 * 1024 * 1024;   // batches are rewritten whole, so the log grows quickly
+
+class FilesystemBackend extends MemoryBackend {
+    /**
+     * @param {string} directory - Created if missing; holds personal data, so only the owner can read it
+     */
+    constructor(directory) {
+        super();
+        this.name = 'filesystem';
+        this.directory = path.resolve(directory);
+        this.file = path.join(this.directory, LOG_FILE);
+        this.appended = 0;        // bytes written since the last compaction
+        this.compactedSize = 0;
+
+        fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+        this.replay();
+        this.compact();
+    }
+
+    // Rebuilds the entries from the log - a line cut short by a crash is skipped
+    replay() {
+        if (!fs.existsSync(this.file)) return;
+
+        let skipped = 0;
+        fs.readFileSync(this.file, 'utf8').split('\n').forEach(line => {
+            if (!line) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                return;
+            }
+            if (record.del) {
+                record.del.forEach(key => this.entries.delete(key));
+            } else {
+                this.entries.set(record.key, { value: record.value, expires: record.expires });
+            }
+        });
+
+        if (skipped > 0) {
+            console.error(`💾 Storage: skipped ${skipped} unreadable line(s) in ${this.file}`);
+        }
+    }
+
+    // Writes are synchronous so the log stays in the same order as the changes
+    append(record) {
+        const line = `${JSON.stringify(record)}\n`;
+        fs.appendFileSync(this.file, line, { mode: 0o600 });
+
+        // Compact once the log holds more superseded changes than live data
+        this.appended += Buffer.byteLength(line);
+        if (this.appended > Math.max(COMPACT_AFTER_BYTES, this.compactedSize)) this.compact();
+    }
+
+    put(key, value, ttlSec) {
+        super.put(key, value, ttlSec);
+        this.append({ key, value, expires: this.entries.get(key).expires });
+    }
+
+    remove(keys) {
+        if (keys.length === 0) return;
+        super.remove(keys);
+        this.append({ del: keys });
+    }
+
+    // Replaces the log with the live entries (written to a temporary file first, then renamed)
+    compact() {
+        const now = Date.now();
+        const lines = [];
+        this.entries.forEach((item, key) => {
+            if (item.expires > now) lines.push(JSON.stringify({ key, value: item.value, expires: item.expires }));
+        });
+
+        const content = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, content, { mode: 0o600 });
+        fs.renameSync(temporary, this.file);
+
+        this.compactedSize = Buffer.byteLength(content);
+        this.appended = 0;
+    }
+
+    async sweep() {
+        const removed = await super.sweep();
+        this.compact();
+        return removed;
+    }
+}
+
+module.exports = { FilesystemBackend };
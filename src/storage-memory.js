@@ -0,0 +1,93 @@
+// storage-memory.js - In-process storage backend (development, tests and Redis fallback)
+// Every entry carries its expiry: reads ignore expired entries and sweep() removes them
+
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    // Live entry or undefined - expired ones are dropped on the way
+    entry(key) {
+        const item = this.entries.get(key);
+        if (!item) return undefined;
+        if (item.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return item;
+    }
+
+    // Every write and delete goes through put() and remove(), so subclasses can persist them
+    put(key, value, ttlSec) {
+        this.entries.set(key, { value, expires: Date.now() + ttlSec * 1000 });
+    }
+
+    remove(keys) {
+        keys.forEach(key => this.entries.delete(key));
+    }
+
+    async get(key) {
+        const item = this.entry(key);
+        return item ? item.value : null;
+    }
+
+    async set(key, value, ttlSec) {
+        this.put(key, value, ttlSec);
+    }
+
+    async setIfAbsent(key, value, ttlSec) {
+        if (this.entry(key)) return false;
+        this.put(key, value, ttlSec);
+        return true;
+    }
+
+    async deleteIfEquals(key, value) {
+        const item = this.entry(key);
+        if (item && item.value === value) this.remove([key]);
+    }
+
+    async del(keys) {
+        this.remove(keys.filter(key => this.entries.has(key)));
+    }
+
+    async keys(prefix) {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix) && this.entry(key));
+    }
+
+    // Nothing is awaited between reading and writing, so concurrent calls can't lose increments
+    async increment(key, counts, ttlSec) {
+        const totals = { ...((this.entry(key) || {}).value || {}) };
+        Object.entries(counts).forEach(([field, amount]) => {
+            totals[field] = (totals[field] || 0) + amount;
+        });
+        this.put(key, totals, ttlSec);
+        return { ...totals };
+    }
+
+    async getCounts(key) {
+        const item = this.entry(key);
+        return item ? { ...item.value } : null;
+    }
+
+    async push(key, values, ttlSec) {
+        const item = this.entry(key);
+        this.put(key, (item ? item.value : []).concat(values), ttlSec);
+    }
+
+    async getList(key) {
+        const item = this.entry(key);
+        return item ? item.value.slice() : [];
+    }
+
+    // Removes expired entries, returns how many
+    async sweep() {
+        const before = this.entries.size;
+        [...this.entries.keys()].forEach(key => this.entry(key));
+        return before - this.entries.size;
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryBackend };
@@ -0,0 +1,110 @@
+// storage-redis.js - Redis storage backend (production, shared by every instance)
+// Redis expires keys itself; TTLs are passed in milliseconds so fractions of a second work everywhere
+
+const redis = require('redis');
+
+// Compare-and-delete in one step, so a lock is only released by whoever holds it
+const DELETE_IF_EQUALS = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0`;
+
+function ttlMs(ttlSec) {
+    return Math.max(1, Math.ceil(ttlSec * 1000));
+}
+
+class RedisBackend {
+    /**
+     * @param {string} url - REDIS_URL
+     * @param {Function} onError - Called once when the connection fails, so storage can fall back
+     */
+    constructor(url, onError) {
+        this.name = 'redis';
+        this.client = redis.createClient({
+            url,
+            socket: { connectTimeout: 15000 }   // 15 000 ms instead of 5 000
+        });
+
+        let reported = false;
+        this.client.on('error', (error) => {
+            if (reported) return;
+            reported = true;
+            onError(error);
+        });
+        this.client.connect().catch(() => {});   // failures arrive through the 'error' event
+    }
+
+    async get(key) {
+        return this.client.get(key);
+    }
+
+    async set(key, value, ttlSec) {
+        await this.client.set(key, value, { PX: ttlMs(ttlSec) });
+    }
+
+    async setIfAbsent(key, value, ttlSec) {
+        return (await this.client.set(key, value, { NX: true, PX: ttlMs(ttlSec) })) === 'OK';
+    }
+
+    async deleteIfEquals(key, value) {
+        await this.client.eval(DELETE_IF_EQUALS, { keys: [key], arguments: [value] });
+    }
+
+    async del(keys) {
+        if (keys.length > 0) await this.client.del(keys);
+    }
+
+    async keys(prefix) {
+        const found = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+            found.push(key);
+        }
+        return found;
+    }
+
+    // A hash incremented in one transaction, so messages arriving together can't lose counts
+    async increment(key, counts, ttlSec) {
+        const fields = Object.keys(counts);
+        const multi = this.client.multi();
+        fields.forEach(field => multi.hIncrBy(key, field, counts[field]));
+        multi.pExpire(key, ttlMs(ttlSec)).hGetAll(key);
+        const replies = await multi.exec();
+        return this.toCounts(replies[replies.length - 1]);
+    }
+
+    async getCounts(key) {
+        const hash = await this.client.hGetAll(key);
+        return hash && Object.keys(hash).length > 0 ? this.toCounts(hash) : null;
+    }
+
+    toCounts(hash) {
+        return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, Number(value)]));
+    }
+
+    async push(key, values, ttlSec) {
+        if (values.length === 0) return;
+        await this.client.multi().rPush(key, values).pExpire(key, ttlMs(ttlSec)).exec();
+    }
+
+    async getList(key) {
+        return this.client.lRange(key, 0, -1);
+    }
+
+    // Redis expires keys itself
+    async sweep() {
+        return 0;
+    }
+
+    async close() {
+        if (this.client.isReady) {
+            await this.client.quit();
+            return;
+        }
+        // A client that isn't connected keeps retrying in the background and holds the process open,
+        // and QUIT would wait for a connection that never comes
+        try {
+            await this.client.disconnect();
+        } catch (error) {
+            // Already closed
+        }
+    }
+}
+
+module.exports = { RedisBackend };
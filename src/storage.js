@@ -0,0 +1,248 @@
+/**
+ * Storage - the one key-value store every module uses
+ * • Backends: Redis (STORAGE_BACKEND=redis, the default when REDIS_URL is set), filesystem
+ *   (STORAGE_BACKEND=filesystem, a durable log under STORAGE_DIR for single servers) or memory
+ * • Values are JSON with a TTL in seconds, honoured by every backend
+ * • Values over 1 MB are split into `<key>:chunk:N` entries and put back together on read
+ * • With STORAGE_ENCRYPTION_KEYS set, values and lists are encrypted before they reach the backend
+ * • If the backend fails, storage logs it and carries on in memory for the rest of the process
+ */
+
+const { MemoryBackend } = require('./storage-memory');
+const { isEncrypted, createCipher } = require('./storage-encryption');
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+const logError = (message, error) => {
+    if (!IS_PRODUCTION) {
+        console.error(message, error);
+    } else {
+        console.error(message);
+    }
+};
+
+const TTL_DEFAULT = 3600;                 // 1 h
+const CHUNK_THRESHOLD = 1024 * 1024;      // 1 MB
+const CHUNK_SIZE = 512 * 1024;            // 512 KB per chunk
+const CHUNK_MARKER = '@chunks:';          // stored instead of the value - JSON never starts with "@"
+const DEFAULT_STORAGE_DIR = './data';
+const BACKENDS = ['memory', 'redis', 'filesystem'];
+
+class Storage {
+    /**
+     * @param {Object} backend - A backend from storage-memory.js, storage-redis.js or storage-filesystem.js
+     * @param {Object} [options]
+     * @param {number} [options.chunkThreshold] - Serialised size above which values are chunked
+     * @param {Object} [options.cipher] - EnvelopeCipher from storage-encryption.js; values are stored in plain JSON without one
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.cipher = options.cipher || null;
+        this.chunkThreshold = options.chunkThreshold || CHUNK_THRESHOLD;
+        this.chunkSize = Math.min(CHUNK_SIZE, this.chunkThreshold);
+    }
+
+    get name() {
+        return this.backend.name;
+    }
+
+    // Switches to memory after a backend failure - what was stored there is unavailable until restart
+    fallBack(error) {
+        if (this.backend.name === 'memory') return;
+        logError(`💾 Storage: ${this.backend.name} failed, continuing in memory:`, error && error.message);
+        const failed = this.backend;
+        this.backend = new MemoryBackend();
+        failed.close().catch(() => {});
+    }
+
+    // Runs one backend operation, retrying it in memory if the backend throws
+    async run(operation) {
+        const backend = this.backend;
+        try {
+            return await operation(backend);
+        } catch (error) {
+            if (backend.name === 'memory') throw error;
+            if (this.backend === backend) this.fallBack(error);   // the connection may have reported it already
+            return operation(this.backend);
+        }
+    }
+
+    /* ------------- JSON values ------------- */
+    // Serialised (and encrypted) form of a value - the storage key is bound into the ciphertext
+    encode(key, value) {
+        const json = JSON.stringify(value);
+        return this.cipher ? this.cipher.encrypt(json, key) : json;
+    }
+
+    // Value from its stored form; values that can't be decrypted are treated as missing.
+    // Plain JSON from before encryption was switched on is still read
+    decode(key, raw) {
+        if (!isEncrypted(raw)) return JSON.parse(raw);
+        if (!this.cipher) {
+            logError(`💾 Storage: ${key} is encrypted but STORAGE_ENCRYPTION_KEYS is not set`);
+            return null;
+        }
+        try {
+            return JSON.parse(this.cipher.decrypt(raw, key));
+        } catch (error) {
+            logError(`💾 Storage: could not decrypt ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    async get(key) {
+        // Decoded outside run() - a value that fails to decrypt is not a backend failure
+        const raw = await this.run(async (backend) => {
+            const stored = await backend.get(key);
+            if (stored === null || stored === undefined) return null;
+            if (!stored.startsWith(CHUNK_MARKER)) return stored;
+
+            const count = parseInt(stored.slice(CHUNK_MARKER.length), 10);
+            const chunks = [];
+            for (let i = 0; i < count; i++) {
+                const chunk = await backend.get(`${key}:chunk:${i}`);
+                if (chunk === null || chunk === undefined) return null;   // part expired - treat as gone
+                chunks.push(chunk);
+            }
+            log(`📦 Reassembled ${key} from ${count} chunks`);
+            return chunks.join('');
+        });
+        return raw === null ? null : this.decode(key, raw);
+    }
+
+    async set(key, value, ttlSec = TTL_DEFAULT) {
+        const serialized = this.encode(key, value);
+        return this.run(async (backend) => {
+            if (serialized.length <= this.chunkThreshold) {
+                await backend.set(key, serialized, ttlSec);
+                return;
+            }
+
+            const count = Math.ceil(serialized.length / this.chunkSize);
+            log(`📦 Large value for ${key} (${(serialized.length / 1024 / 1024).toFixed(2)}MB), storing ${count} chunks`);
+            for (let i = 0; i < count; i++) {
+                await backend.set(`${key}:chunk:${i}`, serialized.slice(i * this.chunkSize, (i + 1) * this.chunkSize), ttlSec);
+            }
+            // Written last, so readers never see a marker before its chunks
+            await backend.set(key, `${CHUNK_MARKER}${count}`, ttlSec);
+        });
+    }
+
+    async del(key) {
+        return this.run(async (backend) => {
+            const raw = await backend.get(key);
+            const keys = [key];
+            if (typeof raw === 'string' && raw.startsWith(CHUNK_MARKER)) {
+                const count = parseInt(raw.slice(CHUNK_MARKER.length), 10);
+                for (let i = 0; i < count; i++) keys.push(`${key}:chunk:${i}`);
+            }
+            await backend.del(keys);
+        });
+    }
+
+    // Deletes counters and lists (from increment and push) - they are never chunked, and Redis
+    // refuses a plain GET on them, so del()'s chunk lookup would look like a backend failure
+    async delMany(keys) {
+        return this.run(backend => backend.del(keys));
+    }
+
+    // Keys starting with prefix (chunks excluded)
+    async keys(prefix) {
+        const keys = await this.run(backend => backend.keys(prefix));
+        return keys.filter(key => !/:chunk:\d+$/.test(key));
+    }
+
+    /* ------------- atomic helpers ------------- */
+    // Stores value only if the key is free - used for locks
+    async setIfAbsent(key, value, ttlSec = TTL_DEFAULT) {
+        return this.run(backend => backend.setIfAbsent(key, JSON.stringify(value), ttlSec));
+    }
+
+    async deleteIfEquals(key, value) {
+        return this.run(backend => backend.deleteIfEquals(key, JSON.stringify(value)));
+    }
+
+    // Adds to named counters in one step and returns all of them
+    async increment(key, counts, ttlSec = TTL_DEFAULT) {
+        return this.run(backend => backend.increment(key, counts, ttlSec));
+    }
+
+    async getCounts(key) {
+        return this.run(backend => backend.getCounts(key));
+    }
+
+    // Appends to a list of JSON values in one step
+    async push(key, values, ttlSec = TTL_DEFAULT) {
+        const encoded = values.map(value => this.encode(key, value));
+        return this.run(backend => backend.push(key, encoded, ttlSec));
+    }
+
+    async getList(key) {
+        const values = await this.run(backend => backend.getList(key));
+        return values.map(value => this.decode(key, value)).filter(value => value !== null);
+    }
+
+    /* ------------- housekeeping ------------- */
+    // Removes expired entries where the backend doesn't do it itself
+    async sweep() {
+        return this.run(backend => backend.sweep());
+    }
+
+    async close() {
+        return this.backend.close();
+    }
+}
+
+/**
+ * Backend chosen by STORAGE_BACKEND, defaulting to Redis when REDIS_URL is set
+ * @param {Object} env - process.env
+ * @param {Function} onError - Passed to backends that can fail after start-up
+ * @returns {Object} Backend instance
+ */
+function createBackend(env, onError) {
+    let name = (env.STORAGE_BACKEND || (env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+    if (!BACKENDS.includes(name)) {
+        logError(`💾 Storage: unknown STORAGE_BACKEND "${name}", using memory`);
+        name = 'memory';
+    }
+
+    if (name === 'redis') {
+        if (!env.REDIS_URL) {
+            logError('💾 Storage: STORAGE_BACKEND=redis needs REDIS_URL, using memory');
+            return new MemoryBackend();
+        }
+        const { RedisBackend } = require('./storage-redis');
+        return new RedisBackend(env.REDIS_URL, onError);
+    }
+
+    if (name === 'filesystem') {
+        const { FilesystemBackend } = require('./storage-filesystem');
+        try {
+            return new FilesystemBackend(env.STORAGE_DIR || DEFAULT_STORAGE_DIR);
+        } catch (error) {
+            logError(`💾 Storage: can't use ${env.STORAGE_DIR || DEFAULT_STORAGE_DIR}, using memory:`, error.message);
+            return new MemoryBackend();
+        }
+    }
+
+    return new MemoryBackend();
+}
+
+const storage = new Storage(createBackend(process.env, error => storage.fallBack(error)), {
+    cipher: createCipher(process.env)   // a malformed key stops start-up rather than storing plain text
+});
+log(`💾 Storage: ${storage.name} backend, ${storage.cipher ? 'encrypted' : 'not encrypted'}`);
+if (IS_PRODUCTION && !storage.cipher) {
+    console.warn('⚠️ Storage: STORAGE_ENCRYPTION_KEYS is not set - contacts are stored unencrypted');
+}
+
+module.exports = {
+    storage,
+    Storage,
+    createBackend
+};
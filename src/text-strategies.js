@@ -0,0 +1,467 @@
+// Text Strategies
+// Independent ways of reading contacts out of plain text. Every strategy proposes contacts for
+// the lines it understands and parseTextContacts keeps the best-scoring reading of each line,
+// so a message mixing "Name: phone" and "phone - Name" lines keeps all of its contacts.
+// Strategies run from the most confident down, and parseLine isn't called for lines a better
+// reading has already taken.
+//
+// A strategy is an object with:
+// • name - stored on each contact as its method
+// • confidence - 0-1 base score for its contacts (lowered for guessed names, see scoreContact)
+// • parseLine(line, context) - contacts on one line (a contact, an array of contacts or null), or
+// • parseText(lines, context) - readings spanning several lines: [{ contacts, lines }] where
+//   lines are the indexes the contacts were read from
+// context: { region, cleanPhone(phone), cleanText(text) }
+//
+// Deployments add their own with registerTextStrategy or by listing modules that export a
+// strategy (or an array of them) in TEXT_STRATEGY_MODULES.
+
+const path = require('path');
+
+// Production logging helper
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+const logError = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.error(...args);
+    } else {
+        console.error('Text strategy error occurred');
+    }
+};
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const PHONE_PATTERN = /(?:\+|00)?\d[\d\s\-()]{6,18}\d/g;
+const NAME_TITLES = /^(Mr|Mrs|Miss|Ms|Dr|Prof)\.?\s+/i;
+const NON_NAME_WORDS = ['phone', 'email', 'contact', 'mobile', 'tel', 'call', 'mail', 'name', 'number', 'ticket', 'guest', 'ref'];
+const MAX_BLOCKS = 1000;
+const MAX_NAME_SCAN = 80;        // characters before a number searched for its name
+
+// Labels recognised in "Name: ... / Phone: ... / Email: ..." blocks, by language
+// Matched without case or accents, so "Téléphone", "TELEPHONE" and "telephone" are the same label
+const FIELD_LABELS = {
+    en: {
+        name: ['name', 'full name', 'contact', 'contact name'],
+        mobile: ['phone', 'phone number', 'mobile', 'tel', 'telephone', 'whatsapp', 'number'],
+        email: ['email', 'e-mail', 'mail']
+    },
+    fr: {
+        name: ['nom', 'nom complet', 'nom et prénom', 'contact'],
+        mobile: ['téléphone', 'tél', 'numéro', 'numéro de téléphone', 'portable', 'mobile', 'cellulaire'],
+        email: ['courriel', 'e-mail', 'email', 'adresse e-mail', 'mail']
+    },
+    pt: {
+        name: ['nome', 'nome completo', 'contato', 'contacto'],
+        mobile: ['telefone', 'tel', 'celular', 'telemóvel', 'número', 'whatsapp'],
+        email: ['e-mail', 'email', 'correio eletrónico', 'correio eletrônico']
+    },
+    es: {
+        name: ['nombre', 'nombre completo', 'contacto'],
+        mobile: ['teléfono', 'tel', 'celular', 'móvil', 'número'],
+        email: ['correo', 'correo electrónico', 'e-mail', 'email']
+    },
+    yo: {
+        name: ['orúkọ'],
+        mobile: ['fóònù', 'nọ́mbà', 'nọ́mbà fóònù', 'nọ́mbà ẹ̀rọ ìbánisọ̀rọ̀'],
+        email: ['ímeèlì', 'imeli']
+    },
+    ha: {
+        name: ['suna', 'cikakken suna'],
+        mobile: ['waya', 'lambar waya', 'lamba'],
+        email: ['imel', 'adireshin imel']
+    },
+    sw: {
+        name: ['jina', 'jina kamili'],
+        mobile: ['simu', 'nambari ya simu', 'namba ya simu'],
+        email: ['barua pepe']
+    },
+    ar: {
+        name: ['الاسم', 'اسم', 'الاسم الكامل'],
+        mobile: ['الهاتف', 'هاتف', 'رقم الهاتف', 'الجوال', 'جوال', 'موبايل', 'الموبايل', 'رقم الجوال', 'واتساب'],
+        email: ['البريد الإلكتروني', 'البريد', 'بريد إلكتروني', 'الايميل', 'ايميل', 'إيميل']
+    }
+};
+
+const strategies = [];
+
+// Numbers with a plausible digit count (dates and times are usually shorter)
+function findPhones(line) {
+    return (line.match(PHONE_PATTERN) || []).filter(match => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 9 && digits <= 15;
+    });
+}
+
+function findEmail(line) {
+    const match = line.match(EMAIL_PATTERN);
+    return match ? match[0] : '';
+}
+
+function cleanName(name) {
+    return name.replace(/\s+/g, ' ').trim().replace(NAME_TITLES, '').trim();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Lower case without accents or Arabic vowel marks - labels are compared in this form
+function foldLabel(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '').toLowerCase();
+}
+
+// Arabic-Indic digits (٠-٩, ۰-۹) become 0-9 so the number can be formatted
+function toLatinDigits(text) {
+    return text.replace(/[\u0660-\u0669\u06f0-\u06f9]/g, digit => String(digit.charCodeAt(0) & 0xf));
+}
+
+// Words that label a value rather than name someone: NON_NAME_WORDS plus the one-word phone and email
+// labels in every language ("Téléphone", "Waya", "هاتف"). Name labels like "Jina" are also given names
+const LABEL_WORDS = new Set(NON_NAME_WORDS.concat(
+    Object.values(FIELD_LABELS).flatMap(language => language.mobile.concat(language.email)).filter(label => !/\s/.test(label))
+).map(foldLabel));
+
+function isLabelWord(word) {
+    return LABEL_WORDS.has(foldLabel(word).replace(/[^\p{L}-]/gu, ''));
+}
+
+// Name without its label words - "Phone" and "Ticket Jane" become "" and "Jane"
+function stripLabelWords(name) {
+    return name.split(/\s+/).filter(word => word && !isLabelWord(word)).join(' ');
+}
+
+function labelPattern(labels) {
+    const alternatives = [...new Set(labels.map(foldLabel))]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex)
+        .join('|');
+    return new RegExp(`^(\\s*(?:${alternatives})\\s*)([:：\\-–])`);
+}
+
+const LABEL_PATTERNS = ['name', 'mobile', 'email'].map(field => ({
+    field,
+    pattern: labelPattern(Object.values(FIELD_LABELS).flatMap(language => language[field]))
+}));
+
+// The field a "Label: value" line holds, in any language
+function matchLabel(line) {
+    const folded = foldLabel(line);
+
+    for (const { field, pattern } of LABEL_PATTERNS) {
+        const match = folded.match(pattern);
+        if (!match) continue;
+
+        // Folding only drops accents, so the separator is the same occurrence in the original line
+        const separator = match[2];
+        const occurrence = match[1].split(separator).length;
+        let index = -1;
+        for (let i = 0; i < occurrence; i++) index = line.indexOf(separator, index + 1);
+
+        const value = index >= 0 ? line.substring(index + 1).trim() : '';
+        if (value) return { field, value };
+    }
+
+    return null;
+}
+
+// "Name: Ada Obi" / "Phone: 0803..." / "Email: ..." on consecutive lines, in any order and
+// language; a block needs a phone or an email
+const labelledBlock = {
+    name: 'labelled-block',
+    confidence: 0.9,
+    parseText(lines, context) {
+        const readings = [];
+        let block = null;
+
+        const finish = () => {
+            if (block && (block.fields.mobile || block.fields.email) && readings.length < MAX_BLOCKS) {
+                readings.push({
+                    contacts: [{
+                        name: cleanName(block.fields.name || ''),
+                        mobile: context.cleanPhone(toLatinDigits(block.fields.mobile || '')),
+                        email: findEmail(block.fields.email || ''),
+                        passes: 1
+                    }],
+                    lines: block.lines
+                });
+            }
+            block = null;
+        };
+
+        lines.forEach((line, index) => {
+            const label = matchLabel(line);
+            if (!label) {
+                if (!line.trim()) finish();   // a blank line ends the block
+                return;
+            }
+
+            // A repeated field starts the next contact
+            if (block && block.fields[label.field]) {
+                finish();
+            }
+            if (!block) block = { fields: {}, lines: [] };
+
+            block.fields[label.field] = label.value;
+            block.lines.push(index);
+        });
+        finish();
+
+        return readings;
+    }
+};
+
+// Names are matched as letters in any script (\p{L}) plus combining accents (\p{M}), so "Émilie",
+// "Adébáyọ̀", "Ольга" and "محمد" are read whole
+
+// "Ada Obi +2348031234567", "Ada: 0803..." - several pairs may share a line. Each number takes the
+// run of name characters just before it, so the line is scanned once however long it is
+const namePhone = {
+    name: 'name-phone',
+    confidence: 0.85,
+    parseLine(line, context) {
+        const contacts = [];
+        let previousEnd = 0;
+
+        for (const match of line.matchAll(PHONE_PATTERN)) {
+            const start = Math.max(previousEnd, match.index - MAX_NAME_SCAN);
+            const before = line.substring(start, match.index).replace(/\s*[:\-–,]?\s*$/u, '');
+            previousEnd = match.index + match[0].length;
+
+            const run = before.match(/\p{L}[\p{L}\p{M}\s&.'-]*$/u);
+            if (!run) continue;
+            // A word cut in half by the scan window isn't part of the name
+            const cut = run.index === 0 && /[\p{L}\p{M}]/u.test(line.charAt(start - 1));
+            const name = cleanName(stripLabelWords(cut ? run[0].replace(/^\S*\s*/, '') : run[0]));
+            const mobile = findPhones(match[0]).length > 0 ? context.cleanPhone(match[0]) : '';
+            if (name && mobile) {
+                contacts.push({ name, mobile, email: '', passes: 1 });
+            }
+        }
+
+        // An email on a single-contact line belongs to that contact
+        if (contacts.length === 1) contacts[0].email = findEmail(line);
+        return contacts;
+    }
+};
+
+// "0803... - Ada Obi"
+const phoneName = {
+    name: 'phone-name',
+    confidence: 0.8,
+    parseLine(line, context) {
+        const match = line.match(/^\s*(?:\d{1,3}[.)]\s+)?((?:\+|00)?\d[\d\s\-()]{6,18}\d)\s*[:\-–,|]?\s*(\p{L}[\p{L}\p{M}\s&.'-]{1,40})$/u);
+        if (!match || findPhones(match[1]).length === 0) return null;
+
+        const name = cleanName(stripLabelWords(match[2]));
+        const mobile = context.cleanPhone(match[1]);
+        return name && mobile ? { name, mobile, email: '', passes: 1 } : null;
+    }
+};
+
+// Any line with a phone or email - the remaining words become the name
+const lineByLine = {
+    name: 'line',
+    confidence: 0.7,
+    parseLine(line, context) {
+        if (line.trim().length <= 3) return null;
+
+        const phones = findPhones(line);
+        const email = findEmail(line);
+        if (phones.length === 0 && !email) return null;
+
+        const nameWords = line
+            .replace(EMAIL_PATTERN, '')
+            .replace(PHONE_PATTERN, '')
+            .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ')
+            .trim()
+            .split(/\s+/)
+            .filter(word =>
+                word.length > 1 &&
+                /^\p{L}/u.test(word) &&
+                !isLabelWord(word)
+            );
+
+        return {
+            name: nameWords.length > 0 ? nameWords.slice(0, 3).join(' ') : 'Contact', // Max 3 words for name
+            mobile: phones.length > 0 ? context.cleanPhone(phones[0]) : '',
+            email,
+            passes: 1
+        };
+    }
+};
+
+// Capitalised names next to a phone or email anywhere on the line (scripts without capitals, like Arabic, count as capitalised)
+const patternScan = {
+    name: 'pattern-scan',
+    confidence: 0.5,
+    parseLine(line, context) {
+        const patterns = [
+            // Name followed by phone
+            /([\p{Lu}\p{Lo}][\p{L}\p{M} ]{2,30})\s*[:-]?\s*(\+?[\d\s\-()]{8,20})/gu,
+            // Phone followed by name
+            /(\+?[\d\s\-()]{8,20})\s*[:-]?\s*([\p{Lu}\p{Lo}][\p{L}\p{M} ]{2,30})/gu,
+            // Email with possible name
+            /([\p{Lu}\p{Lo}][\p{L}\p{M} ]{2,30})\s*[:-]?\s*([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/gu
+        ];
+        const contacts = [];
+
+        for (const pattern of patterns) {
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                const isNameFirst = /^[\p{Lu}\p{Lo}][\p{L}\p{M}\s]/u.test(match[1]);
+                const isEmail = match[2].includes('@');
+                const contact = {
+                    name: cleanName(stripLabelWords(isNameFirst ? match[1] : match[2])),
+                    mobile: isEmail ? '' : context.cleanPhone(isNameFirst ? match[2] : match[1]),
+                    email: isEmail ? match[2] : '',
+                    passes: 1
+                };
+
+                if (contact.mobile || contact.email) contacts.push(contact);
+            }
+            if (contacts.length > 0) break;
+        }
+
+        return contacts;
+    }
+};
+
+// Names, phones and emails on separate lines paired up by position
+const patternMatch = {
+    name: 'pattern-match',
+    confidence: 0.35,
+    parseText(lines, context) {
+        const names = [];
+        const phones = [];
+        const emails = [];
+
+        lines.forEach((line, index) => {
+            const text = line.trim();
+            if (/^[\p{Lu}\p{Lo}][\p{L}\p{M}\s]{2,40}$/u.test(text) && stripLabelWords(text)) names.push({ value: text, index });
+            findPhones(line).forEach(phone => {
+                const mobile = context.cleanPhone(phone);
+                if (mobile) phones.push({ value: mobile, index });
+            });
+            const email = findEmail(line);
+            if (email) emails.push({ value: email, index });
+        });
+
+        const readings = [];
+        const count = Math.max(phones.length, emails.length);
+        for (let i = 0; i < count && i < MAX_BLOCKS; i++) {
+            const parts = [names[i], phones[i], emails[i]].filter(Boolean);
+            readings.push({
+                contacts: [{
+                    name: names[i] ? names[i].value : `Contact ${i + 1}`,
+                    mobile: phones[i] ? phones[i].value : '',
+                    email: emails[i] ? emails[i].value : '',
+                    passes: 1
+                }],
+                lines: [...new Set(parts.map(part => part.index))]
+            });
+        }
+
+        return readings;
+    }
+};
+
+/**
+ * Adds a text strategy to the registry; built-in strategies win ties
+ * @param {Object} strategy - { name, confidence, parseLine } or { name, confidence, parseText }
+ * @throws {Error} When the strategy is malformed or its name is taken
+ */
+function registerTextStrategy(strategy) {
+    if (!strategy || typeof strategy.name !== 'string' || !strategy.name) {
+        throw new Error('Text strategy needs a name');
+    }
+    if (typeof strategy.confidence !== 'number' || strategy.confidence < 0 || strategy.confidence > 1) {
+        throw new Error(`Text strategy "${strategy.name}" needs a confidence between 0 and 1`);
+    }
+    if (typeof strategy.parseLine !== 'function' && typeof strategy.parseText !== 'function') {
+        throw new Error(`Text strategy "${strategy.name}" needs a parseLine or parseText function`);
+    }
+    if (getTextStrategy(strategy.name)) {
+        throw new Error(`Text strategy "${strategy.name}" is already registered`);
+    }
+
+    strategies.push(strategy);
+    log(`📝 Registered text strategy: ${strategy.name}`);
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+function getTextStrategy(name) {
+    return strategies.find(strategy => strategy.name === name);
+}
+
+/**
+ * Registered strategies in tie-break order
+ * @returns {Array<Object>}
+ */
+function getTextStrategies() {
+    return [...strategies];
+}
+
+/**
+ * Runs one strategy over the text
+ * @param {Object} strategy
+ * @param {Array<string>} lines - Input split into lines
+ * @param {Object} context - { region, cleanPhone, cleanText }
+ * @returns {Array<{contacts: Array, lines: Array<number>}>} Readings tagged with the strategy name
+ */
+function runTextStrategy(strategy, lines, context) {
+    let readings = [];
+
+    if (typeof strategy.parseText === 'function') {
+        readings = strategy.parseText(lines, context) || [];
+    } else {
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            const found = strategy.parseLine(line, context);
+            const contacts = Array.isArray(found) ? found : (found ? [found] : []);
+            if (contacts.length > 0) readings.push({ contacts, lines: [index] });
+        });
+    }
+
+    return readings
+        .map(reading => ({
+            lines: reading.lines || [],
+            contacts: (reading.contacts || [])
+                .filter(contact => contact && (contact.name || contact.mobile || contact.email))
+                .map(contact => ({ passes: 1, ...contact, method: strategy.name }))
+        }))
+        .filter(reading => reading.contacts.length > 0 && reading.lines.length > 0);
+}
+
+/**
+ * Registers the strategies exported by each module (paths relative to the working directory)
+ * @param {string} modules - Comma-separated module paths, e.g. TEXT_STRATEGY_MODULES
+ */
+function loadStrategyModules(modules) {
+    (modules || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        try {
+            const exported = require(path.resolve(process.cwd(), entry));
+            (Array.isArray(exported) ? exported : [exported]).forEach(registerTextStrategy);
+        } catch (error) {
+            logError(`❌ Could not load text strategy module ${entry}:`, error.message.split('\n')[0]);
+        }
+    });
+}
+
+[labelledBlock, namePhone, phoneName, lineByLine, patternScan, patternMatch].forEach(registerTextStrategy);
+loadStrategyModules(process.env.TEXT_STRATEGY_MODULES);
+
+module.exports = {
+    registerTextStrategy,
+    getTextStrategy,
+    getTextStrategies,
+    runTextStrategy,
+    loadStrategyModules,
+    findPhones,
+    findEmail
+};
@@ -0,0 +1,153 @@
+// vcf-generator.js - vCard export for loading contacts back onto phones
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+
+const { splitName } = require('./export-profiles');
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+const DEFAULT_VERSION = '3.0'; // Widest phone support (iOS, Android, Outlook)
+const MAX_LINE_OCTETS = 75;    // RFC 6350 / RFC 2426 line length
+
+// Parsed type labels back to vCard TYPE values
+const VCARD_TYPES = { mobile: 'CELL', work: 'WORK', home: 'HOME', fax: 'FAX', pager: 'PAGER', main: 'VOICE', other: 'VOICE' };
+
+/**
+ * Maps an export argument to a vCard version
+ * @param {string} argument - e.g. "vcf", "vcard", "vcf4"
+ * @returns {string|null} '3.0', '4.0' or null if not a vCard export
+ */
+function resolveVCardVersion(argument) {
+    const match = (argument || '').trim().toLowerCase().match(/^(?:vcf|vcard)([34])?$/);
+    if (!match) return null;
+    return match[1] === '4' ? '4.0' : DEFAULT_VERSION;
+}
+
+// Escapes text property values (backslash, comma, semicolon, newline)
+function escapeValue(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Folds long lines at 75 octets without splitting multi-byte characters
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Renders one contact as a vCard
+ * @param {Object} contact - {name, mobile, email, company, notes, phones?, emails?, title?, address?, birthday?, url?}
+ * @param {string} version - '3.0' or '4.0'
+ * @returns {string}
+ */
+function generateVCard(contact, version) {
+    const { prefix, firstName, lastName } = splitName(contact.name);
+    const displayName = (contact.name || '').trim() || contact.mobile || contact.email || 'Contact';
+
+    const lines = [
+        'BEGIN:VCARD',
+        `VERSION:${version}`,
+        `N:${escapeValue(lastName)};${escapeValue(firstName)};;${escapeValue(prefix)};`,
+        `FN:${escapeValue(displayName)}`
+    ];
+
+    // Every number and email the contact carries, main ones first
+    const phones = contact.phones && contact.phones.length > 0
+        ? contact.phones.slice().sort((a, b) => (b.value === contact.mobile) - (a.value === contact.mobile))
+        : (contact.mobile ? [{ value: contact.mobile, type: 'mobile' }] : []);
+    const emails = contact.emails && contact.emails.length > 0
+        ? contact.emails.slice().sort((a, b) => (b.value === contact.email) - (a.value === contact.email))
+        : (contact.email ? [{ value: contact.email, type: '' }] : []);
+
+    phones.forEach(phone => {
+        const type = VCARD_TYPES[phone.type] || 'VOICE';
+        lines.push(version === '4.0'
+            ? `TEL;TYPE=${type.toLowerCase()};VALUE=uri:tel:${phone.value.replace(/[^\d+]/g, '')}`
+            : `TEL;TYPE=${type}:${escapeValue(phone.value)}`);
+    });
+
+    emails.forEach(email => {
+        const type = email.type === 'work' || email.type === 'home' ? email.type : '';
+        lines.push(version === '4.0'
+            ? `EMAIL${type ? `;TYPE=${type}` : ''}:${escapeValue(email.value)}`
+            : `EMAIL;TYPE=INTERNET${type ? `,${type.toUpperCase()}` : ''}:${escapeValue(email.value)}`);
+    });
+
+    if (contact.company) {
+        lines.push(`ORG:${escapeValue(contact.company)}`);
+    }
+
+    if (contact.title) {
+        lines.push(`TITLE:${escapeValue(contact.title)}`);
+    }
+
+    if (contact.address) {
+        // Parsed addresses are kept as one formatted line, written as the street component
+        lines.push(`ADR:;;${escapeValue(contact.address)};;;;`);
+    }
+
+    if (contact.birthday) {
+        lines.push(`BDAY:${contact.birthday}`);
+    }
+
+    if (contact.url) {
+        lines.push(`URL:${contact.url}`);
+    }
+
+    if (contact.notes) {
+        lines.push(`NOTE:${escapeValue(contact.notes)}`);
+    }
+
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n');
+}
+
+/**
+ * Generates a multi-card vCard file
+ * @param {Array} contacts - Contacts to export
+ * @param {Object} [options]
+ * @param {string} [options.version] - '3.0' (default) or '4.0'
+ * @returns {string} VCF content with CRLF line endings
+ */
+function generateVCF(contacts, options = {}) {
+    const version = SUPPORTED_VERSIONS.includes(options.version) ? options.version : DEFAULT_VERSION;
+
+    const vcf = contacts.map(contact => generateVCard(contact, version)).join('\r\n') + '\r\n';
+    log(`📇 Generated vCard ${version} file with ${contacts.length} entries`);
+
+    return vcf;
+}
+
+module.exports = {
+    generateVCF,
+    resolveVCardVersion
+};
@@ -1,4 +1,4 @@
-// vcf-parser.js - Enhanced Multi-Contact Parser with Better Debugging
+// vcf-parser.js - vCard 2.1 / 3.0 / 4.0 Multi-Contact Parser
 
 // Production-aware logging
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
@@ -14,279 +14,409 @@ const logError = (...args) => {
         console.error('VCF parser error occurred');
     }
 };
-function parseVCF(vcfContent) {
+
+const { normalizePhone } = require('./phone-normalizer');
+
+// TYPE values turned into readable labels; VOICE, INTERNET, PREF etc. are not labels
+const TYPE_LABELS = {
+    cell: 'mobile',
+    mobile: 'mobile',
+    iphone: 'mobile',
+    work: 'work',
+    business: 'work',
+    home: 'home',
+    main: 'main',
+    fax: 'fax',
+    pager: 'pager',
+    other: 'other'
+};
+
+// Phone preference when picking the main number
+const PHONE_PRIORITY = ['mobile', 'work', 'home', 'main', 'other'];
+
+// Bare 2.1 parameters (e.g. TEL;CELL;PREF:...) that are encodings rather than types
+const ENCODING_PARAMS = ['quoted-printable', 'base64', 'b', '8bit', '7bit'];
+
+/**
+ * Splits on a separator that is not escaped with a backslash
+ * @param {string} value
+ * @param {string} separator - ';' or ','
+ * @returns {Array<string>}
+ */
+function splitUnescaped(value, separator) {
+    const parts = [];
+    let current = '';
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '\\' && i + 1 < value.length) {
+            current += char + value[i + 1];
+            i++;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts;
+}
+
+// Reverses vCard text escaping (\n \, \; \\)
+function unescapeText(value) {
+    return value.replace(/\\([nN,;\\:])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Decodes QUOTED-PRINTABLE into raw bytes
+function decodeQuotedPrintable(value) {
+    const bytes = [];
+    const text = value.replace(/=\r?\n/g, '');
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+            bytes.push(parseInt(text.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(text.charCodeAt(i) & 0xff);
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Decodes bytes with the card's CHARSET, falling back to UTF-8 for unknown charsets
+function decodeBytes(bytes, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch (error) {
+        log(`⚠️ Unknown vCard charset "${charset}", decoding as UTF-8`);
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Parses one unfolded content line: [group.]NAME[;PARAM=VALUE...]:value
+ * @param {string} line
+ * @returns {{group: string, name: string, params: Object, types: Array<string>, value: string}|null}
+ */
+function parseContentLine(line) {
+    // The value starts at the first colon outside quoted parameter values
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) return null;
+
+    const [property, ...rawParams] = line.substring(0, colonIndex).split(';');
+    const dot = property.lastIndexOf('.');
+    const params = {};
+    const types = [];
+
+    rawParams.forEach(param => {
+        const eq = param.indexOf('=');
+        if (eq === -1) {
+            // vCard 2.1 bare parameter, e.g. TEL;CELL or EMAIL;QUOTED-PRINTABLE
+            const bare = param.trim().toLowerCase();
+            if (ENCODING_PARAMS.includes(bare)) {
+                params.encoding = bare;
+            } else if (bare) {
+                types.push(bare);
+            }
+            return;
+        }
+
+        const key = param.substring(0, eq).trim().toLowerCase();
+        const value = param.substring(eq + 1).trim().replace(/^"|"$/g, '');
+        if (key === 'type') {
+            types.push(...value.toLowerCase().split(',').map(type => type.trim()).filter(Boolean));
+        } else if (key === 'pref') {
+            types.push('pref');
+        } else {
+            params[key] = value.toLowerCase();
+        }
+    });
+
+    return {
+        group: dot === -1 ? '' : property.substring(0, dot).toLowerCase(),
+        name: property.substring(dot + 1).trim().toUpperCase(),
+        params,
+        types,
+        value: line.substring(colonIndex + 1)
+    };
+}
+
+/**
+ * Unfolds continuation lines (RFC 2425/6350) and vCard 2.1 quoted-printable soft breaks
+ * @param {string} block - One vCard with \n line endings
+ * @returns {Array<string>}
+ */
+function unfoldLines(block) {
+    const physical = block.split('\n');
+    const lines = [];
+
+    physical.forEach(line => {
+        const previous = lines[lines.length - 1];
+        // QUOTED-PRINTABLE values ending in "=" continue on the next line (some phones indent it)
+        if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && /=$/.test(previous)) {
+            lines[lines.length - 1] = previous.slice(0, -1) + line.replace(/^[ \t]/, '');
+            return;
+        }
+
+        if (/^[ \t]/.test(line) && lines.length > 0) {
+            lines[lines.length - 1] += line.substring(1);
+            return;
+        }
+
+        lines.push(line);
+    });
+
+    return lines.map(line => line.trim()).filter(Boolean);
+}
+
+// Decodes a property value according to its ENCODING and CHARSET parameters
+function decodeValue(property, rawBytes) {
+    const { encoding, charset } = property.params;
+
+    if (encoding === 'quoted-printable') {
+        return decodeBytes(decodeQuotedPrintable(property.value), charset);
+    }
+    if ((encoding === 'b' || encoding === 'base64') && property.name !== 'PHOTO' && property.name !== 'LOGO') {
+        return decodeBytes(Buffer.from(property.value, 'base64'), charset);
+    }
+    if (rawBytes) {
+        // Buffer input is read byte-for-byte so each value can use its own charset
+        return decodeBytes(Buffer.from(property.value, 'latin1'), charset);
+    }
+    return property.value;
+}
+
+// Readable label from TYPE parameters and Apple item labels (e.g. "_$!<Mobile>!$_")
+function typeLabel(types, appleLabel) {
+    for (const type of types) {
+        if (TYPE_LABELS[type]) return TYPE_LABELS[type];
+    }
+
+    if (appleLabel) {
+        const label = appleLabel.replace(/^_\$!<|>!\$_$/g, '').trim().toLowerCase();
+        return TYPE_LABELS[label] || label;
+    }
+
+    return '';
+}
+
+// vCard 4.0 TEL values may be URIs (tel:+1-555-555-5555;ext=5555)
+function telValue(value) {
+    return value.replace(/^tel:/i, '').split(';')[0].trim();
+}
+
+// Normalises BDAY values (19900115, 1990-01-15, --0115, 1990-01-15T00:00:00Z)
+function formatBirthday(value) {
+    const date = value.split('T')[0].trim();
+    if (/^\d{8}$/.test(date)) return `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6)}`;
+    if (/^--\d{4}$/.test(date)) return `--${date.substring(2, 4)}-${date.substring(4)}`;
+    return date;
+}
+
+// Picks the main phone: mobile first, preferred numbers first within a type
+function selectPrimary(entries, priority) {
+    const ranked = entries.slice().sort((a, b) => {
+        const rank = entry => {
+            const index = priority ? priority.indexOf(entry.type) : -1;
+            return (index === -1 ? (priority ? priority.length : 0) : index) * 2 + (entry.preferred ? 0 : 1);
+        };
+        return rank(a) - rank(b);
+    });
+    return ranked.length > 0 ? ranked[0].value : '';
+}
+
+/**
+ * Parses one vCard block into a contact
+ * @param {string} block - BEGIN:VCARD ... END:VCARD
+ * @param {Object} options - {region}
+ * @param {boolean} rawBytes - True when values are still undecoded bytes
+ * @returns {Object} Contact
+ */
+function parseVCard(block, options, rawBytes) {
+    const properties = unfoldLines(block)
+        .map(parseContentLine)
+        .filter(property => property && property.name !== 'BEGIN' && property.name !== 'END');
+
+    // Apple stores labels on a separate grouped line: item1.X-ABLabel:Mobile
+    const appleLabels = {};
+    properties.forEach(property => {
+        if (property.name === 'X-ABLABEL' && property.group) {
+            appleLabels[property.group] = decodeValue(property, rawBytes);
+        }
+    });
+
+    const contact = {
+        name: '',
+        mobile: '',
+        email: '',
+        company: '',
+        passes: 1
+    };
+    const phones = [];
+    const emails = [];
+    let structuredName = '';
+    let formattedName = '';
+
+    properties.forEach(property => {
+        const value = decodeValue(property, rawBytes);
+        const label = typeLabel(property.types, appleLabels[property.group]);
+        const preferred = property.types.includes('pref');
+
+        switch (property.name) {
+            case 'FN':
+                formattedName = formattedName || unescapeText(value).trim();
+                break;
+            case 'N': {
+                // Family;Given;Additional;Prefix;Suffix
+                const [family, given, additional, prefix, suffix] = splitUnescaped(value, ';').map(part => unescapeText(part).trim());
+                structuredName = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+                break;
+            }
+            case 'TEL': {
+                const raw = unescapeText(telValue(value));
+                if (!raw.replace(/[^\d]/g, '')) break;
+                // Country-aware E.164 formatting - keep the card's digits if they can't be normalised
+                const phone = normalizePhone(raw, options.region) || raw.replace(/[^\d+]/g, '');
+                if (!phones.some(existing => existing.value === phone)) {
+                    phones.push({ value: phone, type: label || 'other', preferred });
+                }
+                break;
+            }
+            case 'EMAIL': {
+                const email = unescapeText(value).trim();
+                if (email && !emails.some(existing => existing.value.toLowerCase() === email.toLowerCase())) {
+                    emails.push({ value: email, type: label || 'other', preferred });
+                }
+                break;
+            }
+            case 'ORG':
+                contact.company = contact.company ||
+                    splitUnescaped(value, ';').map(part => unescapeText(part).trim()).filter(Boolean).join(', ');
+                break;
+            case 'TITLE':
+                contact.title = contact.title || unescapeText(value).trim();
+                break;
+            case 'ADR': {
+                // PO Box;Extended;Street;Locality;Region;Postal code;Country
+                const address = splitUnescaped(value, ';').map(part => unescapeText(part).replace(/\n/g, ', ').trim()).filter(Boolean).join(', ');
+                if (address && (!contact.address || preferred)) {
+                    contact.address = address;
+                }
+                break;
+            }
+            case 'NOTE': {
+                const note = unescapeText(value).replace(/\r\n?/g, '\n').trim();
+                if (note) contact.notes = contact.notes ? `${contact.notes}\n${note}` : note;
+                break;
+            }
+            case 'BDAY':
+                contact.birthday = formatBirthday(unescapeText(value));
+                break;
+            case 'URL':
+                contact.url = contact.url || unescapeText(value).trim();
+                break;
+        }
+    });
+
+    // Formatted name is what the phone displays; the structured name is the fallback
+    contact.name = formattedName || structuredName;
+    contact.mobile = selectPrimary(phones, PHONE_PRIORITY);
+    contact.email = selectPrimary(emails);
+
+    if (phones.length > 0) contact.phones = phones;
+    if (emails.length > 0) contact.emails = emails;
+
+    return contact;
+}
+
+/**
+ * Parses vCard files (2.1, 3.0 and 4.0) into contacts
+ * • Unfolds continuation lines and decodes QUOTED-PRINTABLE / CHARSET values
+ * • Returns every TEL and EMAIL with its type label (phones / emails), with the main
+ *   number and address in mobile / email
+ * • Also reads ORG, TITLE, ADR, NOTE, BDAY and URL
+ * @param {string|Buffer} vcfContent - File contents (pass the Buffer to honour non-UTF-8 CHARSET values)
+ * @param {Object} [options]
+ * @param {string} [options.region] - Region for local phone numbers
+ * @returns {Array<Object>} Contacts
+ */
+function parseVCF(vcfContent, options = {}) {
     const contacts = [];
-    
+
     log('🔍 === VCF PARSER START ===');
-    log('🔍 Raw content type:', typeof vcfContent);
-    log('🔍 Raw content length:', vcfContent?.length || 0);
-    
-    // Handle buffer input
+
     let content = vcfContent;
+    let rawBytes = false;
     if (Buffer.isBuffer(vcfContent)) {
-        content = vcfContent.toString('utf8');
+        // UTF-16 exports (Outlook) carry a byte order mark; everything else is read byte-for-byte
+        if (vcfContent[0] === 0xFF && vcfContent[1] === 0xFE) {
+            content = vcfContent.toString('utf16le');
+        } else {
+            content = vcfContent.toString('latin1');
+            rawBytes = true;
+        }
         log('🔍 Converted buffer to string, length:', content.length);
     }
-    
+
     if (!content || typeof content !== 'string') {
         log('❌ Invalid VCF content provided');
         return contacts;
     }
-    
-    // Fix line endings and split into cards
+
     const normalizedContent = content
+        .replace(/^\uFEFF|^\xEF\xBB\xBF/, '')
         .replace(/\r\n/g, '\n')
         .replace(/\r/g, '\n')
         .trim();
-    
-    log('🔍 Normalized content length:', normalizedContent.length);
-    log('🔍 First 500 chars:');
-    log(normalizedContent.substring(0, 500));
-    log('🔍 Last 200 chars:');
-    log(normalizedContent.substring(Math.max(0, normalizedContent.length - 200)));
-    
-    // Count total BEGIN/END blocks for validation
-    const beginCount = (normalizedContent.match(/BEGIN:VCARD/gi) || []).length;
-    const endCount = (normalizedContent.match(/END:VCARD/gi) || []).length;
-    log(`🔍 Found ${beginCount} BEGIN:VCARD and ${endCount} END:VCARD blocks`);
-    
-    // Split by BEGIN:VCARD - more robust approach
-    const vcardBlocks = normalizedContent.split(/(?=BEGIN:VCARD)/i).filter(block => 
-        block.trim() && block.toUpperCase().includes('BEGIN:VCARD')
+
+    // Pasted cards may be indented as a whole - remove that indent so it isn't read as line folding
+    const indent = (normalizedContent.match(/^([ \t]+)BEGIN:VCARD/im) || [])[1];
+    const cardContent = indent
+        ? normalizedContent.split('\n').map(line => (line.startsWith(indent) ? line.substring(indent.length) : line)).join('\n')
+        : normalizedContent;
+
+    // Split by BEGIN:VCARD - each block must also be closed with END:VCARD
+    const vcardBlocks = cardContent.split(/(?=BEGIN:VCARD)/i).filter(block =>
+        /^BEGIN:VCARD/i.test(block.trim())
     );
-    
-    log('🔍 Found VCard blocks after split:', vcardBlocks.length);
-    
-    // If no proper blocks found, try alternative splitting
-    if (vcardBlocks.length === 0 && normalizedContent.includes('BEGIN:VCARD')) {
-        log('🔍 Trying alternative block splitting...');
-        const altBlocks = normalizedContent.split('BEGIN:VCARD');
-        altBlocks.forEach((block, index) => {
-            if (index > 0) { // Skip first empty part
-                vcardBlocks.push('BEGIN:VCARD' + block);
-            }
-        });
-        log('🔍 Alternative splitting found:', vcardBlocks.length, 'blocks');
-    }
-    
-    vcardBlocks.forEach((vcard, index) => {
-        log(`\n🔍 === Processing VCard ${index + 1}/${vcardBlocks.length} ===`);
-        log('🔍 Block length:', vcard.length);
-        log('🔍 First 150 chars:', vcard.substring(0, 150));
-        
-        // Check for proper VCard structure
-        const hasBegin = vcard.toUpperCase().includes('BEGIN:VCARD');
-        const hasEnd = vcard.toUpperCase().includes('END:VCARD');
-        
-        log(`🔍 Has BEGIN: ${hasBegin}, Has END: ${hasEnd}`);
-        
-        if (!hasBegin || !hasEnd) {
-            log('⚠️ Malformed VCard, missing BEGIN or END, skipping');
+
+    log(`🔍 Found ${vcardBlocks.length} VCard blocks`);
+
+    vcardBlocks.forEach((block, index) => {
+        if (!/END:VCARD/i.test(block)) {
+            log(`⚠️ VCard ${index + 1} is missing END:VCARD, skipping`);
             return;
         }
-        
-        const contact = {
-            name: '',
-            mobile: '',
-            email: '',
-            company: '',
-            passes: 1
-        };
-        
-        // Extract lines and clean them
-        const lines = vcard.split('\n')
-            .map(l => l.trim())
-            .filter(l => l && !l.match(/^BEGIN:VCARD$/i) && !l.match(/^END:VCARD$/i));
-        
-        log(`🔍 Extracted ${lines.length} data lines`);
-        lines.forEach((line, i) => {
-            if (i < 5) { // Show first 5 lines for debugging
-                log(`   Line ${i + 1}: ${line}`);
-            }
-        });
-        
-        // Extract name with multiple strategies
-        let extractedName = '';
-        
-        // Strategy 1: N field (structured name)
-        const nLine = lines.find(line => line.match(/^N[:;]/i));
-        if (nLine) {
-            log('🔍 Found N line:', nLine);
-            const nValue = nLine.replace(/^N[:;]/i, '').trim();
-            const nameParts = nValue.split(';').map(p => p.trim()).filter(p => p);
-            
-            if (nameParts.length >= 2) {
-                const lastName = nameParts[0] || '';
-                const firstName = nameParts[1] || '';
-                extractedName = `${firstName} ${lastName}`.trim();
-                log('🔍 Extracted from N field:', extractedName);
-            } else if (nameParts.length === 1) {
-                extractedName = nameParts[0];
-                log('🔍 Extracted single name from N field:', extractedName);
-            }
-        }
-        
-        // Strategy 2: FN field (formatted name) as fallback
-        if (!extractedName) {
-            const fnLine = lines.find(line => line.match(/^FN[:;]/i));
-            if (fnLine) {
-                log('🔍 Found FN line:', fnLine);
-                extractedName = fnLine.replace(/^FN[:;]/i, '').trim();
-                log('🔍 Extracted from FN field:', extractedName);
-            }
-        }
-        
-        contact.name = extractedName;
-        
-        // Extract phone numbers - handle multiple formats
-        const telLines = lines.filter(line => 
-            line.match(/^TEL/i) || 
-            line.match(/^item\d*\.TEL/i) ||  // Apple format
-            line.match(/^TEL;/i) ||
-            line.match(/^TEL:/i)
-        );
-        
-        log(`🔍 Found ${telLines.length} TEL lines:`, telLines);
-        
-        let selectedPhone = '';
-        let cellPhone = '';
-        let workPhone = '';
-        let homePhone = '';
-        
-        telLines.forEach((telLine, telIndex) => {
-            log(`🔍 Processing TEL line ${telIndex + 1}:`, telLine);
-            
-            let phone = '';
-            
-            // Extract phone number after colon
-            if (telLine.includes(':')) {
-                phone = telLine.split(':').slice(1).join(':').trim();
-            } else if (telLine.includes(';')) {
-                // Handle cases where format is TEL;TYPE=CELL;555-1234
-                const parts = telLine.split(';');
-                phone = parts[parts.length - 1].trim();
-            }
-            
-            log(`🔍 Raw phone extracted:`, phone);
-            
-            // Clean phone number but preserve international format
-            const cleanPhone = phone.replace(/[^\d+\s\-\(\)]/g, '').trim();
-            log(`🔍 Cleaned phone:`, cleanPhone);
-            
-            // Categorize phone by type
-            if (telLine.match(/CELL|MOBILE/i)) {
-                cellPhone = cleanPhone;
-                log(`🔍 Identified as CELL phone:`, cellPhone);
-            } else if (telLine.match(/WORK|BUSINESS/i)) {
-                workPhone = cleanPhone;
-                log(`🔍 Identified as WORK phone:`, workPhone);
-            } else if (telLine.match(/HOME/i)) {
-                homePhone = cleanPhone;
-                log(`🔍 Identified as HOME phone:`, homePhone);
-            }
-            
-            // Store first valid phone found as fallback
-            if (!selectedPhone && cleanPhone) {
-                selectedPhone = cleanPhone;
-                log(`🔍 Set as primary phone:`, selectedPhone);
-            }
-        });
-        
-        // Prefer cell phone, then work, then home, then any phone
-        let finalPhone = cellPhone || workPhone || homePhone || selectedPhone;
-        log(`🔍 Final phone selection:`, finalPhone);
-        
-        // Format Nigerian numbers and other international formats
-        if (finalPhone) {
-            let formattedPhone = finalPhone;
-            
-            // Remove all non-digit characters except +
-            formattedPhone = formattedPhone.replace(/[^\d+]/g, '');
-            
-            // Nigerian local format (0XX) to international
-            if (formattedPhone.match(/^0[789]\d{9}$/)) {
-                formattedPhone = '+234' + formattedPhone.substring(1);
-                log(`🔍 Formatted Nigerian number:`, formattedPhone);
-            }
-            // Nigerian without 0 prefix
-            else if (formattedPhone.match(/^[789]\d{9}$/)) {
-                formattedPhone = '+234' + formattedPhone;
-                log(`🔍 Formatted Nigerian number (no 0):`, formattedPhone);
-            }
-            // Add + if missing for international numbers
-            else if (formattedPhone.match(/^\d{10,}$/) && !formattedPhone.startsWith('+')) {
-                if (formattedPhone.startsWith('234')) {
-                    formattedPhone = '+' + formattedPhone;
-                } else if (formattedPhone.startsWith('1') && formattedPhone.length === 11) {
-                    formattedPhone = '+' + formattedPhone;
-                } else if (formattedPhone.startsWith('44')) {
-                    formattedPhone = '+' + formattedPhone;
-                } else {
-                    // Keep as is for other international formats
-                    formattedPhone = '+' + formattedPhone;
-                }
-                log(`🔍 Added + prefix:`, formattedPhone);
-            }
-            
-            finalPhone = formattedPhone;
-        }
-        
-        contact.mobile = finalPhone;
-        
-        // Extract email with multiple strategies
-        const emailLine = lines.find(line => 
-            line.match(/^EMAIL/i) || 
-            line.match(/^item\d*\.EMAIL/i) ||
-            line.match(/^EMAIL[:;]/i)
-        );
-        
-        if (emailLine) {
-            log('🔍 Found EMAIL line:', emailLine);
-            let email = '';
-            if (emailLine.includes(':')) {
-                email = emailLine.split(':').slice(1).join(':').trim();
+
+        try {
+            const contact = parseVCard(block, options, rawBytes);
+
+            // Accept if we have name OR phone OR email
+            if (contact.name || contact.mobile || contact.email) {
+                contacts.push(contact);
+                log(`✅ Contact ${index + 1}: ${contact.name || 'NO_NAME'} | ${contact.mobile || 'NO_PHONE'} | ${contact.email || 'NO_EMAIL'}${contact.phones && contact.phones.length > 1 ? ` (+${contact.phones.length - 1} more numbers)` : ''}`);
+            } else {
+                log(`❌ Contact ${index + 1} REJECTED - no valid data`);
             }
-            contact.email = email;
-            log('🔍 Extracted email:', email);
-        }
-        
-        // Extract organization/company
-        const orgLine = lines.find(line => line.match(/^ORG[:;]/i));
-        if (orgLine) {
-            log('🔍 Found ORG line:', orgLine);
-            const org = orgLine.replace(/^ORG[:;]/i, '').trim();
-            contact.company = org;
-            log('🔍 Extracted company:', org);
-        }
-        
-        log(`🔍 Final parsed contact ${index + 1}:`);
-        log(`   Name: "${contact.name}"`);
-        log(`   Mobile: "${contact.mobile}"`);
-        log(`   Email: "${contact.email}"`);
-        log(`   Company: "${contact.company}"`);
-        
-        // Enhanced validation - accept if we have name OR phone OR email
-        const hasName = contact.name && contact.name.trim();
-        const hasPhone = contact.mobile && contact.mobile.trim();
-        const hasEmail = contact.email && contact.email.trim();
-        
-        if (hasName || hasPhone || hasEmail) {
-            contacts.push(contact);
-            log(`✅ Contact ${index + 1} ACCEPTED`);
-        } else {
-            log(`❌ Contact ${index + 1} REJECTED - no valid data`);
+        } catch (error) {
+            logError(`❌ Failed to parse VCard ${index + 1}:`, error.message);
         }
     });
-    
-    log(`\n🎯 === VCF PARSER COMPLETE ===`);
-    log(`🎯 Successfully extracted ${contacts.length} contacts from ${vcardBlocks.length} VCard blocks`);
-    
-    // Final summary
-    contacts.forEach((contact, index) => {
-        log(`Final Contact ${index + 1}: ${contact.name || 'NO_NAME'} | ${contact.mobile || 'NO_PHONE'} | ${contact.email || 'NO_EMAIL'}`);
-    });
-    
+
+    log(`🎯 === VCF PARSER COMPLETE: ${contacts.length} contacts from ${vcardBlocks.length} VCard blocks ===`);
+
     return contacts;
 }
 
-module.exports = { parseVCF };
\ No newline at end of file
+module.exports = { parseVCF };
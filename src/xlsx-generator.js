@@ -0,0 +1,81 @@
+// xlsx-generator.js - Excel workbook export
+// Every cell is text-typed so phone numbers never turn into scientific notation
+
+// Production-aware logging
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const log = (...args) => {
+    if (!IS_PRODUCTION) {
+        console.log(...args);
+    }
+};
+
+const XLSX = require('xlsx');
+const { getExportProfile, getFieldValue, DEFAULT_PROFILE } = require('./export-profiles');
+
+const SHEET_NAME = 'Contacts';
+const TEXT_FORMAT = '@';
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 50;
+
+// Frozen first row - the xlsx community build cannot write panes, so the sheet view is patched after writing
+const DEFAULT_SHEET_VIEW = '<sheetView workbookViewId="0"/>';
+const FROZEN_SHEET_VIEW = '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>';
+
+function textCell(value) {
+    return { t: 's', v: String(value), z: TEXT_FORMAT };
+}
+
+// Freezes the header row of the first worksheet inside the written .xlsx zip
+function freezeHeaderRow(workbookBuffer) {
+    const zip = XLSX.CFB.read(workbookBuffer, { type: 'buffer' });
+    const sheet = XLSX.CFB.find(zip, '/xl/worksheets/sheet1.xml');
+    const xml = sheet ? Buffer.from(sheet.content).toString('utf8') : '';
+
+    if (!xml.includes(DEFAULT_SHEET_VIEW)) {
+        log('⚠️ XLSX export: sheet view not found, header row left unfrozen');
+        return workbookBuffer;
+    }
+
+    sheet.content = Buffer.from(xml.replace(DEFAULT_SHEET_VIEW, FROZEN_SHEET_VIEW), 'utf8');
+    return Buffer.from(XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true }));
+}
+
+/**
+ * Generates an .xlsx workbook using an export profile's column layout
+ * @param {Array} contacts - Contacts to export
+ * @param {string|Object} [profile] - Profile name or definition (defaults to the ticketing layout)
+ * @returns {Buffer} Workbook file contents
+ */
+function generateXLSX(contacts, profile = DEFAULT_PROFILE) {
+    const { key, columns } = typeof profile === 'string' ? getExportProfile(profile) : profile;
+
+    const rows = [columns.map(([header]) => header)];
+    contacts.forEach(contact => {
+        rows.push(columns.map(([, field]) => getFieldValue(contact, field)));
+    });
+
+    const worksheet = {};
+    rows.forEach((row, r) => {
+        row.forEach((value, c) => {
+            if (value === '' || value === undefined || value === null) return;
+            worksheet[XLSX.utils.encode_cell({ r, c })] = typeof value === 'number' ? { t: 'n', v: value } : textCell(value);
+        });
+    });
+    worksheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: columns.length - 1 } });
+
+    // Autosize columns to the longest value
+    worksheet['!cols'] = columns.map((_, c) => {
+        const longest = Math.max(...rows.map(row => String(row[c] ?? '').length));
+        return { wch: Math.min(Math.max(longest + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH) };
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, SHEET_NAME);
+
+    const buffer = freezeHeaderRow(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }));
+    log(`📗 Generated ${key || 'custom'} XLSX with ${contacts.length} entries (${(buffer.length / 1024).toFixed(2)}KB)`);
+
+    return buffer;
+}
+
+module.exports = { generateXLSX };
@@ -0,0 +1,125 @@
+// test-chat-export.js - WhatsApp chat export (.txt/.zip) parsing tests
+const XLSX = require('xlsx');
+const { isChatExport, isChatArchive, parseChatExport, parseChatArchive } = require('../src/chat-export-parser');
+const { parseContactFile } = require('../src/csv-excel-parser');
+
+console.log('🧪 CHAT EXPORT TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const ANDROID_CHAT = `12/31/23, 9:41 PM - Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them.
+12/31/23, 9:41 PM - Ada Obi created group "Wedding Planning"
+12/31/23, 9:42 PM - Ada Obi added Bola Ade and +234 805 999 8888
+12/31/23, 9:45 PM - Ada Obi: Welcome everyone!
+The venue is confirmed
+12/31/23, 9:46 PM - Bola Ade: Caterer is Chi Eze 08061234567
+12/31/23, 9:47 PM - +234 803 123 4567: Thanks for adding me
+12/31/23, 9:48 PM - Bola Ade: Dayo Musa.vcf (file attached)
+1/1/24, 10:02 AM - +234 803 123 4567 joined using this group's invite link`;
+
+const IOS_CHAT = `‎[31/12/2023, 21:41:05] Wedding Planning: ‎Messages and calls are end-to-end encrypted.
+[31/12/2023, 21:45:10] Ada Obi: Welcome everyone!
+[31/12/2023, 21:46:22] ~ Bola Ade: ‎<attached: 00000012-Dayo Musa.vcf>
+[31/12/2023, 21:47:01] ‪+44 7911 123456‬: Hello from London`;
+
+const IOS_GROUP_CHAT = `[02/01/2024, 09:00:00] Family Group: ‎Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them.
+[02/01/2024, 09:00:00] Family Group: ‎Ada Obi created group "Family Group"
+[02/01/2024, 09:00:05] Family Group: ‎Ada Obi added Bola Ade and ‪+234 805 999 8888‬
+[02/01/2024, 09:01:00] Family Group: ‎Chi Eze joined using this group's invite link
+[02/01/2024, 09:02:00] Ada Obi: Welcome to the family group
+[02/01/2024, 09:03:00] Family Group: ‎Ada Obi changed the group description`;
+
+function makeArchive(files) {
+    const archive = XLSX.CFB.utils.cfb_new();
+    Object.entries(files).forEach(([name, content]) => XLSX.CFB.utils.cfb_add(archive, `/${name}`, Buffer.from(content)));
+    return Buffer.from(XLSX.CFB.write(archive, { fileType: 'zip', type: 'buffer', compression: true }));
+}
+
+async function runTests() {
+    // Detection
+    check('Android exports are recognised', isChatExport(ANDROID_CHAT));
+    check('iOS exports are recognised', isChatExport(IOS_CHAT));
+    check('24-hour dotted dates are recognised', isChatExport('31.12.23, 21:41 - Ada: hi\n31.12.23, 21:42 - Bola: hello\n31.12.23, 21:43 - Ada: ok'));
+    check('Contact lists are not chats', !isChatExport('John Doe +2348123456789\nJane Smith: 08012345678\nBob Wilson - +44 20 7946 0958'));
+
+    // Android
+    const report = {};
+    const android = parseChatExport(ANDROID_CHAT, { region: 'NG', report });
+    const names = android.map(contact => contact.name);
+    check('Senders become participants', names.includes('Ada Obi') && names.includes('Bola Ade'));
+    check('Unsaved senders keep their number', android.some(contact => contact.mobile === '+2348031234567' && contact.method === 'chat-participant'));
+    check('People added to the group are participants', android.some(contact => contact.mobile === '+2348059998888'));
+    check('Numbers shared in messages are extracted', android.some(contact => contact.name === 'Chi Eze' && contact.mobile === '+2348061234567'));
+    check('System messages and group names are not contacts', !names.some(name => /encrypted|Wedding/.test(name)));
+    check('Each number appears once', android.filter(contact => contact.mobile === '+2348031234567').length === 1);
+    check('Report counts messages and participants', report.format === 'whatsapp-chat' && report.messages === 8 &&
+        report.participants === 4 && report.participantsWithoutNumber === 2 && report.sharedNumbers === 1);
+    check('Cards missing from a .txt export are counted', report.missingCards === 1);
+
+    // iOS
+    const ios = parseChatExport(IOS_CHAT, { region: 'NG' });
+    check('iOS direction marks are removed from numbers', ios.some(contact => contact.mobile === '+447911123456'));
+    check('"~ Name" senders are cleaned', ios.some(contact => contact.name === 'Bola Ade'));
+
+    const groupReport = {};
+    const iosGroup = parseChatExport(IOS_GROUP_CHAT, { region: 'NG', report: groupReport });
+    const groupNames = iosGroup.map(contact => contact.name);
+    check('iOS group names are not participants', !groupNames.includes('Family Group'));
+    check('iOS add and join events add participants', groupNames.includes('Bola Ade') && groupNames.includes('Chi Eze') &&
+        iosGroup.some(contact => contact.mobile === '+2348059998888'));
+    check('iOS group notices are not counted as participants', groupReport.participants === 4 && groupReport.sharedNumbers === 0);
+
+    // Routing and scoring through parseContactFile
+    const routedReport = {};
+    const routed = await parseContactFile(ANDROID_CHAT, 'text/plain', 'chat.txt', { region: 'NG', report: routedReport });
+    check('Chat .txt files use the chat parser', routedReport.format === 'whatsapp-chat' && routed.length === android.length);
+    check('Participants are scored', routed.every(contact => typeof contact.confidence === 'number') &&
+        routed.find(contact => contact.name === 'Ada Obi').confidence === 0.8);
+
+    // Zip exports
+    const card = 'BEGIN:VCARD\nVERSION:3.0\nFN:Dayo Musa\nTEL;TYPE=CELL:+2348071234567\nEND:VCARD';
+    const zip = makeArchive({ '_chat.txt': IOS_CHAT, '00000012-Dayo Musa.vcf': card, '00000013-PHOTO.jpg': 'not really a photo' });
+    check('Chat zips are recognised', isChatArchive(zip) && isChatArchive(Buffer.alloc(0), 'application/zip') && isChatArchive('', '', 'chat.zip'));
+
+    const zipReport = {};
+    const fromZip = parseChatArchive(zip, { region: 'NG', report: zipReport });
+    check('Cards shared in the chat are read from the zip', fromZip.some(contact => contact.name === 'Dayo Musa' && contact.mobile === '+2348071234567' && contact.method === 'vcf'));
+    check('Zip report counts shared cards', zipReport.sharedCards === 1 && zipReport.missingCards === 0);
+
+    const androidZip = makeArchive({ 'WhatsApp Chat with Wedding Planning.txt': ANDROID_CHAT });
+    check('Android zips are found by content', parseChatArchive(androidZip, { region: 'NG' }).length === android.length);
+
+    const routedZip = await parseContactFile(zip, 'application/zip', 'chat.zip', { region: 'NG' });
+    check('Zip files are routed to the archive parser', routedZip.length === fromZip.length);
+
+    let missingChatError = '';
+    try {
+        parseChatArchive(makeArchive({ 'photo.jpg': 'x' }));
+    } catch (error) {
+        missingChatError = error.message;
+    }
+    check('Zips without a chat are rejected with a reason', missingChatError.includes('No WhatsApp chat found'));
+
+    let damagedError = '';
+    try {
+        parseChatArchive(Buffer.from('PK\u0003\u0004 not a real zip at all'));
+    } catch (error) {
+        damagedError = error.message;
+    }
+    check('Damaged zips are rejected', damagedError.includes('damaged'));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 CHAT EXPORT TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,119 @@
+// test-contact-editor.js - Preview, delete, edit and undo/redo tests
+const {
+    parsePreviewCommand,
+    parseDeleteCommand,
+    parseEditCommand,
+    generatePreviewPage,
+    deleteContact,
+    editContact,
+    diffContacts
+} = require('../src/contact-editor');
+const store = require('../src/session-store');
+
+console.log('🧪 CONTACT EDITOR TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+// Command parsing
+check('"preview" shows the first page', parsePreviewCommand('Preview').page === 1);
+check('"preview 3" shows page 3', parsePreviewCommand('preview 3').page === 3);
+check('"delete 7" is parsed', parseDeleteCommand('delete 7').number === 7);
+check('"edit 3 name Jane Doe" keeps the full value', JSON.stringify(parseEditCommand('Edit 3 Name Jane Doe')) === JSON.stringify({ number: 3, field: 'name', value: 'Jane Doe' }));
+check('Contact text is not a command', !parsePreviewCommand('Preview Okafor 08031234567') && !parseDeleteCommand('delete') && !parseEditCommand('edit 3'));
+
+// Paging
+const batch = Array.from({ length: 23 }, (_, i) => ({
+    name: `Guest ${i + 1}`,
+    mobile: `+23480312345${String(i).padStart(2, '0')}`,
+    email: `guest${i + 1}@example.com`,
+    company: '',
+    passes: 1
+}));
+const first = generatePreviewPage(batch, 1);
+check('Pages hold 10 contacts', first.totalPages === 3 && first.message.includes('10. *Guest 10*') && !first.message.includes('11. *Guest 11*'));
+check('Pages point to the next page', first.message.includes('"preview 2"'));
+const last = generatePreviewPage(batch, 9);
+check('Out-of-range pages show the last page', last.page === 3 && last.message.includes('23. *Guest 23*') && !last.message.includes('"preview 4"'));
+
+const longBatch = Array.from({ length: 10 }, (_, i) => ({
+    name: `${'Very Long Guest Name '.repeat(10)}${i}`,
+    mobile: '+2348031234567',
+    email: `${'a'.repeat(200)}@example.com`,
+    company: 'C'.repeat(300),
+    passes: 4
+}));
+check('Pages stay under the 1600 character limit', generatePreviewPage(longBatch, 1).message.length <= 1600);
+
+// Deleting
+const deleted = deleteContact(batch, 2);
+check('Delete removes the numbered contact', deleted.contacts.length === 22 && deleted.removed.name === 'Guest 2' && deleted.contacts[1].name === 'Guest 3');
+check('Delete rejects numbers outside the batch', !!deleteContact(batch, 24).error && !!deleteContact(batch, 0).error);
+check('Delete leaves the original batch untouched', batch.length === 23);
+
+// Editing
+const renamed = editContact(batch, { number: 3, field: 'name', value: 'Jane Doe' }, 'NG');
+check('Edit changes the name', renamed.contacts[2].name === 'Jane Doe' && batch[2].name === 'Guest 3');
+const renumbered = editContact(batch, { number: 1, field: 'phone', value: '0241234567' }, 'GH');
+check('Edited numbers are normalised for the user\'s country', renumbered.contacts[0].mobile === '+233241234567');
+check('Invalid numbers are rejected', !!editContact(batch, { number: 1, field: 'mobile', value: '12' }, 'NG').error);
+check('Invalid emails are rejected', !!editContact(batch, { number: 1, field: 'email', value: 'not-an-email' }, 'NG').error);
+check('Passes must be a positive whole number', editContact(batch, { number: 1, field: 'passes', value: '3' }, 'NG').contacts[0].passes === 3 &&
+    !!editContact(batch, { number: 1, field: 'passes', value: 'two' }, 'NG').error);
+check('Unknown fields are rejected', !!editContact(batch, { number: 1, field: 'age', value: '30' }, 'NG').error);
+
+const vcardContact = [{
+    name: 'Ngozi Eze',
+    mobile: '+2348031234567',
+    phones: [{ value: '+2348031234567', type: 'mobile' }, { value: '+2341234567', type: 'work' }]
+}];
+const vcardEdit = editContact(vcardContact, { number: 1, field: 'mobile', value: '08059998888' }, 'NG');
+check('Editing the main number updates the vCard number list', vcardEdit.contacts[0].phones[0].value === '+2348059998888' && vcardEdit.contacts[0].phones[1].value === '+2341234567');
+
+// Undo / redo summaries
+const ada = { name: 'Ada Obi', mobile: '+2348012345678' };
+const bola = { name: 'Bola Ade', mobile: '+2348023456789' };
+const diff = diffContacts([ada, bola, bola], [ada, bola]);
+check('Diff finds removed contacts, including repeated copies', diff.removed.length === 1 && diff.removed[0] === bola && diff.added.length === 0);
+
+async function runHistoryTests() {
+    // In-memory backend (no REDIS_URL in tests)
+    const phone = '+15550009999';
+    await store.saveContacts(phone, [ada], 'adding 1 contact(s) from your message');
+    await store.saveContacts(phone, [ada, bola], 'adding 1 contact(s) from your file');
+
+    const undone = await store.undoContacts(phone);
+    check('Undo restores the previous batch', undone.after.length === 1 && (await store.get(`contacts:${phone}`)).length === 1);
+    check('Undo reports what changed', undone.label === 'adding 1 contact(s) from your file' && diffContacts(undone.before, undone.after).removed[0].name === 'Bola Ade');
+
+    const redone = await store.redoContacts(phone);
+    check('Redo reapplies the undone change', redone.after.length === 2 && !(await store.redoContacts(phone)));
+
+    await store.undoContacts(phone);
+    await store.saveContacts(phone, [ada, { name: 'Chi Eze' }], '"edit 2 name"');
+    check('A new change clears the redo history', !(await store.redoContacts(phone)));
+
+    for (let i = 0; i < 15; i++) {
+        await store.saveContacts(phone, [{ name: `Guest ${i}` }], 'test');
+    }
+    let steps = 0;
+    while (await store.undoContacts(phone)) steps++;
+    check('History is bounded', steps === 10);
+
+    await store.clearContacts(phone);
+    check('Clearing the batch drops its history', !(await store.get(`contacts:${phone}`)) && !(await store.undoContacts(phone)));
+}
+
+runHistoryTests().then(() => {
+    console.log(`\n🏁 CONTACT EDITOR TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
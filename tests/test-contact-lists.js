@@ -0,0 +1,69 @@
+// test-contact-lists.js - Named contact list tests
+const { normalizeListName, parseListCommand, isDefaultListName } = require('../src/contact-lists');
+const store = require('../src/session-store');
+const { storage } = require('../src/storage');
+
+console.log('🧪 CONTACT LISTS TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+// Names
+check('List names are lower-cased with dashes', normalizeListName('Wedding VIP') === 'wedding-vip');
+check('Names with symbols are rejected', normalizeListName('vip!') === null && normalizeListName('a'.repeat(31)) === null);
+check('"default" is reserved for the 2-hour batch', normalizeListName('default') === null && isDefaultListName('Default'));
+
+// Commands
+check('"lists" shows the lists', parseListCommand('Lists').action === 'show');
+check('"list new" creates a list', JSON.stringify(parseListCommand('list new conference day1')) === JSON.stringify({ action: 'create', name: 'conference day1' }));
+check('"list switch" is an alias of "list use"', parseListCommand('list switch vip').action === 'use');
+check('"list rename old new" renames a named list', JSON.stringify(parseListCommand('list rename vip to wedding-vip')) === JSON.stringify({ action: 'rename', name: 'vip', newName: 'wedding-vip' }));
+check('"list rename new" renames the active list', parseListCommand('list rename vip').name === undefined);
+check('Pasted text starting with "list" is not a command', parseListCommand('List of guests: John 08031234567') === null);
+
+async function runStoreTests() {
+    // In-memory backend (no REDIS_URL in tests)
+    const phone = '+15550008888';
+    await store.saveContacts(phone, [{ name: 'Batch Guest' }], 'test');
+
+    check('Creating a list succeeds once', await store.createList(phone, 'wedding-vip') && !(await store.createList(phone, 'wedding-vip')));
+    await store.useList(phone, 'wedding-vip');
+    check('New lists start empty', (await store.getContacts(phone)).length === 0 && await store.getActiveList(phone) === 'wedding-vip');
+
+    await store.saveContacts(phone, [{ name: 'VIP Guest' }, { name: 'Second VIP' }], 'test');
+    check('Lists are stored separately from the batch', (await store.get(`contacts:${phone}`)).length === 1 && (await store.getContacts(phone)).length === 2);
+    const index = await store.get(`lists:${phone}`);
+    await store.set(`lists:${phone}`, index, 60);
+    await store.saveContacts(phone, [{ name: 'VIP Guest' }, { name: 'Second VIP' }, { name: 'Third VIP' }], 'test');
+    check('Saving to a list keeps its index as long as the list', storage.backend.entries.get(`lists:${phone}`).expires > Date.now() + 13 * 24 * 3600 * 1000);
+    await store.undoContacts(phone);
+    check('Switching to an unknown list fails', !(await store.useList(phone, 'nope')) && await store.getActiveList(phone) === 'wedding-vip');
+
+    check('Renaming keeps the contacts and the active list', await store.renameList(phone, 'wedding-vip', 'vip') &&
+        await store.getActiveList(phone) === 'vip' && (await store.getContacts(phone)).length === 2);
+    const lists = await store.getLists(phone);
+    check('Lists report their contact counts', lists.length === 1 && lists[0].name === 'vip' && lists[0].count === 2);
+
+    await store.clearContacts(phone);
+    check('Clearing a named list keeps it', (await store.getContacts(phone)).length === 0 && (await store.getLists(phone)).length === 1);
+
+    check('Deleting the active list returns to the batch', await store.deleteList(phone, 'vip') &&
+        await store.getActiveList(phone) === null && (await store.getContacts(phone))[0].name === 'Batch Guest');
+    check('Deleted lists are gone', (await store.getLists(phone)).length === 0 && !(await store.deleteList(phone, 'vip')));
+
+    await store.clearContacts(phone);
+}
+
+runStoreTests().then(() => {
+    console.log(`\n🏁 CONTACT LISTS TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
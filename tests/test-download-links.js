@@ -0,0 +1,81 @@
+// test-download-links.js - Signed, one-time and PIN-protected download link tests
+const {
+    MAX_PIN_ATTEMPTS, resolveLinkSecret, signDownloadToken, verifyDownloadToken, generatePin, hashPin, verifyPin,
+    parseLinksCommand, generateLinkSettings, generateLinkNotes
+} = require('../src/download-links');
+const { Storage } = require('../src/storage');
+const { MemoryBackend } = require('../src/storage-memory');
+
+console.log('🧪 DOWNLOAD LINKS TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+async function runTests() {
+    const secret = 'a'.repeat(40);
+    const fileId = '0123456789abcdef';
+    const now = Date.now();
+
+    // Signing
+    const token = signDownloadToken(fileId, now + 60000, secret);
+    check('Tokens fit in a URL path segment', /^[A-Za-z0-9._-]+$/.test(token) && token.startsWith(`${fileId}.`));
+    check('Valid tokens give back the file ID', verifyDownloadToken(token, secret, now).fileId === fileId);
+    check('Expired tokens are refused', verifyDownloadToken(token, secret, now + 120000).error === 'expired');
+    check('Tokens signed with another secret are refused', verifyDownloadToken(token, 'b'.repeat(40), now).error === 'invalid');
+
+    const [, expiry, signature] = token.split('.');
+    const extended = `${fileId}.${(parseInt(expiry, 36) + 3600).toString(36)}.${signature}`;
+    check('Changing the expiry breaks the signature', verifyDownloadToken(extended, secret, now).error === 'invalid');
+    check('Another file ID with the same signature is refused', verifyDownloadToken(`fedcba9876543210.${expiry}.${signature}`, secret, now).error === 'invalid');
+    check('Bare file IDs are no longer accepted', verifyDownloadToken(fileId, secret, now).error === 'invalid');
+    check('Path tricks are refused', verifyDownloadToken('../../etc/passwd', secret, now).error === 'invalid');
+
+    // Secret
+    let shortSecretError = null;
+    try { resolveLinkSecret({ DOWNLOAD_LINK_SECRET: 'short' }); } catch (error) { shortSecretError = error; }
+    check('Short secrets stop start-up', shortSecretError && shortSecretError.message.includes('DOWNLOAD_LINK_SECRET'));
+    check('A random secret is used when none is set', resolveLinkSecret({}).length >= 32 && resolveLinkSecret({}) !== resolveLinkSecret({}));
+
+    // PINs
+    const pin = generatePin();
+    const pinHash = hashPin(fileId, pin, secret);
+    check('PINs are six digits', /^\d{6}$/.test(pin));
+    check('The right PIN is accepted (spaces ignored)', verifyPin(fileId, `${pin.substring(0, 3)} ${pin.substring(3)}`, pinHash, secret));
+    check('Wrong PINs are refused', !verifyPin(fileId, pin === '000000' ? '111111' : '000000', pinHash, secret) && !verifyPin(fileId, '', pinHash, secret));
+    check('A PIN only works for its own file', !verifyPin('fedcba9876543210', pin, pinHash, secret));
+    check('Only a hash of the PIN is stored', pinHash !== pin && /^[0-9a-f]{64}$/.test(pinHash));
+
+    // Commands and replies
+    check('"links" shows the settings', parseLinksCommand(' Links ').action === 'show');
+    const once = parseLinksCommand('links once on');
+    check('"links once on" turns on one-time links', once.setting === 'oneTimeLinks' && once.enabled === true);
+    const pinOff = parseLinksCommand('LINKS PIN OFF');
+    check('"links pin off" turns the PIN off', pinOff.setting === 'linkPin' && pinOff.enabled === false);
+    check('Other messages are not link commands', parseLinksCommand('links are great') === null && parseLinksCommand('John 0803 link') === null);
+    check('Settings reply shows both options', generateLinkSettings({ oneTimeLinks: true }).includes('One-time links: *on*') &&
+        generateLinkSettings({ oneTimeLinks: true }).includes('PIN: *off*'));
+    check('Link notes carry the PIN', generateLinkNotes({ pin: '123456', oneTime: true }).includes('123456') &&
+        generateLinkNotes({ pin: null, oneTime: false }) === '');
+
+    // One-time claims and attempt counting use the storage atomic helpers
+    const storage = new Storage(new MemoryBackend());
+    const claims = await Promise.all([1, 2, 3].map(() => storage.setIfAbsent(`claimed:${fileId}`, true, 60)));
+    check('Only one of several simultaneous downloads claims a one-time file', claims.filter(Boolean).length === 1);
+
+    const attempts = await Promise.all(Array.from({ length: MAX_PIN_ATTEMPTS + 2 }, () => storage.increment(`pin:${fileId}`, { attempts: 1 }, 60)));
+    check('Simultaneous PIN guesses are all counted', attempts.map(counts => counts.attempts).sort((a, b) => a - b).pop() === MAX_PIN_ATTEMPTS + 2);
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 DOWNLOAD LINKS TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
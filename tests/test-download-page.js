@@ -0,0 +1,94 @@
+// test-download-page.js - Download landing page and format conversion tests
+const XLSX = require('xlsx');
+const { PREVIEW_ROWS, getFileFormat, getAvailableFormats, convertDownloadFile, generateDownloadPage } = require('../src/download-page');
+
+console.log('🧪 DOWNLOAD PAGE TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+async function runTests() {
+    const contacts = Array.from({ length: 12 }, (_, i) => ({
+        name: `Guest ${i + 1}`,
+        mobile: `+23480312345${String(i).padStart(2, '0')}`,
+        email: i % 2 === 0 ? `guest${i + 1}@example.com` : ''
+    }));
+    contacts[0].name = '<script>alert(1)</script>';
+
+    const csvFile = {
+        content: 'name,mobile,email,passes\n...',
+        filename: 'contacts_mailchimp_123.csv',
+        contactCount: contacts.length,
+        contacts,
+        profile: 'mailchimp'
+    };
+    const reportFile = { content: 'source,reason,line', filename: 'skipped_lines_1.csv' };
+    const token = '0123456789abcdef.tn5q12.F-vYYCLsbnMblIB4kzJMK4';
+
+    // Formats
+    check('Files without a type are CSV', getFileFormat(reportFile) === 'csv');
+    check('vCard and Excel files are recognised', getFileFormat({ mimeType: 'text/vcard' }) === 'vcf' &&
+        getFileFormat({ mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }) === 'xlsx');
+    check('Exports with their contacts offer every format', getAvailableFormats(csvFile).join(',') === 'csv,vcf,xlsx,phone');
+    check('Other files only offer their own format', getAvailableFormats(reportFile).join(',') === 'csv');
+
+    // Conversion
+    const own = convertDownloadFile(csvFile, 'csv');
+    check('The own format is served as stored', own.content === csvFile.content && own.filename === 'contacts_mailchimp_123.csv' && !own.inline);
+
+    const vcf = convertDownloadFile(csvFile, 'vcf');
+    check('CSV exports convert to vCard', vcf.mimeType === 'text/vcard' && vcf.filename === 'contacts_mailchimp_123.vcf' &&
+        (vcf.content.match(/BEGIN:VCARD/g) || []).length === contacts.length);
+
+    const phone = convertDownloadFile(csvFile, 'phone');
+    check('"Add to my phone" is a vCard shown inline', phone.inline && phone.mimeType === 'text/vcard' && phone.content === vcf.content);
+
+    const xlsx = convertDownloadFile(csvFile, 'xlsx');
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(Buffer.from(xlsx.content, 'base64'), { type: 'buffer' }).Sheets.Contacts, { header: 1 });
+    check('Excel conversion keeps the export profile and its required field', xlsx.encoding === 'base64' &&
+        rows.length === 1 + contacts.filter(contact => contact.email).length);
+
+    const vcfFile = { content: 'BEGIN:VCARD...', filename: 'contacts_1.vcf', mimeType: 'text/vcard', contacts, vcardVersion: '4.0' };
+    check('vCard exports convert to CSV with the default profile', convertDownloadFile(vcfFile, 'csv').content.startsWith('name,mobile,email,passes'));
+    check('vCard exports are served as stored for "Add to my phone"', convertDownloadFile(vcfFile, 'phone').content === 'BEGIN:VCARD...');
+    check('Unavailable formats are refused', convertDownloadFile(reportFile, 'vcf') === null && convertDownloadFile(csvFile, 'pdf') === null);
+
+    // Page
+    const page = generateDownloadPage({ token, fileData: csvFile, needsPin: false });
+    check('The page shows the contact count', page.includes('12 contacts ready'));
+    check(`The preview shows the first ${PREVIEW_ROWS} rows`, page.includes('Guest 10') && !page.includes('Guest 11') &&
+        page.includes(`first ${PREVIEW_ROWS} of 12`));
+    check('Contact details are escaped', page.includes('&lt;script&gt;') && !page.includes('<script>alert'));
+    check('Every format has a button', ['csv', 'vcf', 'xlsx', 'phone'].every(format => page.includes(`value="${format}"`)) &&
+        page.includes('Add all to my phone'));
+    check('Open links download with plain GET requests', page.includes('method="GET"') && page.includes(`action="/download/${token}"`));
+
+    const locked = generateDownloadPage({ token, fileData: { ...csvFile, pinHash: 'x' }, needsPin: true });
+    check('PIN files hide the preview until the PIN is entered', locked.includes('name="pin"') && !locked.includes('Guest 2') &&
+        !locked.includes('value="csv"') && locked.includes('method="POST"'));
+
+    const unlocked = generateDownloadPage({ token, fileData: { ...csvFile, pinHash: 'x' }, needsPin: true, pin: '123456' });
+    check('Unlocked PIN files show the preview and carry the PIN', unlocked.includes('Guest 2') &&
+        unlocked.includes('type="hidden" name="pin" value="123456"') && unlocked.includes('value="xlsx"'));
+
+    const oneTime = generateDownloadPage({ token, fileData: { ...csvFile, oneTime: true }, needsPin: false });
+    check('One-time files download through POST', oneTime.includes('method="POST"') && oneTime.includes('one download'));
+
+    const report = generateDownloadPage({ token, fileData: reportFile, needsPin: false });
+    check('Files without contacts show their name and one button', report.includes('skipped_lines_1.csv') &&
+        report.includes('value="csv"') && !report.includes('value="vcf"') && !report.includes('<table>'));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 DOWNLOAD PAGE TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
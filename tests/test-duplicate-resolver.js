@@ -0,0 +1,79 @@
+// test-duplicate-resolver.js - Duplicate detection and resolution tests
+const {
+    findDuplicates,
+    namesMatch,
+    mergeContacts,
+    applyResolution,
+    parseResolutionReply
+} = require('../src/duplicate-resolver');
+
+console.log('🧪 DUPLICATE RESOLVER TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+// Fuzzy name matching
+check('Names match ignoring case, titles and order', namesMatch('Mr John Doe', 'doe, john'));
+check('Names match with a middle initial', namesMatch('John Smith', 'John A. Smith'));
+check('Names match with a small typo', namesMatch('Oluwaseun Adeyemi', 'Oluwasegun Adeyemi'));
+check('Different names do not match', !namesMatch('John Doe', 'Jane Dean'));
+check('Non-Latin names match in any order', namesMatch('Ольга Иванова', 'Иванова Ольга') && namesMatch('محمد علي', 'علي محمد') &&
+    namesMatch('李伟 王', '王 李伟'));
+check('Different non-Latin names do not match', !namesMatch('Ольга Иванова', 'Пётр Смирнов') && !namesMatch('李伟', '张伟明'));
+
+const existing = [
+    { name: 'John Doe', mobile: '+2348012345678', email: 'john@example.com', company: '', notes: '' },
+    { name: 'Mary Ann', mobile: '+2348031112222', email: '', company: '', notes: '' }
+];
+
+const incoming = [
+    // Same guest sent again (local format) - dropped silently
+    { name: 'John Doe', mobile: '08012345678', email: '', company: '', notes: '' },
+    // Same phone, new email - asks the user
+    { name: 'Mary Ann', mobile: '+2348031112222', email: 'mary@example.com', company: '', notes: '' },
+    // Same email, different phone - asks the user
+    { name: 'J. Doe', mobile: '+447911123456', email: 'JOHN@example.com', company: '', notes: '' },
+    // Same name, different phone - a different guest
+    { name: 'John Doe', mobile: '+2348099999999', email: '', company: '', notes: '' },
+    // Repeated within the same message
+    { name: 'Ada Obi', mobile: '+2348055555555', email: '', company: '', notes: '' },
+    { name: 'Ada Obi', mobile: '+2348055555555', email: '', company: '', notes: '' }
+];
+
+const result = findDuplicates(existing, incoming);
+check('Exact repeats are skipped without asking', result.exactDuplicates === 2);
+check('Conflicting duplicates are queued as questions', result.conflicts.length === 2);
+check('New guests are added', result.unique.length === 2);
+check('Conflict keeps a reference to the existing contact', result.conflicts[0].existing.name === 'Mary Ann');
+
+// Merge fills gaps and keeps alternate details
+const merged = mergeContacts(existing[0], incoming[2]);
+check('Merge keeps the existing phone', merged.mobile === '+2348012345678');
+check('Merge records the alternate phone in notes', merged.notes.includes('+447911123456'));
+
+// Applying answers
+const kept = applyResolution(existing, result.conflicts[0], 'keep');
+check('Keep adds the new contact', kept.length === 3);
+
+const mergedBatch = applyResolution(existing, result.conflicts[0], 'merge');
+check('Merge updates the existing contact in place', mergedBatch.length === 2 && mergedBatch[1].email === 'mary@example.com');
+
+const skipped = applyResolution(existing, result.conflicts[0], 'skip');
+check('Skip leaves the batch unchanged', skipped.length === 2 && !skipped[1].email);
+
+// Replies
+const reply = parseResolutionReply('Skip All');
+check('Replies are parsed case-insensitively with "all"', reply && reply.action === 'skip' && reply.all);
+check('Other messages are not treated as replies', parseResolutionReply('keep going') === null);
+
+console.log(`\n🏁 DUPLICATE RESOLVER TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,220 @@
+// test-file-formats.js - Spreadsheet Import Tests
+const XLSX = require('xlsx');
+const { parseContactFile, parseExcel, looksLikeCSV, mapHeaders } = require('../src/csv-excel-parser');
+
+console.log('🧪 FILE FORMAT TEST SUITE\n');
+
+const testCases = [
+    {
+        name: 'Comma CSV with header variants',
+        input: `Full Name,Phone Number,E-mail,Company
+John Doe,08012345678,john@example.com,Acme Events
+Jane Smith,+447911123456,jane@example.co.uk,`,
+        mediaType: 'text/csv',
+        expected: [
+            { name: 'John Doe', mobile: '+2348012345678', email: 'john@example.com', company: 'Acme Events' },
+            { name: 'Jane Smith', mobile: '+447911123456', email: 'jane@example.co.uk', company: '' }
+        ]
+    },
+    {
+        name: 'Semicolon CSV from European Excel',
+        input: `sep=;
+Name;Tel;Mail
+"Doe, John";08012345678;john@example.com`,
+        mediaType: 'text/csv',
+        expected: [
+            { name: 'Doe, John', mobile: '+2348012345678', email: 'john@example.com' }
+        ]
+    },
+    {
+        name: 'Tab separated with first/last name columns',
+        input: `First Name\tLast Name\tMobile\nAlice\tCooper\t07098765432\nBob\tWilson\t08033445566`,
+        mediaType: 'text/tab-separated-values',
+        filename: 'guests.csv',
+        expected: [
+            { name: 'Alice Cooper', mobile: '+2347098765432' },
+            { name: 'Bob Wilson', mobile: '+2348033445566' }
+        ]
+    },
+    {
+        name: 'Headerless CSV inferred from content',
+        input: `Mary Jones,08123456789,mary@example.com
+Peter Pan,07012345678,peter@example.com`,
+        mediaType: 'text/csv',
+        expected: [
+            { name: 'Mary Jones', mobile: '+2348123456789', email: 'mary@example.com' },
+            { name: 'Peter Pan', mobile: '+2347012345678', email: 'peter@example.com' }
+        ]
+    }
+];
+
+// Build a workbook in memory: a cover sheet without contacts plus two guest sheets
+function buildTestWorkbook(bookType) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Guest list for the gala']]), 'Cover');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Guest Name', 'Mobile', 'Email Address'],
+        ['Ann Lee', 2348012345678, 'ann@example.com'],
+        ['Tom Okafor', 8031234567, '']
+    ]), 'Guests');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Name', 'Phone'],
+        ['Zara Bello', '07011112222']
+    ]), 'VIP');
+    return XLSX.write(workbook, { type: 'buffer', bookType });
+}
+
+testCases.push(
+    {
+        name: 'Excel workbook (.xlsx) with every headed sheet',
+        input: buildTestWorkbook('xlsx'),
+        mediaType: 'application/octet-stream',
+        expected: [
+            { name: 'Ann Lee', mobile: '+2348012345678', email: 'ann@example.com' },
+            { name: 'Tom Okafor', mobile: '+2348031234567' },
+            { name: 'Zara Bello', mobile: '+2347011112222' }
+        ]
+    },
+    {
+        name: 'Legacy Excel workbook (.xls)',
+        input: buildTestWorkbook('biff8'),
+        mediaType: 'application/vnd.ms-excel',
+        filename: 'guests.xls',
+        expected: [
+            { name: 'Ann Lee' },
+            { name: 'Tom Okafor' },
+            { name: 'Zara Bello' }
+        ]
+    }
+);
+
+// Build a minimal text PDF - each page is a list of [x, y, text] items
+function buildTestPdf(pages) {
+    const objects = [];
+    const pageIds = [];
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+    
+    let nextId = 4;
+    for (const items of pages) {
+        const stream = items.map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET`).join('\n');
+        const contentId = nextId++;
+        const pageId = nextId++;
+        objects[contentId] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${contentId} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`;
+        pageIds.push(pageId);
+    }
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+const testPdfReport = {};
+testCases.push({
+    name: 'PDF guest list table across two pages',
+    input: buildTestPdf([
+        [
+            [50, 750, 'Wedding Guest List'],
+            [50, 720, 'Name'], [200, 720, 'Phone'], [350, 720, 'Email'],
+            [50, 700, 'John Doe'], [200, 700, '08012345678'], [350, 700, 'john@example.com'],
+            [50, 680, 'Jane Smith'], [200, 680, '+447911123456'],
+            [50, 660, 'Table Reserved'], [200, 660, 'n/a'],
+            [50, 40, 'Page 1 of 2']
+        ],
+        [
+            [50, 700, 'Ola Ade 07031234567']
+        ]
+    ]),
+    mediaType: 'application/octet-stream',
+    report: testPdfReport,
+    expected: [
+        { name: 'John Doe', mobile: '+2348012345678', email: 'john@example.com' },
+        { name: 'Jane Smith', mobile: '+447911123456' },
+        { name: 'Ola Ade', mobile: '+2347031234567' }
+    ]
+});
+
+async function runFormatTest(testCase) {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`📝 TEST: ${testCase.name}`);
+    console.log('='.repeat(60));
+    
+    try {
+        const contacts = await parseContactFile(testCase.input, testCase.mediaType, testCase.filename, { report: testCase.report });
+        console.log(`📊 Found ${contacts.length} contacts (expected: ${testCase.expected.length})`);
+        
+        const mismatches = [];
+        if (contacts.length !== testCase.expected.length) {
+            mismatches.push(`count ${contacts.length} !== ${testCase.expected.length}`);
+        }
+        testCase.expected.forEach((expected, index) => {
+            for (const [field, value] of Object.entries(expected)) {
+                const actual = contacts[index] ? contacts[index][field] : undefined;
+                if (actual !== value) {
+                    mismatches.push(`contact ${index + 1} ${field}: "${actual}" !== "${value}"`);
+                }
+            }
+        });
+        
+        mismatches.forEach(mismatch => console.log(`   ❌ ${mismatch}`));
+        const success = mismatches.length === 0;
+        console.log(`${success ? '✅' : '❌'} Test ${success ? 'PASSED' : 'FAILED'}`);
+        return { success };
+        
+    } catch (error) {
+        console.error(`❌ Test FAILED with error: ${error.message}`);
+        return { success: false, error };
+    }
+}
+
+function runDetectionTests() {
+    const checks = [
+        { name: 'Detects semicolon CSV', actual: looksLikeCSV('Name;Phone\nJohn;0801\nJane;0802\n'), expected: true },
+        { name: 'Ignores plain text contacts', actual: looksLikeCSV('John Doe, +2348123456789\nJane Smith: 08012345678'), expected: false },
+        { name: 'Maps "E-mail" header', actual: mapHeaders(['E-mail']).email, expected: 0 },
+        { name: 'Maps "Guest Phone (WhatsApp)" header', actual: mapHeaders(['Guest', 'Guest Phone (WhatsApp)']).mobile, expected: 1 },
+        { name: 'Excel "first" sheet mode', actual: parseExcel(buildTestWorkbook('xlsx'), { sheet: 'first' }).length, expected: 2 },
+        { name: 'Excel named sheet mode', actual: parseExcel(buildTestWorkbook('xlsx'), { sheet: 'vip' }).length, expected: 1 },
+        { name: 'PDF report counts pages', actual: testPdfReport.pages, expected: 2 },
+        { name: 'PDF report counts skipped rows', actual: testPdfReport.skippedRows, expected: 1 }
+    ];
+    
+    return checks.map(check => {
+        const success = check.actual === check.expected;
+        console.log(`${success ? '✅' : '❌'} ${check.name}`);
+        return { success };
+    });
+}
+
+async function runAllTests() {
+    const results = [];
+    for (const testCase of testCases) {
+        results.push(await runFormatTest(testCase));
+    }
+    
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('🔍 FORMAT DETECTION');
+    console.log('='.repeat(60));
+    results.push(...runDetectionTests());
+    
+    const passed = results.filter(r => r.success).length;
+    console.log(`\n🏁 FILE FORMAT TESTS COMPLETE: ${passed}/${results.length} passed`);
+    
+    if (passed !== results.length) {
+        process.exitCode = 1;
+    }
+}
+
+runAllTests();
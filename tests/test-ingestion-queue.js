@@ -0,0 +1,104 @@
+// test-ingestion-queue.js - Per-user batch queue and coalesced acknowledgement tests
+const {
+    resolveDebounceWindow,
+    runExclusive,
+    settleAcknowledgement,
+    generateAcknowledgement
+} = require('../src/ingestion-queue');
+const store = require('../src/session-store');
+
+console.log('🧪 INGESTION QUEUE TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+    // Window
+    check('Debounce window falls back to its default', resolveDebounceWindow(undefined, 2000) === 2000 && resolveDebounceWindow('soon', 4000) === 4000);
+    check('Debounce window stays inside the webhook timeout', resolveDebounceWindow('60000', 2000) === 10000 && resolveDebounceWindow('0', 2000) === 0);
+
+    // Serialised batch updates - the read-modify-write race this queue exists for
+    const phone = '+15550008888';
+    await Promise.all([1, 2, 3, 4, 5].map(n => runExclusive(store, phone, async () => {
+        const contacts = await store.getContacts(phone);
+        await wait(10);
+        await store.saveContacts(phone, contacts.concat({ name: `Guest ${n}` }), `adding guest ${n}`);
+    })));
+    check('Concurrent updates to one batch all land', (await store.getContacts(phone)).length === 5);
+
+    const order = [];
+    await Promise.all([
+        runExclusive(store, phone, async () => { await wait(30); order.push('first'); }),
+        runExclusive(store, phone, async () => { order.push('second'); })
+    ]);
+    check('Updates run in the order they arrived', order.join(',') === 'first,second');
+
+    const others = [];
+    await Promise.all([
+        runExclusive(store, phone, async () => { await wait(30); others.push('slow'); }),
+        runExclusive(store, '+15550007777', async () => { others.push('other user'); })
+    ]);
+    check('Other users are not held up', others.join(',') === 'other user,slow');
+
+    let failed = false;
+    await runExclusive(store, phone, async () => { throw new Error('boom'); }).catch(() => { failed = true; });
+    const after = await runExclusive(store, phone, async () => 'still running');
+    check('A failed update does not block the queue', failed && after === 'still running');
+
+    // A lock store that throws (e.g. Redis dropping) must not leave the user's queue stuck
+    const brokenLocks = { acquireLock: async () => { throw new Error('connection lost'); }, releaseLock: async () => {} };
+    let lockFailed = false;
+    await runExclusive(brokenLocks, phone, async () => 'never runs').catch(() => { lockFailed = true; });
+    const recovered = await Promise.race([runExclusive(store, phone, async () => 'recovered'), wait(1000).then(() => 'stuck')]);
+    check('A failing batch lock does not block the queue', lockFailed && recovered === 'recovered');
+
+    // Coalesced acknowledgements - only the last message of a burst replies, with everything gathered
+    await store.addInFlight(phone, 3);
+    const replies = await Promise.all([
+        settleAcknowledgement(store, phone, { messages: 1, files: 1, contacts: 10, added: 9, skipped: 1 }, ['📄 PDF file 1: 2 pages scanned'], 50),
+        settleAcknowledgement(store, phone, { messages: 1, texts: 1, contacts: 2, added: 2 }, [], 50),
+        settleAcknowledgement(store, phone, { messages: 1, files: 1, failed: 1 }, ['⚠️ 1 line skipped'], 50)
+    ]);
+    await store.addInFlight(phone, -3);
+    check('Only the last message of a burst replies', replies[0] === null && replies[1] === null && replies[2] !== null);
+    check('The reply counts the whole burst', replies[2].messages === 3 && replies[2].files === 2 && replies[2].texts === 1 &&
+        replies[2].contacts === 12 && replies[2].added === 11 && replies[2].skipped === 1 && replies[2].failed === 1);
+    check('Notices from every message are kept', replies[2].notices.length === 2 && replies[2].notices[1] === '⚠️ 1 line skipped');
+    check('Pending acknowledgements are cleared after replying', !(await store.getAcknowledgement(phone)));
+
+    const single = await settleAcknowledgement(store, phone, { messages: 1, texts: 1, contacts: 1, added: 1 }, [], 0);
+    check('A window of 0 replies straight away', single && single.messages === 1 && single.seq === 1);
+
+    await store.addInFlight(phone, 1);
+    let started = Date.now();
+    const lone = await settleAcknowledgement(store, phone, { messages: 1, files: 1, contacts: 3, added: 3 }, [], 1000);
+    check('A message on its own replies without waiting for the window', lone && lone.files === 1 && Date.now() - started < 500);
+
+    await store.addInFlight(phone, 1);   // a second upload still being read
+    started = Date.now();
+    const overlapping = await settleAcknowledgement(store, phone, { messages: 1, files: 1, contacts: 2, added: 2 }, [], 100);
+    check('A message waits while another is in flight', overlapping && Date.now() - started >= 100);
+    await store.addInFlight(phone, -2);
+
+    // Summary
+    const summary = generateAcknowledgement(replies[2]);
+    check('Summary lists what was received', summary.includes('3 messages received') && summary.includes('2 files') && summary.includes('1 text message'));
+    check('Summary gives the batch outcome', summary.includes('11 of 12 contacts added') && summary.includes('1 already in your list') &&
+        summary.includes("1 file couldn't be read"));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 INGESTION QUEUE TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
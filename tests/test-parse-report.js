@@ -0,0 +1,74 @@
+// test-parse-report.js - Confidence scoring and skipped-lines report tests
+const { parseContactFile, parseTextContacts } = require('../src/csv-excel-parser');
+const { buildReportEntries, findLowConfidence, generateUnparsedMessage, generateReportCSV } = require('../src/parse-report');
+
+console.log('🧪 PARSE REPORT TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+async function runTests() {
+    // Confidence and method per contact
+    const namePhone = parseTextContacts('John Doe +2348123456789\nJane Roe +2348098765432');
+    check('Text contacts carry the method that found them', namePhone.every(contact => contact.method === 'name-phone'));
+    check('"Name +phone" lines score high', namePhone.every(contact => contact.confidence >= 0.8));
+
+    const labelled = parseTextContacts('Name: Ada Obi\nPhone: 08031234567\nEmail: ada@example.com');
+    check('Labelled blocks score high', labelled[0].method === 'labelled-block' && labelled[0].confidence >= 0.9);
+
+    const placeholders = parseTextContacts('random words\n08031234567\nsome@example.com');
+    check('Placeholder names are low confidence', placeholders.length > 0 && placeholders.every(contact => contact.confidence < 0.5));
+
+    const headed = parseTextContacts('Guest list for Saturday\nJohn Doe +2348123456789');
+    check('Headings are not read into the next name', headed.length === 1 && headed[0].name === 'John Doe' && findLowConfidence(headed).length === 0);
+
+    const csv = await parseContactFile('Name,Phone\nAda Obi,08031234567', 'text/csv');
+    check('Spreadsheet rows are scored by format', csv[0].method === 'csv' && csv[0].confidence === 0.95);
+
+    const vcf = await parseContactFile('BEGIN:VCARD\nVERSION:3.0\nFN:Ada Obi\nTEL:+2348031234567\nEND:VCARD', 'text/vcard');
+    check('vCards are full confidence', vcf[0].method === 'vcf' && vcf[0].confidence === 1);
+
+    // Skipped lines
+    const report = {};
+    const contacts = await parseContactFile('Guest list for Saturday\nAda Obi +2348031234567\nTable 4 near stage\n08059998888', 'text/plain', '', { report });
+    check('Lines without contact details are reported', JSON.stringify(report.skippedLines) === JSON.stringify(['Guest list for Saturday', 'Table 4 near stage']));
+    check('Lines a contact came from are not reported', !report.skippedLines.some(line => line.includes('Ada')));
+
+    const entries = buildReportEntries('Message', { ...report, rejected: [{ reason: 'No usable name or phone after cleaning', data: { email: 'x' } }] }, contacts);
+    check('Report entries include skipped, rejected and low-confidence input',
+        entries.filter(entry => entry.reason === 'No contact details recognised').length === 2 &&
+        entries.some(entry => entry.reason.startsWith('No usable')) &&
+        entries.some(entry => entry.reason.startsWith('Low confidence')));
+
+    // Chat notice
+    const lines = ['one line', 'two line', 'three line', 'four line', 'five line', 'six line'];
+    const message = generateUnparsedMessage(lines, [{ number: 12, contact: { name: 'Contact 1', mobile: '+2348031234567' } }]);
+    check('Notice quotes up to 5 lines', message.includes('• five line') && !message.includes('• six line') && message.includes('... and 1 more'));
+    check('Notice numbers uncertain contacts for editing', message.includes('• 12. Contact 1 +2348031234567'));
+    check('Notice points to the report command', message.includes('"report"'));
+    check('No notice when everything was understood', generateUnparsedMessage([], []) === '');
+    check('Notice stays short', generateUnparsedMessage(lines.map(line => line.repeat(40)), []).length < 800);
+
+    // Report file
+    const reportCsv = generateReportCSV([
+        { source: 'Message', reason: 'No contact details recognised', line: '=HYPERLINK("http://evil")' },
+        { source: 'File 1 (guests.pdf)', reason: 'No contact details recognised', line: 'Table 4, near stage' }
+    ]).split('\n');
+    check('Report file has a header row', reportCsv[0] === 'source,reason,line');
+    check('Report file neutralises formulas', reportCsv[1] === 'Message,No contact details recognised,"\'=HYPERLINK(""http://evil"")"');
+    check('Report file quotes commas', reportCsv[2].endsWith('"Table 4, near stage"'));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 PARSE REPORT TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
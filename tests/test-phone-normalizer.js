@@ -0,0 +1,59 @@
+// test-phone-normalizer.js - Country-aware phone normalisation tests
+const { normalizePhone, resolveRegion } = require('../src/phone-normalizer');
+
+console.log('🧪 PHONE NORMALISATION TEST SUITE\n');
+
+const testCases = [
+    // Nigeria (deployment default)
+    { input: '08012345678', region: 'NG', expected: '+2348012345678' },
+    { input: '8012345678', region: 'NG', expected: '+2348012345678' },
+    { input: '2348012345678', region: 'NG', expected: '+2348012345678' },
+    { input: '+234 0803 123 4567', region: 'NG', expected: '+2348031234567' },
+    // Ghana
+    { input: '024 123 4567', region: 'GH', expected: '+233241234567' },
+    { input: '0501234567', region: 'GH', expected: '+233501234567' },
+    // Kenya
+    { input: '0712 345 678', region: 'KE', expected: '+254712345678' },
+    // United Kingdom (UK alias)
+    { input: '07911 123456', region: 'GB', expected: '+447911123456' },
+    { input: '07911 123456', region: 'UK', expected: '+447911123456' },
+    { input: '020 7946 0958', region: 'GB', expected: '+442079460958' },
+    // International numbers keep their country whatever the region
+    { input: '+44 (0)7911 123456', region: 'NG', expected: '+447911123456' },
+    { input: '0044 7911 123456', region: 'KE', expected: '+447911123456' },
+    { input: '233241234567', region: 'NG', expected: '+233241234567' },
+    { input: '+1 (415) 555-2345', region: 'GH', expected: '+14155552345' },
+    // Invalid input
+    { input: '12345', region: 'NG', expected: '' },
+    { input: '0241234567', region: 'NG', expected: '' },
+    { input: '', region: 'NG', expected: '' }
+];
+
+let passed = 0;
+
+testCases.forEach(({ input, region, expected }) => {
+    const actual = normalizePhone(input, region);
+    const success = actual === expected;
+    if (success) passed++;
+    console.log(`${success ? '✅' : '❌'} [${region}] "${input}" → "${actual}"${success ? '' : ` (expected "${expected}")`}`);
+});
+
+const regionChecks = [
+    { input: 'gh', expected: 'GH' },
+    { input: 'UK', expected: 'GB' },
+    { input: 'XX', expected: null }
+];
+
+regionChecks.forEach(({ input, expected }) => {
+    const actual = resolveRegion(input);
+    const success = actual === expected;
+    if (success) passed++;
+    console.log(`${success ? '✅' : '❌'} resolveRegion("${input}") → ${actual}`);
+});
+
+const total = testCases.length + regionChecks.length;
+console.log(`\n🏁 PHONE NORMALISATION TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}
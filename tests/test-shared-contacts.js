@@ -0,0 +1,38 @@
+// test-shared-contacts.js - Contacts shared from the WhatsApp picker tests
+const { isSharedContactMessage, generateSharedContactsSummary } = require('../src/shared-contacts');
+
+console.log('🧪 SHARED CONTACTS TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+async function runTests() {
+    // Detection
+    check('Picker messages carry only vCards', isSharedContactMessage({ NumMedia: '1', MediaContentType0: 'text/vcard', Body: '' }));
+    check('Several cards in one message are shared contacts', isSharedContactMessage({
+        NumMedia: '2', MediaContentType0: 'text/x-vcard', MediaContentType1: 'text/vcard'
+    }));
+    check('Files with other types are not', !isSharedContactMessage({ NumMedia: '2', MediaContentType0: 'text/vcard', MediaContentType1: 'text/csv' }));
+    check('Cards sent with a caption are not', !isSharedContactMessage({ NumMedia: '1', MediaContentType0: 'text/vcard', Body: 'my team' }));
+    check('Text messages are not', !isSharedContactMessage({ NumMedia: '0', Body: 'John 08031234567' }));
+
+    // Summary
+    const summary = generateSharedContactsSummary({ cards: 40, added: 38, skipped: 2, failed: 0 });
+    check('Summary gives counts for the burst', summary.includes('40 shared contacts') && summary.includes('38 added') &&
+        summary.includes('2 already in your list') && !summary.includes("couldn't be read"));
+    check('Single contacts read naturally', generateSharedContactsSummary({ cards: 1, added: 1, skipped: 0, failed: 0 }).includes('1 shared contact received'));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 SHARED CONTACTS TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
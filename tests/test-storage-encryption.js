@@ -0,0 +1,93 @@
+// test-storage-encryption.js - Encryption at rest and key rotation tests
+const crypto = require('crypto');
+const { Storage } = require('../src/storage');
+const { MemoryBackend } = require('../src/storage-memory');
+const { EnvelopeCipher, parseKeys, isEncrypted, createCipher } = require('../src/storage-encryption');
+
+console.log('🧪 STORAGE ENCRYPTION TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+function throws(fn) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+const oldKey = crypto.randomBytes(32).toString('base64');
+const newKey = crypto.randomBytes(32).toString('base64');
+const guests = [{ name: 'Ada Obi', mobile: '+2348031234567', email: 'ada@example.com' }];
+
+async function runTests() {
+    // Key configuration
+    check('Keys are read with their ids, current key first', parseKeys(`2025b:${newKey}, 2025a:${oldKey}`).map(key => key.id).join(',') === '2025b,2025a');
+    check('Encryption is off without keys', createCipher({}) === null);
+    check('Short keys are rejected', throws(() => parseKeys('k1:c2hvcnQ=')));
+    check('Entries without an id are rejected', throws(() => parseKeys(newKey)));
+
+    // Values at rest
+    const backend = new MemoryBackend();
+    const storage = new Storage(backend, { cipher: new EnvelopeCipher(parseKeys(`2025a:${oldKey}`)) });
+    await storage.set('contacts:+1', guests, 60);
+    const raw = await backend.get('contacts:+1');
+    check('Stored values are encrypted', isEncrypted(raw) && !raw.includes('Ada') && !raw.includes('2348031234567'));
+    check('Values are decrypted on read', JSON.stringify(await storage.get('contacts:+1')) === JSON.stringify(guests));
+
+    await storage.set('contacts:+2', guests, 60);
+    check('Every write uses a fresh data key', (await backend.get('contacts:+2')).split(':')[3] !== raw.split(':')[3]);
+
+    await storage.push('ack:+1:notices', ['⚠️ Skipped: Ada 0803'], 60);
+    const rawNotices = await backend.getList('ack:+1:notices');
+    check('List entries are encrypted too', isEncrypted(rawNotices[0]) && (await storage.getList('ack:+1:notices'))[0] === '⚠️ Skipped: Ada 0803');
+
+    const chunked = new Storage(new MemoryBackend(), { chunkThreshold: 100, cipher: new EnvelopeCipher(parseKeys(`2025a:${oldKey}`)) });
+    await chunked.set('file:abc', { content: 'name,mobile\n'.repeat(40) }, 60);
+    check('Large encrypted values are chunked and read back', (await chunked.get('file:abc')).content.length === 480);
+
+    // Tampering
+    await backend.set('contacts:+3', raw, 60);
+    check('Values moved to another key are not decrypted', (await storage.get('contacts:+3')) === null);
+
+    const parts = raw.split(':');
+    const payload = Buffer.from(parts[4], 'base64');
+    payload[payload.length - 1] ^= 1;
+    parts[4] = payload.toString('base64');
+    await backend.set('contacts:+1', parts.join(':'), 60);
+    check('Altered values are treated as missing', (await storage.get('contacts:+1')) === null);
+
+    // Rotation
+    await backend.set('contacts:+1', raw, 60);
+    const rotated = new Storage(backend, { cipher: new EnvelopeCipher(parseKeys(`2025b:${newKey},2025a:${oldKey}`)) });
+    check('Old keys still decrypt after rotation', (await rotated.get('contacts:+1'))[0].name === 'Ada Obi');
+
+    await rotated.set('contacts:+1', guests, 60);
+    check('New writes use the current key', (await backend.get('contacts:+1')).startsWith('@enc:1:2025b:'));
+
+    const retired = new Storage(backend, { cipher: new EnvelopeCipher(parseKeys(`2025b:${newKey}`)) });
+    check('Values under a removed key are treated as missing', (await retired.get('contacts:+2')) === null &&
+        (await retired.get('contacts:+1'))[0].name === 'Ada Obi');
+
+    // Switching encryption on
+    const plain = new MemoryBackend();
+    await new Storage(plain).set('prefs:+1', { region: 'GH' }, 60);
+    const switchedOn = new Storage(plain, { cipher: new EnvelopeCipher(parseKeys(`2025b:${newKey}`)) });
+    check('Values stored before encryption are still read', (await switchedOn.get('prefs:+1')).region === 'GH');
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 STORAGE ENCRYPTION TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
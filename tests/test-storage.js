@@ -0,0 +1,157 @@
+// test-storage.js - Storage abstraction and backend tests
+const { Storage, createBackend, storage: sharedStorage } = require('../src/storage');
+const store = require('../src/session-store');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryBackend } = require('../src/storage-memory');
+const { FilesystemBackend } = require('../src/storage-filesystem');
+
+console.log('🧪 STORAGE TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Backend whose every operation fails, like Redis after a dropped connection
+class FailingBackend {
+    constructor() {
+        this.name = 'broken';
+        ['get', 'set', 'setIfAbsent', 'deleteIfEquals', 'del', 'keys', 'increment', 'getCounts', 'push', 'getList', 'sweep']
+            .forEach(method => { this[method] = async () => { throw new Error('connection lost'); }; });
+    }
+    async close() {}
+}
+
+// Memory backend that refuses a plain GET on counters and lists, as Redis does (WRONGTYPE)
+class TypedBackend extends MemoryBackend {
+    constructor() {
+        super();
+        this.name = 'typed';
+        this.structured = new Set();
+    }
+    async get(key) {
+        if (this.structured.has(key)) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        return super.get(key);
+    }
+    async increment(key, counts, ttlSec) {
+        this.structured.add(key);
+        return super.increment(key, counts, ttlSec);
+    }
+    async push(key, values, ttlSec) {
+        this.structured.add(key);
+        return super.push(key, values, ttlSec);
+    }
+}
+
+async function runTests() {
+    // Values and TTLs
+    const storage = new Storage(new MemoryBackend());
+    await storage.set('contacts:+1', [{ name: 'Ada Obi' }], 60);
+    const stored = await storage.get('contacts:+1');
+    check('Values round-trip as JSON', stored.length === 1 && stored[0].name === 'Ada Obi');
+
+    stored.push({ name: 'Not saved' });
+    check('Stored values are copies', (await storage.get('contacts:+1')).length === 1);
+
+    await storage.set('split:+1', { part: 1 }, 0.05);
+    await storage.set('dup:+1', { conflicts: [] }, 0.05);
+    await wait(80);
+    check('Expired values are not returned', (await storage.get('split:+1')) === null);
+    check('Sweeping removes expired entries', (await storage.sweep()) === 1 && storage.backend.entries.size === 1);
+
+    await storage.del('contacts:+1');
+    check('Deleted values are gone', (await storage.get('contacts:+1')) === null);
+
+    // Chunking
+    const chunked = new Storage(new MemoryBackend(), { chunkThreshold: 100 });
+    const guests = Array.from({ length: 20 }, (_, i) => ({ name: `Guest ${i}`, mobile: `+23480312345${String(i).padStart(2, '0')}` }));
+    await chunked.set('file:abc', guests, 60);
+    const chunkKeys = [...chunked.backend.entries.keys()].filter(key => key.startsWith('file:abc:chunk:'));
+    check('Large values are split into chunks', chunkKeys.length > 1);
+    check('Chunked values are put back together', JSON.stringify(await chunked.get('file:abc')) === JSON.stringify(guests));
+    check('Listing keys leaves chunks out', JSON.stringify(await chunked.keys('file:')) === JSON.stringify(['file:abc']));
+
+    await chunked.set('file:abc', { small: true }, 60);
+    check('A smaller value replaces a chunked one', (await chunked.get('file:abc')).small === true);
+    await chunked.set('file:abc', guests, 60);
+    await chunked.del('file:abc');
+    check('Deleting a chunked value removes its chunks', chunked.backend.entries.size === 0);
+
+    // Atomic helpers
+    check('setIfAbsent only takes a free key', (await storage.setIfAbsent('lock:a', 'one', 60)) && !(await storage.setIfAbsent('lock:a', 'two', 60)));
+    await storage.deleteIfEquals('lock:a', 'two');
+    check('deleteIfEquals leaves other holders alone', !(await storage.setIfAbsent('lock:a', 'three', 60)));
+    await storage.deleteIfEquals('lock:a', 'one');
+    check('deleteIfEquals releases its own value', await storage.setIfAbsent('lock:a', 'three', 60));
+
+    await Promise.all([1, 2, 3].map(() => storage.increment('ack:+1', { seq: 1, added: 2 }, 60)));
+    const counts = await storage.getCounts('ack:+1');
+    check('Concurrent increments all count', counts.seq === 3 && counts.added === 6);
+
+    await storage.push('ack:+1:notices', ['first'], 60);
+    await storage.push('ack:+1:notices', ['second', 'third'], 60);
+    check('Lists keep everything pushed in order', (await storage.getList('ack:+1:notices')).join(',') === 'first,second,third');
+
+    const typed = new Storage(new TypedBackend());
+    await typed.increment('ack:+1', { seq: 1 }, 60);
+    await typed.push('ack:+1:notices', ['first'], 60);
+    await typed.delMany(['ack:+1', 'ack:+1:notices']);
+    check('Counters and lists are deleted without a GET (no fallback on Redis)', typed.name === 'typed' &&
+        (await typed.getCounts('ack:+1')) === null && (await typed.getList('ack:+1:notices')).length === 0);
+
+    sharedStorage.backend = new TypedBackend();
+    await store.addAcknowledgement('+1', { files: 1 }, ['Saved 3 contacts']);
+    await store.clearAcknowledgement('+1');
+    check('Clearing an acknowledgement keeps the shared backend', sharedStorage.name === 'typed' &&
+        (await store.getAcknowledgement('+1')) === null);
+
+    // Filesystem backend - survives a restart
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-storage-'));
+    const onDisk = new Storage(new FilesystemBackend(directory));
+    await onDisk.set('contacts:+1', [{ name: 'Ada Obi' }], 60);
+    await onDisk.set('prefs:+1', { region: 'GH' }, 60);
+    await onDisk.set('split:+1', { part: 1 }, 0.05);
+    await onDisk.increment('ack:+1', { seq: 1 }, 60);
+    await onDisk.del('prefs:+1');
+
+    const restarted = new Storage(new FilesystemBackend(directory));
+    check('Filesystem values survive a restart', (await restarted.get('contacts:+1'))[0].name === 'Ada Obi' &&
+        (await restarted.getCounts('ack:+1')).seq === 1);
+    check('Deletes survive a restart', (await restarted.get('prefs:+1')) === null);
+
+    await wait(80);
+    await restarted.sweep();
+    const logFile = path.join(directory, 'storage.jsonl');
+    const logLines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+    check('Sweeping compacts the file to live entries', logLines.length === 2 && !logLines.some(line => line.includes('split:')));
+
+    fs.appendFileSync(logFile, '{"key":"contacts:+2","val');
+    check('A line cut short by a crash is skipped', (await new Storage(new FilesystemBackend(directory)).get('contacts:+1')).length === 1);
+    check('Filesystem backend is selected by STORAGE_BACKEND', createBackend({ STORAGE_BACKEND: 'filesystem', STORAGE_DIR: directory }).name === 'filesystem');
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    // Errors and backend selection
+    const recovering = new Storage(new FailingBackend());
+    await recovering.set('prefs:+1', { region: 'GH' }, 60);
+    check('A failing backend falls back to memory', recovering.name === 'memory' && (await recovering.get('prefs:+1')).region === 'GH');
+
+    check('Memory is the default without Redis', createBackend({}).name === 'memory');
+    check('Unknown backends fall back to memory', createBackend({ STORAGE_BACKEND: 'floppy' }).name === 'memory' &&
+        createBackend({ STORAGE_BACKEND: 'redis' }).name === 'memory');
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 STORAGE TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,112 @@
+// test-text-strategies.js - Text strategy registry and per-line selection tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTextContacts, parseContactFile } = require('../src/csv-excel-parser');
+const { registerTextStrategy, getTextStrategies, loadStrategyModules } = require('../src/text-strategies');
+
+console.log('🧪 TEXT STRATEGIES TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+async function runTests() {
+    // Built-in strategies
+    check('Built-in strategies are registered in order',
+        getTextStrategies().map(strategy => strategy.name).join(',') === 'labelled-block,name-phone,phone-name,line,pattern-scan,pattern-match');
+
+    const mixed = parseTextContacts('Ada Obi: 08031234567\n08059998888 - Bola Ade\nChi Eze +447911123456');
+    check('Mixed formats keep every contact', mixed.length === 3 &&
+        mixed.map(contact => contact.name).join(',') === 'Ada Obi,Bola Ade,Chi Eze');
+    check('Each line uses the strategy that read it best', mixed[0].method === 'name-phone' && mixed[1].method === 'phone-name');
+
+    const paired = parseTextContacts('Ada Obi +2348031234567 Bola Ade +2348059998888');
+    check('Several pairs on one line are split', paired.length === 2 && paired[1].name === 'Bola Ade');
+
+    const withEmail = parseTextContacts('John Doe +2348123456789 john@example.com');
+    check('Emails stay with a single-contact line', withEmail[0].method === 'name-phone' && withEmail[0].email === 'john@example.com');
+
+    const blocks = parseTextContacts('Name: Ada Obi\nPhone: 08031234567\n\nName: Bola Ade\nEmail: bola@example.com\n08059998888 - Chi Eze');
+    check('Labelled blocks are read as one contact', blocks.length === 3 && blocks[0].method === 'labelled-block' &&
+        blocks[0].mobile === '+2348031234567' && blocks[1].email === 'bola@example.com');
+    check('Lines after a block are still read', blocks[2].name === 'Chi Eze');
+
+    const unnamed = parseTextContacts('Phone: 08031234567\nEmail: ada@example.com', { region: 'NG' });
+    check('A block without a name is still one contact', unnamed.length === 1 && unnamed[0].method === 'labelled-block' &&
+        unnamed[0].name === '' && unnamed[0].mobile === '+2348031234567' && unnamed[0].email === 'ada@example.com');
+
+    const ticket = parseTextContacts('Ticket #123 | Jane | 08031234567', { region: 'NG' });
+    check('Label words are not taken as names', ticket.length === 1 && ticket[0].name === 'Jane');
+
+    // Long input - parsing is synchronous, so it must not stall on pasted blobs
+    const blobReport = {};
+    let started = Date.now();
+    const fromBlob = parseTextContacts(`${'Hello there my friend '.repeat(2200)}\nAda Obi 08031234567`, { region: 'NG', report: blobReport });
+    check('Over-long lines are skipped quickly and reported', Date.now() - started < 1000 && fromBlob.length === 1 &&
+        blobReport.skippedLines.length === 1 && blobReport.skippedLines[0].startsWith('Hello there'));
+
+    started = Date.now();
+    parseTextContacts(Array.from({ length: 2000 }, () => 'Hello there my friend '.repeat(22)).join('\n'));
+    check('Long lines without numbers are read in linear time', Date.now() - started < 600);
+
+    // Custom strategies
+    registerTextStrategy({
+        name: 'ticket',
+        confidence: 0.95,
+        parseLine(line, context) {
+            const match = line.match(/^Ticket #(\d+)\s*\|\s*([^|]+?)\s*\|\s*(.+)$/i);
+            return match ? { name: match[2], mobile: context.cleanPhone(match[3]), notes: `Ticket ${match[1]}` } : null;
+        }
+    });
+    const tickets = parseTextContacts('Ticket #123 | Ada Obi | 08031234567\nTicket #124 | Bola Ade | +2348059998888\nChi Eze 08061234567', { region: 'NG' });
+    check('Custom strategies read their own lines', tickets.length === 3 && tickets[0].method === 'ticket' &&
+        tickets[0].name === 'Ada Obi' && tickets[0].notes === 'Ticket 123' && tickets[0].passes === 1);
+    check('Custom strategies are scored like built-ins', tickets[1].confidence === 0.95);
+    check('Other lines are unaffected', tickets[2].method === 'name-phone');
+
+    let duplicateRejected = false;
+    try {
+        registerTextStrategy({ name: 'ticket', confidence: 0.5, parseLine: () => null });
+    } catch (error) {
+        duplicateRejected = true;
+    }
+    let malformedRejected = false;
+    try {
+        registerTextStrategy({ name: 'broken', confidence: 2 });
+    } catch (error) {
+        malformedRejected = true;
+    }
+    check('Duplicate and malformed strategies are rejected', duplicateRejected && malformedRejected);
+
+    const modulePath = path.join(os.tmpdir(), `text-strategy-${process.pid}.js`);
+    fs.writeFileSync(modulePath, "module.exports = [{ name: 'guest-code', confidence: 0.9, parseLine: () => null }];");
+    loadStrategyModules(`${modulePath}, ./missing-strategy.js`);
+    fs.unlinkSync(modulePath);
+    check('Strategy modules are loaded and missing ones skipped', getTextStrategies().some(strategy => strategy.name === 'guest-code'));
+
+    registerTextStrategy({
+        name: 'faulty',
+        confidence: 0.9,
+        parseLine() {
+            throw new Error('boom');
+        }
+    });
+    const report = {};
+    const survived = await parseContactFile('Ada Obi 08031234567\nsee you soon', 'text/plain', '', { report });
+    check('A failing strategy does not stop parsing', survived.length === 1 && survived[0].name === 'Ada Obi');
+    check('Unread lines are reported', JSON.stringify(report.skippedLines) === JSON.stringify(['see you soon']));
+}
+
+runTests().then(() => {
+    console.log(`\n🏁 TEXT STRATEGIES TESTS COMPLETE: ${passed}/${total} passed`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+});
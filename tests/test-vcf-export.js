@@ -0,0 +1,52 @@
+// test-vcf-export.js - vCard export tests (generated files must parse back)
+const { generateVCF, resolveVCardVersion } = require('../src/vcf-generator');
+const { parseVCF } = require('../src/vcf-parser');
+
+console.log('🧪 VCF EXPORT TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const contacts = [
+    { name: 'Mrs Ada Obi', mobile: '+2348012345678', email: 'ada@example.com', company: 'Acme; Events, Ltd', notes: 'Table 4\nVegetarian' },
+    { name: '', mobile: '+447911123456', email: '', company: '', notes: '' },
+    { name: 'Chidinma Oluwaseun', mobile: '+2348031112222', email: '', company: '', notes: 'Arriving with the Lagos delegation - seat near the stage, needs wheelchair access' }
+];
+
+// vCard 3.0
+const vcf3 = generateVCF(contacts);
+const cards3 = vcf3.split('BEGIN:VCARD').length - 1;
+check('Writes one card per contact', cards3 === 3);
+check('Defaults to vCard 3.0', vcf3.includes('VERSION:3.0') && !vcf3.includes('VERSION:4.0'));
+check('Uses CRLF line endings', vcf3.includes('\r\n') && !/[^\r]\n/.test(vcf3));
+check('Splits the name into N components', vcf3.includes('N:Obi;Ada;;Mrs;'));
+check('Escapes commas, semicolons and newlines', vcf3.includes('ORG:Acme\\; Events\\, Ltd') && vcf3.includes('NOTE:Table 4\\nVegetarian'));
+check('Falls back to the phone number for unnamed contacts', vcf3.includes('FN:+447911123456'));
+check('Folds lines longer than 75 octets', vcf3.split('\r\n').every(line => Buffer.byteLength(line) <= 75) && vcf3.includes('\r\n '));
+
+// Round trip through our own parser
+const parsed = parseVCF(vcf3);
+check('Generated file parses back', parsed.length === 3);
+check('Round trip keeps names and numbers', parsed[2].name === 'Chidinma Oluwaseun' && parsed[0].mobile === '+2348012345678');
+check('Round trip keeps emails', parsed[0].email === 'ada@example.com');
+
+// vCard 4.0
+const vcf4 = generateVCF(contacts, { version: '4.0' });
+check('vCard 4.0 writes tel: URIs', vcf4.includes('VERSION:4.0') && vcf4.includes('TEL;TYPE=cell;VALUE=uri:tel:+2348012345678'));
+
+// Export command arguments
+check('"vcf" and "vcard" export vCard 3.0', resolveVCardVersion('vcf') === '3.0' && resolveVCardVersion('VCARD') === '3.0');
+check('"vcf4" exports vCard 4.0', resolveVCardVersion('vcf4') === '4.0');
+check('CSV profiles are not vCard exports', resolveVCardVersion('google') === null);
+
+console.log(`\n🏁 VCF EXPORT TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,123 @@
+// test-vcf-parser.js - vCard import tests (2.1 / 3.0 / 4.0, encodings, multi-value fields)
+const { parseVCF } = require('../src/vcf-parser');
+const { generateVCF } = require('../src/vcf-generator');
+
+console.log('🧪 VCF PARSER TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+// Folded lines (continuation starts with a space or tab)
+const folded = parseVCF([
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Oluwaseun Adebayo-',
+    ' Williams',
+    'TEL;TYPE=CELL:+234 803 123 4567',
+    'NOTE:Seat near the stage,',
+    '\t needs wheelchair access',
+    'END:VCARD'
+].join('\r\n'));
+check('Unfolds continuation lines', folded[0].name === 'Oluwaseun Adebayo-Williams');
+check('Unfolds tab continuation lines', folded[0].notes === 'Seat near the stage, needs wheelchair access');
+
+// vCard 2.1 with QUOTED-PRINTABLE and UTF-8 charset (Android exports)
+const android = parseVCF([
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=C3=89ze;Chin=C3=A9du;;;',
+    'FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:Chin=C3=A9du =C3=89ze',
+    'NOTE;ENCODING=QUOTED-PRINTABLE:Line one=0D=0ALine t=',
+    'wo',
+    'TEL;CELL;PREF:08031234567',
+    'TEL;HOME:01 234 5678',
+    'END:VCARD'
+].join('\r\n'));
+check('Decodes QUOTED-PRINTABLE UTF-8 names', android[0].name === 'Chinédu Éze');
+check('Joins QUOTED-PRINTABLE soft line breaks', android[0].notes === 'Line one\nLine two');
+check('Reads bare 2.1 type parameters', android[0].phones.length === 2 && android[0].phones[0].type === 'mobile' && android[0].phones[1].type === 'home');
+
+// Latin-1 bytes with an explicit charset
+const latin1 = parseVCF(Buffer.concat([
+    Buffer.from('BEGIN:VCARD\r\nVERSION:2.1\r\nFN;CHARSET=ISO-8859-1:Ren'),
+    Buffer.from([0xE9]),
+    Buffer.from(' Dubois\r\nTEL;CELL:+33 6 12 34 56 78\r\nEND:VCARD\r\n')
+]));
+check('Decodes ISO-8859-1 names from raw bytes', latin1[0].name === 'René Dubois');
+
+// UTF-8 bytes without a charset parameter
+const utf8 = parseVCF(Buffer.from('BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Adébáyọ̀ Okafor\r\nTEL:+2348031234567\r\nEND:VCARD\r\n', 'utf8'));
+check('Keeps UTF-8 names from file uploads', utf8[0].name === 'Adébáyọ̀ Okafor');
+
+// Several numbers and emails with types, main number picked by type
+const multi = parseVCF([
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Ngozi Eze',
+    'TEL;TYPE=WORK,VOICE:+234 1 234 5678',
+    'TEL;TYPE=CELL:+234 803 123 4567',
+    'TEL;TYPE=HOME:+44 7911 123456',
+    'EMAIL;TYPE=INTERNET,HOME:ngozi@example.com',
+    'EMAIL;TYPE=INTERNET,WORK,PREF:n.eze@work.example',
+    'ORG:Acme Events;Logistics',
+    'TITLE:Head of Protocol',
+    'ADR;TYPE=WORK:;;12 Marina Road;Lagos;;100001;Nigeria',
+    'BDAY:19900115',
+    'URL:https://example.com/ngozi',
+    'END:VCARD'
+].join('\r\n'));
+const ngozi = multi[0];
+check('Keeps every phone number with its type', ngozi.phones.length === 3 && ngozi.phones.map(phone => phone.type).join(',') === 'work,mobile,home');
+check('Uses the mobile number as the main number', ngozi.mobile === '+2348031234567');
+check('Keeps every email, preferred one first', ngozi.emails.length === 2 && ngozi.email === 'n.eze@work.example');
+check('Joins ORG components', ngozi.company === 'Acme Events, Logistics');
+check('Reads TITLE, ADR, BDAY and URL', ngozi.title === 'Head of Protocol' &&
+    ngozi.address === '12 Marina Road, Lagos, 100001, Nigeria' &&
+    ngozi.birthday === '1990-01-15' &&
+    ngozi.url === 'https://example.com/ngozi');
+
+// Apple item labels
+const apple = parseVCF([
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Jane Smith',
+    'item1.TEL:+234 803 123 4567',
+    'item1.X-ABLabel:_$!<Mobile>!$_',
+    'item2.TEL:+234 805 999 0000',
+    'item2.X-ABLabel:Office',
+    'END:VCARD'
+].join('\n'));
+check('Reads Apple X-ABLabel types', apple[0].phones[0].type === 'mobile' && apple[0].phones[1].type === 'office');
+
+// vCard 4.0 tel: URIs
+const v4 = parseVCF([
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'FN:Kwame Mensah',
+    'TEL;VALUE=uri;TYPE="cell,voice";PREF=1:tel:+233-24-123-4567',
+    'TEL;VALUE=uri;TYPE=work:tel:+233-30-276-1234;ext=12',
+    'END:VCARD'
+].join('\r\n'));
+check('Reads vCard 4.0 tel: URIs', v4[0].mobile === '+233241234567' && v4[0].phones[1].value === '+233302761234');
+check('Reads quoted 4.0 TYPE lists', v4[0].phones[0].type === 'mobile' && v4[0].phones[1].type === 'work');
+
+// Round trip keeps the extra numbers
+const roundTrip = parseVCF(generateVCF([ngozi]));
+check('Round trip keeps all numbers and emails', roundTrip[0].phones.length === 3 && roundTrip[0].emails.length === 2);
+check('Round trip keeps the main number', roundTrip[0].mobile === '+2348031234567');
+check('Round trip keeps TITLE, BDAY and URL', roundTrip[0].title === 'Head of Protocol' && roundTrip[0].birthday === '1990-01-15' && roundTrip[0].url === 'https://example.com/ngozi');
+
+// Broken input
+check('Skips cards without END:VCARD', parseVCF('BEGIN:VCARD\nFN:Half Card\nTEL:+2348031234567').length === 0);
+
+console.log(`\n🏁 VCF PARSER TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,45 @@
+// test-xlsx-export.js - Excel workbook export tests
+const XLSX = require('xlsx');
+const { generateXLSX } = require('../src/xlsx-generator');
+
+console.log('🧪 XLSX EXPORT TEST SUITE\n');
+
+let passed = 0;
+let total = 0;
+
+function check(description, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+}
+
+const contacts = [
+    { name: 'Ada Obi', mobile: '+2348012345678', email: 'ada@example.com', company: 'Acme Events', notes: '' },
+    { name: 'Bob', mobile: '2348033333333', email: '', company: '', notes: '' }
+];
+
+const buffer = generateXLSX(contacts);
+const workbook = XLSX.read(buffer, { type: 'buffer', cellNF: true });
+const sheet = workbook.Sheets.Contacts;
+
+check('Writes a Contacts sheet', !!sheet);
+check('Uses the default export columns', sheet.A1.v === 'name' && sheet.D1.v === 'passes');
+check('Phone numbers are stored as text', sheet.B3.t === 's' && sheet.B3.v === '2348033333333');
+check('Phone columns use the text number format', sheet.B2.z === '@');
+check('Passes stay numeric', sheet.D2.t === 'n' && sheet.D2.v === 1);
+
+const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+const sheetXml = Buffer.from(XLSX.CFB.find(zip, '/xl/worksheets/sheet1.xml').content).toString('utf8');
+check('Header row is frozen', sheetXml.includes('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'));
+
+const widths = [...sheetXml.matchAll(/<col [^>]*width="([\d.]+)"/g)].map(match => parseFloat(match[1]));
+check('Columns are sized to their contents', widths.length === 4 && widths[1] > widths[0] && widths[1] >= 15);
+
+const google = XLSX.read(generateXLSX(contacts, 'google'), { type: 'buffer' }).Sheets.Contacts;
+check('Export profiles set the workbook columns', google.A1.v === 'Name' && google.K2.v === 'Acme Events');
+
+console.log(`\n🏁 XLSX EXPORT TESTS COMPLETE: ${passed}/${total} passed`);
+
+if (passed !== total) {
+    process.exitCode = 1;
+}